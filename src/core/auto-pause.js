@@ -0,0 +1,77 @@
+// auto-pause.js - Stationary detection for automatic pause/resume
+import { haversineDistance } from '../utils/calculations.js';
+
+export class AutoPauseDetector {
+  constructor({
+    stopRadiusMeters = 10,
+    stopDelayMs = 30000,
+    resumeDistanceMeters = 20,
+    resumeSpeedKmh = 2.5,
+    resumeConfirmations = 2,
+    maxAccuracy = 50
+  } = {}) {
+    this.stopRadiusMeters = stopRadiusMeters;
+    this.stopDelayMs = stopDelayMs;
+    this.resumeDistanceMeters = resumeDistanceMeters;
+    this.resumeSpeedKmh = resumeSpeedKmh;
+    this.resumeConfirmations = resumeConfirmations;
+    this.maxAccuracy = maxAccuracy;
+    this.reset();
+  }
+
+  /**
+   * Feed a raw fix ({ coords, accuracy, timestamp }) and the device speed in m/s (if any).
+   * Returns { state: 'stopped', since, coords } or { state: 'moving', at } when the
+   * state changes, otherwise null.
+   */
+  update(fix, speed = null) {
+    // Poor fixes jitter too much to say anything about movement
+    if (!fix || fix.accuracy > this.maxAccuracy) return null;
+
+    const speedKmh = typeof speed === 'number' && speed >= 0 ? speed * 3.6 : null;
+
+    if (!this.isStopped) {
+      const movedAway = !this.anchor ||
+        this.distanceFromAnchor(fix) > Math.max(this.stopRadiusMeters, fix.accuracy) ||
+        (speedKmh !== null && speedKmh > this.resumeSpeedKmh);
+
+      if (movedAway) {
+        this.anchor = fix;
+        return null;
+      }
+
+      if (fix.timestamp - this.anchor.timestamp >= this.stopDelayMs) {
+        this.isStopped = true;
+        this.moveCount = 0;
+        return { state: 'stopped', since: this.anchor.timestamp, coords: this.anchor.coords };
+      }
+
+      return null;
+    }
+
+    const moving = this.distanceFromAnchor(fix) > Math.max(this.resumeDistanceMeters, fix.accuracy) ||
+      (speedKmh !== null && speedKmh > this.resumeSpeedKmh);
+
+    // Require a couple of consecutive moving fixes so a single jump doesn't resume
+    this.moveCount = moving ? this.moveCount + 1 : 0;
+
+    if (this.moveCount >= this.resumeConfirmations) {
+      this.isStopped = false;
+      this.anchor = fix;
+      this.moveCount = 0;
+      return { state: 'moving', at: fix.timestamp };
+    }
+
+    return null;
+  }
+
+  distanceFromAnchor(fix) {
+    return haversineDistance(this.anchor.coords, fix.coords) * 1000;
+  }
+
+  reset() {
+    this.anchor = null;
+    this.isStopped = false;
+    this.moveCount = 0;
+  }
+}
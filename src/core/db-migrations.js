@@ -0,0 +1,359 @@
+// db-migrations.js - Versioned IndexedDB schema: ordered migration steps for RouteDB
+import { getSegmentCount } from '../utils/segments.js';
+import { getPhotoFields, getInlinePhoto, dataURLToBlob, createMediaRecord } from './media-store.js';
+
+/**
+ * Each step moves the database to `version`. `upgrade({ db, transaction })`
+ * changes stores and indexes; `transformRoute(route, { transaction })`
+ * rewrites one stored route and returns the new record, or null when it
+ * needs no change (transaction is null during dry runs).
+ * Steps that add records in `upgrade` describe that for dry runs in
+ * `dryRunUpgrade(routes)`.
+ * Steps run inside the versionchange transaction, so a failure aborts the
+ * whole upgrade and the database stays at its previous version.
+ *
+ * Never edit a step that has shipped - add a new one.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial-stores',
+    description: 'Routes, backups, settings and trail guide stores',
+    upgrade({ db }) {
+      if (!db.objectStoreNames.contains('routes')) {
+        const routeStore = db.createObjectStore('routes', { keyPath: 'id' });
+        routeStore.createIndex('date', 'date');
+        routeStore.createIndex('name', 'name');
+        routeStore.createIndex('totalDistance', 'totalDistance');
+        console.log('📁 Routes store created');
+      }
+
+      if (!db.objectStoreNames.contains('backups')) {
+        db.createObjectStore('backups', { keyPath: 'type' });
+        console.log('💾 Backups store created');
+      }
+
+      if (!db.objectStoreNames.contains('settings')) {
+        db.createObjectStore('settings', { keyPath: 'key' });
+        console.log('⚙️ Settings store created');
+      }
+
+      if (!db.objectStoreNames.contains('trail_guides')) {
+        const guidesStore = db.createObjectStore('trail_guides', { keyPath: 'id' });
+        guidesStore.createIndex('userId', 'userId');
+        guidesStore.createIndex('isPublic', 'isPublic');
+        guidesStore.createIndex('generatedAt', 'generatedAt');
+        console.log('🌐 Trail guides store created');
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'import-local-storage',
+    description: 'Move sessions and the route backup out of localStorage',
+    upgrade({ transaction }) {
+      const result = { changed: 0, failed: [] };
+      if (localStorage.getItem('indexeddb_migration') === 'completed') return result;
+
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      const routes = transaction.objectStore('routes');
+      const migratedAt = new Date().toISOString();
+
+      sessions.forEach(session => {
+        try {
+          routes.put({ ...session, migrated: true, migratedAt, migratedFrom: 'localStorage', version: '2.0' });
+          result.changed++;
+        } catch (error) {
+          result.failed.push({ id: session.id ?? null, error: error.message });
+        }
+      });
+
+      const backup = localStorage.getItem('route_backup');
+      if (backup) {
+        transaction.objectStore('backups').put({ type: 'route_backup', data: JSON.parse(backup), timestamp: Date.now() });
+      }
+
+      // Only clear localStorage once the upgrade has committed; a copy of the sessions is kept
+      transaction.addEventListener('complete', () => {
+        if (result.changed > 0) {
+          localStorage.setItem('sessions_backup_pre_migration', localStorage.getItem('sessions'));
+          localStorage.removeItem('sessions');
+        }
+        if (backup) {
+          localStorage.removeItem('route_backup');
+        }
+        localStorage.setItem('indexeddb_migration', 'completed');
+      });
+
+      return result;
+    },
+    dryRunUpgrade(routes) {
+      if (localStorage.getItem('indexeddb_migration') === 'completed') return { routes, changed: 0 };
+
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      return { routes: [...routes, ...sessions], changed: sessions.length };
+    }
+  },
+  {
+    version: 3,
+    name: 'normalize-route-records',
+    description: 'Segment index on every GPS point, numeric totals, ISO dates, segmentCount',
+    transformRoute(route) {
+      if (route.schemaVersion >= 3) return null;
+
+      // Malformed data is left for validation to reject rather than papered over
+      const data = Array.isArray(route.data) ? route.data : [];
+      const date = new Date(route.date);
+
+      return {
+        ...route,
+        data: Array.isArray(route.data)
+          ? data.map(entry => (entry && entry.type === 'location' && typeof entry.segment !== 'number'
+            ? { ...entry, segment: 0 }
+            : entry))
+          : route.data,
+        totalDistance: Number(route.totalDistance) || 0,
+        elapsedTime: Number(route.elapsedTime) || 0,
+        date: isNaN(date.getTime()) ? route.date : date.toISOString(),
+        segmentCount: typeof route.segmentCount === 'number' ? route.segmentCount : getSegmentCount(data),
+        schemaVersion: 3
+      };
+    }
+  },
+  {
+    version: 4,
+    name: 'media-store',
+    description: 'Move inline photos out of route entries into a Blob store',
+    upgrade({ db }) {
+      if (!db.objectStoreNames.contains('media')) {
+        const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
+        mediaStore.createIndex('createdAt', 'createdAt');
+        console.log('📷 Media store created');
+      }
+    },
+    transformRoute(route, { transaction }) {
+      if (!Array.isArray(route.data) || !route.data.some(entry => getInlinePhoto(entry))) return null;
+
+      const media = transaction ? transaction.objectStore('media') : null;
+      const data = route.data.map((entry, index) => {
+        const inline = getInlinePhoto(entry);
+        if (!inline) return entry;
+
+        const fields = getPhotoFields(entry);
+        const id = `photo-${route.id}-${index}`;
+        if (media) {
+          media.put(createMediaRecord(id, dataURLToBlob(inline)));
+        }
+
+        const { [fields.inline]: content, ...rest } = entry;
+        return { ...rest, [fields.ref]: id };
+      });
+
+      return {
+        ...route,
+        data,
+        dataSize: JSON.stringify(data).length,
+        schemaVersion: 4
+      };
+    }
+  },
+  {
+    version: 5,
+    name: 'sync-queue',
+    description: 'Persistent queue of cloud uploads waiting for a connection',
+    upgrade({ db }) {
+      if (!db.objectStoreNames.contains('sync_queue')) {
+        const queueStore = db.createObjectStore('sync_queue', { keyPath: 'id' });
+        queueStore.createIndex('status', 'status');
+        queueStore.createIndex('createdAt', 'createdAt');
+        console.log('📤 Sync queue store created');
+      }
+    }
+  }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getPendingMigrations(fromVersion, toVersion = SCHEMA_VERSION) {
+  return MIGRATIONS.filter(step => step.version > fromVersion && step.version <= toVersion);
+}
+
+/**
+ * Problems with a route record as the current schema expects it; empty when valid.
+ */
+export function validateRoute(route) {
+  const problems = [];
+  if (!route || typeof route !== 'object') return ['not an object'];
+
+  if (route.id === undefined || route.id === null) problems.push('missing id');
+  if (!Array.isArray(route.data)) {
+    problems.push('data is not a list');
+  } else {
+    const badPoints = route.data.filter(entry => entry && entry.type === 'location' && (
+      !entry.coords || typeof entry.coords.lat !== 'number' || typeof entry.coords.lng !== 'number'
+    )).length;
+    if (badPoints > 0) problems.push(`${badPoints} GPS point${badPoints === 1 ? '' : 's'} without coordinates`);
+  }
+  if (route.totalDistance !== undefined && typeof route.totalDistance !== 'number') {
+    problems.push('totalDistance is not a number');
+  }
+
+  return problems;
+}
+
+// Run one step's transform and refuse results that don't validate
+function transformOne(step, route, context) {
+  const updated = step.transformRoute(route, context);
+  if (!updated) return null;
+
+  const problems = validateRoute(updated);
+  if (problems.length > 0) {
+    throw new Error(problems.join(', '));
+  }
+  return updated;
+}
+
+/**
+ * Dry run: apply `steps` to copies of `routes` and validate the outcome.
+ * Nothing is written. A route a step can't transform is kept as it was,
+ * just as the real upgrade does.
+ *
+ * Returns { steps: [{ version, name, changed, failed: [{ id, error }] }],
+ * routeCount, invalid: [{ id, name, problems }] }
+ */
+export function dryRunMigrations(routes = [], steps = []) {
+  let current = routes.map(route => structuredClone(route));
+
+  const stepReports = steps.map(step => {
+    const report = { version: step.version, name: step.name, changed: 0, failed: [] };
+    if (step.dryRunUpgrade) {
+      const upgraded = step.dryRunUpgrade(current);
+      current = upgraded.routes;
+      report.changed += upgraded.changed;
+    }
+    if (!step.transformRoute) return report;
+
+    current = current.map(route => {
+      try {
+        const updated = transformOne(step, route, { transaction: null });
+        if (!updated) return route;
+        report.changed++;
+        return updated;
+      } catch (error) {
+        report.failed.push({ id: route.id ?? null, error: error.message });
+        return route;
+      }
+    });
+    return report;
+  });
+
+  const invalid = current
+    .map(route => ({ id: route.id ?? null, name: route.name, problems: validateRoute(route) }))
+    .filter(entry => entry.problems.length > 0);
+
+  return { steps: stepReports, routeCount: current.length, invalid };
+}
+
+const requestToPromise = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Rewrite stored routes in place with a cursor; failures leave the record untouched
+function transformStoredRoutes(transaction, step) {
+  const store = transaction.objectStore('routes');
+  const result = { changed: 0, failed: [] };
+
+  return new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(result);
+        return;
+      }
+
+      try {
+        const updated = transformOne(step, cursor.value, { transaction });
+        if (updated) {
+          cursor.update(updated);
+          result.changed++;
+        }
+      } catch (error) {
+        result.failed.push({ id: cursor.value?.id ?? null, error: error.message });
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Apply the steps between oldVersion and newVersion inside the upgrade
+ * transaction and append them to the `migrationHistory` setting.
+ */
+export async function runMigrations(db, transaction, oldVersion, newVersion) {
+  const history = [];
+
+  for (const step of getPendingMigrations(oldVersion, newVersion)) {
+    const startedAt = Date.now();
+    console.log(`🔧 Migration ${step.version}: ${step.description}`);
+
+    const result = { changed: 0, failed: [] };
+    if (step.upgrade) {
+      const upgraded = await step.upgrade({ db, transaction });
+      if (upgraded) {
+        result.changed += upgraded.changed || 0;
+        result.failed.push(...(upgraded.failed || []));
+      }
+    }
+    if (step.transformRoute && db.objectStoreNames.contains('routes')) {
+      const transformed = await transformStoredRoutes(transaction, step);
+      result.changed += transformed.changed;
+      result.failed.push(...transformed.failed);
+    }
+
+    if (result.failed.length > 0) {
+      console.warn(`⚠️ Migration ${step.version} skipped ${result.failed.length} record(s):`, result.failed);
+    }
+
+    history.push({
+      version: step.version,
+      name: step.name,
+      fromVersion: oldVersion,
+      appliedAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      changedRecords: result.changed,
+      failedRecords: result.failed
+    });
+  }
+
+  const settings = transaction.objectStore('settings');
+  const existing = await requestToPromise(settings.get('migrationHistory'));
+  await requestToPromise(settings.put({
+    key: 'migrationHistory',
+    value: [...(existing ? existing.value : []), ...history],
+    updated: Date.now()
+  }));
+
+  return history;
+}
+
+// Console / dialog lines for a migration preview
+export function formatMigrationReport(preview) {
+  const lines = [`Database schema: version ${preview.currentVersion} → ${preview.targetVersion}`];
+
+  if (preview.pending.length === 0) {
+    lines.push('No migrations pending');
+  }
+  preview.steps.forEach(step => {
+    const pending = preview.pending.some(entry => entry.version === step.version);
+    lines.push(`${pending ? '⏳' : '✔️'} ${step.version} ${step.name}: ${step.changed} route(s) changed` +
+      (step.failed.length > 0 ? `, ${step.failed.length} would be skipped` : ''));
+  });
+  lines.push(preview.invalid.length > 0
+    ? `⚠️ ${preview.invalid.length} of ${preview.routeCount} route(s) fail validation`
+    : `✅ All ${preview.routeCount} route(s) valid`);
+
+  return lines;
+}
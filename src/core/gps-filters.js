@@ -0,0 +1,272 @@
+// gps-filters.js - Point processing pipeline for raw GPS fixes
+import { haversineDistance } from '../utils/calculations.js';
+
+/**
+ * A fix flowing through the pipeline:
+ * { coords: { lat, lng }, accuracy, timestamp }
+ *
+ * Each filter exposes process(fix, context) and returns either
+ * { fix } (possibly adjusted), { rejected: true, reason } for a bad fix, or
+ * { skipped: true, reason } for a good fix that adds nothing (standing still).
+ */
+
+// Drops fixes whose reported accuracy is worse than the limit
+export class AccuracyGate {
+  constructor({ maxAccuracy = 100 } = {}) {
+    this.name = 'accuracy';
+    this.maxAccuracy = maxAccuracy;
+  }
+
+  process(fix) {
+    if (fix.accuracy > this.maxAccuracy) {
+      return { rejected: true, reason: 'low_accuracy' };
+    }
+    return { fix };
+  }
+
+  reset() {}
+}
+
+// Rejects fixes that would require an implausible speed from the last good fix
+export class SpeedOutlierFilter {
+  constructor({ maxSpeedKmh = 40, maxConsecutiveRejects = 5 } = {}) {
+    this.name = 'outlier';
+    this.maxSpeedKmh = maxSpeedKmh;
+    this.maxConsecutiveRejects = maxConsecutiveRejects;
+    this.reset();
+  }
+
+  process(fix) {
+    const anchor = this.lastFix;
+
+    if (!anchor) {
+      this.lastFix = fix;
+      return { fix };
+    }
+
+    const hours = (fix.timestamp - anchor.timestamp) / 3600000;
+    // Give the fix the benefit of its own accuracy circle before judging it
+    const distance = Math.max(0, haversineDistance(anchor.coords, fix.coords) - fix.accuracy / 1000);
+    const speed = hours > 0 ? distance / hours : Infinity;
+
+    if (speed > this.maxSpeedKmh && this.consecutiveRejects < this.maxConsecutiveRejects) {
+      this.consecutiveRejects++;
+      return { rejected: true, reason: 'implausible_speed', speed };
+    }
+
+    // Either plausible, or the jump persisted long enough to be real
+    this.consecutiveRejects = 0;
+    this.lastFix = fix;
+    return { fix };
+  }
+
+  reset() {
+    this.lastFix = null;
+    this.consecutiveRejects = 0;
+  }
+}
+
+// Simple lat/lng Kalman filter with accuracy as measurement noise
+export class KalmanFilter {
+  constructor({ processNoise = 3 } = {}) {
+    this.name = 'kalman';
+    this.processNoise = processNoise; // expected movement noise in m/s
+    this.reset();
+  }
+
+  process(fix) {
+    const accuracy = Math.max(fix.accuracy || 1, 1);
+
+    if (this.variance < 0) {
+      this.lat = fix.coords.lat;
+      this.lng = fix.coords.lng;
+      this.variance = accuracy * accuracy;
+      this.timestamp = fix.timestamp;
+    } else {
+      const seconds = Math.max(0, (fix.timestamp - this.timestamp) / 1000);
+      if (seconds > 0) {
+        this.variance += seconds * this.processNoise * this.processNoise;
+        this.timestamp = fix.timestamp;
+      }
+
+      const gain = this.variance / (this.variance + accuracy * accuracy);
+      this.lat += gain * (fix.coords.lat - this.lat);
+      this.lng += gain * (fix.coords.lng - this.lng);
+      this.variance = (1 - gain) * this.variance;
+    }
+
+    return {
+      fix: {
+        ...fix,
+        coords: { lat: this.lat, lng: this.lng },
+        accuracy: Math.sqrt(this.variance)
+      }
+    };
+  }
+
+  reset() {
+    this.lat = 0;
+    this.lng = 0;
+    this.variance = -1;
+    this.timestamp = 0;
+  }
+}
+
+// Averages recent fixes, weighting each by the inverse square of its accuracy
+export class AccuracyWeightedFilter {
+  constructor({ windowMs = 10000, maxSamples = 5 } = {}) {
+    this.name = 'weighted';
+    this.windowMs = windowMs;
+    this.maxSamples = maxSamples;
+    this.reset();
+  }
+
+  process(fix) {
+    this.samples.push(fix);
+    this.samples = this.samples
+      .filter(sample => fix.timestamp - sample.timestamp <= this.windowMs)
+      .slice(-this.maxSamples);
+
+    let totalWeight = 0;
+    let lat = 0;
+    let lng = 0;
+
+    this.samples.forEach(sample => {
+      const accuracy = Math.max(sample.accuracy || 1, 1);
+      const weight = 1 / (accuracy * accuracy);
+      lat += sample.coords.lat * weight;
+      lng += sample.coords.lng * weight;
+      totalWeight += weight;
+    });
+
+    return {
+      fix: {
+        ...fix,
+        coords: { lat: lat / totalWeight, lng: lng / totalWeight },
+        accuracy: Math.sqrt(1 / totalWeight)
+      }
+    };
+  }
+
+  reset() {
+    this.samples = [];
+  }
+}
+
+// Ignores micro-movements relative to the last accepted point (not a GPS error)
+export class MinDistanceGate {
+  constructor({ minDistanceMeters = 3 } = {}) {
+    this.name = 'min_distance';
+    this.minDistanceMeters = minDistanceMeters;
+  }
+
+  process(fix, context) {
+    if (context.lastAccepted) {
+      const meters = haversineDistance(context.lastAccepted.coords, fix.coords) * 1000;
+      if (meters < this.minDistanceMeters) {
+        return { skipped: true, reason: 'micro_movement' };
+      }
+    }
+    return { fix };
+  }
+
+  reset() {}
+}
+
+// Selectable filter chains, picked per recording
+export const GPS_FILTER_PROFILES = {
+  raw: {
+    label: 'Raw (accuracy gate only)',
+    create: () => [
+      new AccuracyGate(),
+      new MinDistanceGate()
+    ]
+  },
+  kalman: {
+    label: 'Kalman smoothing',
+    create: () => [
+      new AccuracyGate(),
+      new SpeedOutlierFilter(),
+      new KalmanFilter(),
+      new MinDistanceGate()
+    ]
+  },
+  weighted: {
+    label: 'Accuracy-weighted average',
+    create: () => [
+      new AccuracyGate(),
+      new SpeedOutlierFilter(),
+      new AccuracyWeightedFilter(),
+      new MinDistanceGate()
+    ]
+  }
+};
+
+export const DEFAULT_GPS_FILTER = 'kalman';
+
+export class GPSPipeline {
+  constructor(filters = []) {
+    this.filters = filters;
+    this.reset();
+  }
+
+  /**
+   * Run a raw fix through every filter in order.
+   * Returns { accepted, fix, raw } or { accepted: false, skipped, raw, reason, filter }
+   */
+  process(rawFix) {
+    let fix = rawFix;
+
+    for (const filter of this.filters) {
+      const result = filter.process(fix, { lastAccepted: this.lastAccepted, raw: rawFix });
+
+      if (result.rejected || result.skipped) {
+        // Skipped fixes are counted apart so they don't read as GPS errors
+        const counts = result.skipped ? this.stats.skipped : this.stats.rejected;
+        counts[result.reason] = (counts[result.reason] || 0) + 1;
+        return { accepted: false, skipped: !!result.skipped, raw: rawFix, reason: result.reason, filter: filter.name };
+      }
+
+      fix = result.fix;
+    }
+
+    this.lastAccepted = fix;
+    this.stats.accepted++;
+    return { accepted: true, fix, raw: rawFix };
+  }
+
+  // Start smoothing from scratch (new track segment) but keep the stats
+  resetFilters() {
+    this.lastAccepted = null;
+    this.filters.forEach(filter => filter.reset());
+  }
+
+  // Worst fix accuracy (m) the chain lets through
+  getMaxAccuracy() {
+    const gate = this.filters.find(filter => filter instanceof AccuracyGate);
+    return gate ? gate.maxAccuracy : Infinity;
+  }
+
+  getStats() {
+    const rejectedTotal = Object.values(this.stats.rejected).reduce((sum, count) => sum + count, 0);
+    const skippedTotal = Object.values(this.stats.skipped).reduce((sum, count) => sum + count, 0);
+    return {
+      accepted: this.stats.accepted,
+      rejected: { ...this.stats.rejected },
+      rejectedTotal,
+      skipped: { ...this.stats.skipped },
+      skippedTotal
+    };
+  }
+
+  reset() {
+    this.lastAccepted = null;
+    this.stats = { accepted: 0, rejected: {}, skipped: {} };
+    this.filters.forEach(filter => filter.reset());
+  }
+}
+
+export function createGPSPipeline(profileName = DEFAULT_GPS_FILTER) {
+  const profile = GPS_FILTER_PROFILES[profileName] || GPS_FILTER_PROFILES[DEFAULT_GPS_FILTER];
+  return new GPSPipeline(profile.create());
+}
@@ -1,8 +1,10 @@
 // Modern IndexedDB wrapper for route storage
+import { SCHEMA_VERSION, runMigrations, getPendingMigrations, dryRunMigrations } from './db-migrations.js';
+
 export class RouteDB {
   constructor() {
     this.dbName = 'AccessNatureDB';
-    this.version = 1;
+    this.version = SCHEMA_VERSION;
     this.db = null;
   }
 
@@ -21,41 +23,28 @@ export class RouteDB {
         resolve(this.db);
       };
       
+      request.onblocked = () => {
+        console.warn('⏳ IndexedDB upgrade waiting for other open tabs to close');
+      };
+      
+      // Stores, indexes and record transforms come from the migration registry
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
-        console.log('🔧 IndexedDB upgrade needed, creating schema...');
-        
-        // Routes store - for saved sessions
-        if (!db.objectStoreNames.contains('routes')) {
-          const routeStore = db.createObjectStore('routes', { keyPath: 'id' });
-          routeStore.createIndex('date', 'date');
-          routeStore.createIndex('name', 'name');
-          routeStore.createIndex('totalDistance', 'totalDistance');
-          console.log('📁 Routes store created');
-        }
-        
-        // Backups store - for unsaved route data
-        if (!db.objectStoreNames.contains('backups')) {
-          const backupStore = db.createObjectStore('backups', { keyPath: 'type' });
-          console.log('💾 Backups store created');
-        }
-        
-        // Settings store - for app preferences
-        if (!db.objectStoreNames.contains('settings')) {
-          const settingsStore = db.createObjectStore('settings', { keyPath: 'key' });
-          console.log('⚙️ Settings store created');
-        }
+        const transaction = event.target.transaction;
+        console.log(`🔧 IndexedDB upgrade needed: version ${event.oldVersion} → ${event.newVersion}`);
         
-        // Trail guides store - for HTML guides (future use)
-        if (!db.objectStoreNames.contains('trail_guides')) {
-          const guidesStore = db.createObjectStore('trail_guides', { keyPath: 'id' });
-          guidesStore.createIndex('userId', 'userId');
-          guidesStore.createIndex('isPublic', 'isPublic');
-          guidesStore.createIndex('generatedAt', 'generatedAt');
-          console.log('🌐 Trail guides store created');
-        }
-        
-        console.log('✅ IndexedDB schema creation complete');
+        runMigrations(db, transaction, event.oldVersion, event.newVersion)
+          .then(history => {
+            console.log(`✅ IndexedDB schema at version ${event.newVersion} (${history.length} migration(s) applied)`);
+          })
+          .catch(error => {
+            console.error('❌ IndexedDB migration failed, upgrade rolled back:', error);
+            try {
+              transaction.abort();
+            } catch (abortError) {
+              // Already aborted by the failing request
+            }
+          });
       };
     });
   }
@@ -68,7 +57,7 @@ export class RouteDB {
     const store = transaction.objectStore('routes');
     
     return new Promise((resolve, reject) => {
-      const request = store.add(routeData);
+      const request = store.add({ ...routeData, schemaVersion: SCHEMA_VERSION });
       request.onsuccess = () => {
         console.log(`✅ Route saved to IndexedDB: ${routeData.name}`);
         resolve(request.result);
@@ -88,7 +77,7 @@ export class RouteDB {
     const store = transaction.objectStore('routes');
     
     return new Promise((resolve, reject) => {
-      const request = store.put(routeData);
+      const request = store.put({ ...routeData, schemaVersion: SCHEMA_VERSION });
       request.onsuccess = () => {
         console.log(`✅ Route updated in IndexedDB: ${routeData.name}`);
         resolve(request.result);
@@ -246,6 +235,158 @@ export class RouteDB {
     });
   }
 
+  // Photo Blobs ({ id, blob, mimeType, size, createdAt }), referenced from route entries
+  async saveMedia(record) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readwrite');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(record);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save photo:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async getMedia(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getMediaIds() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readonly');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAllKeys();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteMedia(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['media'], 'readwrite');
+    const store = transaction.objectStore('media');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Cloud uploads waiting to be sent ({ id, status, attempts, ... })
+  async saveSyncItem(item) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['sync_queue'], 'readwrite');
+    const store = transaction.objectStore('sync_queue');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.put(item);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.error('❌ Failed to save sync item:', request.error);
+        reject(request.error);
+      };
+    });
+  }
+
+  async getSyncItems() {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['sync_queue'], 'readonly');
+    const store = transaction.objectStore('sync_queue');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteSyncItem(id) {
+    if (!this.db) throw new Error('Database not initialized');
+    
+    const transaction = this.db.transaction(['sync_queue'], 'readwrite');
+    const store = transaction.objectStore('sync_queue');
+    
+    return new Promise((resolve, reject) => {
+      const request = store.delete(id);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Migrations applied so far, oldest first
+  async getMigrationHistory() {
+    return this.getSetting('migrationHistory', []);
+  }
+
+  /**
+   * Dry run and validation without upgrading anything. Reads the routes at
+   * the database's current version and runs the pending steps (or every step
+   * after fromVersion) over copies of them.
+   */
+  async previewMigrations(fromVersion = null) {
+    const db = this.db || await this.openCurrentVersion();
+    const currentVersion = db ? db.version : 0;
+
+    try {
+      const routes = db && db.objectStoreNames.contains('routes')
+        ? await new Promise((resolve, reject) => {
+          const request = db.transaction(['routes'], 'readonly').objectStore('routes').getAll();
+          request.onsuccess = () => resolve(request.result || []);
+          request.onerror = () => reject(request.error);
+        })
+        : [];
+
+      const steps = getPendingMigrations(fromVersion !== null ? fromVersion : currentVersion, this.version);
+      return {
+        currentVersion,
+        targetVersion: this.version,
+        pending: getPendingMigrations(currentVersion, this.version).map(({ version, name, description }) => ({ version, name, description })),
+        ...dryRunMigrations(routes, steps)
+      };
+    } finally {
+      if (db && db !== this.db) {
+        db.close();
+      }
+    }
+  }
+
+  // Open without a version so no upgrade runs; null when the database doesn't exist yet
+  openCurrentVersion() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName);
+      let created = false;
+
+      // Opening a missing database would create it empty at version 1 - back out instead
+      request.onupgradeneeded = (event) => {
+        created = true;
+        event.target.transaction.abort();
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => (created ? resolve(null) : reject(request.error));
+    });
+  }
+
   // Get storage usage estimate
   async getStorageEstimate() {
     try {
@@ -268,7 +409,9 @@ export class RouteDB {
   async clearAllData() {
     if (!this.db) throw new Error('Database not initialized');
     
-    const stores = ['routes', 'backups', 'settings', 'trail_guides'];
+    // The migration history describes the schema, not user data, so it survives a reset
+    const migrationHistory = await this.getMigrationHistory();
+    const stores = ['routes', 'backups', 'settings', 'trail_guides', 'media', 'sync_queue'];
     const transaction = this.db.transaction(stores, 'readwrite');
     
     const promises = stores.map(storeName => {
@@ -281,6 +424,7 @@ export class RouteDB {
     });
     
     await Promise.all(promises);
+    await this.saveSetting('migrationHistory', migrationHistory);
     console.log('🧹 All IndexedDB data cleared');
   }
 
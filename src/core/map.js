@@ -1,10 +1,22 @@
 // FIXED: Map controller with proper route restoration and visualization
+import { splitIntoSegments } from '../utils/segments.js';
+import { getBarrierType, getBarrierSeverity, formatBarrierMeasurements } from '../utils/barrier-catalogue.js';
+import { simplifyRouteData, formatSimplificationReport } from '../utils/simplify.js';
+
 export class MapController {
   constructor() {
     this.map = null;
     this.marker = null;
     this.routePolylines = [];
     this.routeMarkers = []; // Add this to track all route markers
+    this.referenceLayers = []; // Route being followed (kept separate from the recorded route)
+    this.editLayers = []; // Route editor selection
+    this.gapPathLayers = []; // Route editor gap path being drawn
+    this.dependencies = {};
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
   }
 
   async initialize() {
@@ -50,6 +62,19 @@ export class MapController {
     });
   }
 
+  // NEW: Map click hooks (used by the tap-on-map position provider)
+  addClickHandler(handler) {
+    if (this.map) {
+      this.map.on('click', handler);
+    }
+  }
+
+  removeClickHandler(handler) {
+    if (this.map) {
+      this.map.off('click', handler);
+    }
+  }
+
   updateMarkerPosition(coords) {
     if (!this.marker || !coords) return;
     this.marker.setLatLng([coords.lat, coords.lng]);
@@ -99,21 +124,39 @@ export class MapController {
       return;
     }
 
-    // Draw route line
-    if (locationPoints.length > 1) {
-  const routeLine = locationPoints.map(point => [point.coords.lat, point.coords.lng]);
-  
-  const polyline = L.polyline(routeLine, {
-    color: '#4CAF50',
-    weight: 4,
-    opacity: 0.8
-  }).addTo(this.map);
-  
-  // CRITICAL: Add this line to track the polyline
-  this.routePolylines.push(polyline);
-  
-  bounds.extend(polyline.getBounds());
-}
+    // Draw a simplified line (full-resolution data is untouched)
+    const simplified = simplifyRouteData(locationPoints);
+    console.log(`📉 Map line simplified: ${formatSimplificationReport(simplified.report)}`);
+
+    // Draw one route line per segment so pauses and GPS gaps aren't bridged;
+    // filled-in gaps are drawn dashed so they aren't mistaken for recorded track
+    splitIntoSegments(simplified.routeData).forEach(segment => {
+      if (segment.length < 2) return;
+
+      this.splitSyntheticRuns(segment).forEach(run => {
+        const routeLine = run.points.map(point => [point.coords.lat, point.coords.lng]);
+
+        const polyline = L.polyline(routeLine, run.synthetic ? {
+          color: '#FF9800',
+          weight: 4,
+          opacity: 0.9,
+          dashArray: '6, 8'
+        } : {
+          color: '#4CAF50',
+          weight: 4,
+          opacity: 0.8
+        }).addTo(this.map);
+
+        if (run.synthetic) {
+          polyline.bindTooltip('Filled gap (no GPS)');
+        }
+
+        // CRITICAL: Add this line to track the polyline
+        this.routePolylines.push(polyline);
+
+        bounds.extend(polyline.getBounds());
+      });
+    });
 
     // Add markers for all data points
     routeData.forEach((entry, index) => {
@@ -128,15 +171,18 @@ export class MapController {
           className: 'custom-div-icon photo-marker'
         });
 
-        const photoMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
-          .addTo(this.map)
-          .bindPopup(`
+        const renderPopup = (src) => `
             <div style="text-align: center;">
-              <img src="${entry.content}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">
+              ${this.photoImageHTML(src)}
               <br><small>${new Date(entry.timestamp).toLocaleString()}</small>
             </div>
-          `);
-        
+          `;
+
+        const photoMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(renderPopup(undefined));
+
+        this.loadPopupPhoto(photoMarker, entry, renderPopup);
         this.routeMarkers.push(photoMarker);
         
       } else if (entry.type === 'text') {
@@ -158,6 +204,38 @@ export class MapController {
         
         this.routeMarkers.push(noteMarker);
         
+      } else if (entry.type === 'barrier') {
+        const barrierType = getBarrierType(entry.barrierType);
+        const severity = getBarrierSeverity(entry.severity);
+        const measurements = formatBarrierMeasurements(entry);
+
+        const icon = L.divIcon({
+          html: barrierType.icon,
+          iconSize: [32, 32],
+          className: `custom-div-icon barrier-marker barrier-${entry.severity}`
+        });
+
+        const hasPhoto = !!(entry.photo || entry.photoMediaId);
+        const renderPopup = (src) => `
+            <div style="max-width: 220px;">
+              <strong>${barrierType.label}</strong>
+              <span style="color: ${severity.color};">● ${severity.label}</span><br>
+              ${measurements ? `${measurements}<br>` : ''}
+              ${entry.content ? `${entry.content}<br>` : ''}
+              ${hasPhoto ? `${this.photoImageHTML(src)}<br>` : ''}
+              <small>${new Date(entry.timestamp).toLocaleString()}</small>
+            </div>
+          `;
+
+        const barrierMarker = L.marker([entry.coords.lat, entry.coords.lng], { icon })
+          .addTo(this.map)
+          .bindPopup(renderPopup(undefined));
+
+        if (hasPhoto) {
+          this.loadPopupPhoto(barrierMarker, entry, renderPopup);
+        }
+        this.routeMarkers.push(barrierMarker);
+
       } else if (entry.type === 'location' && (index === 0 || index === locationPoints.length - 1)) {
         // Add start/end markers
         const isStart = index === 0;
@@ -191,8 +269,9 @@ export class MapController {
     // Show summary info
     const photos = routeData.filter(p => p.type === 'photo').length;
     const notes = routeData.filter(p => p.type === 'text').length;
+    const barriers = routeData.filter(p => p.type === 'barrier').length;
     
-    console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes`);
+    console.log(`✅ Route displayed: ${locationPoints.length} GPS points, ${photos} photos, ${notes} notes, ${barriers} barriers`);
   }
 
   // FIXED: Complete route clearing including all markers
@@ -296,6 +375,153 @@ export class MapController {
     }
   }
 
+  // NEW: Draw the route being followed as a dashed reference line (one part per track segment)
+  showReferenceRoute(segments) {
+    this.clearReferenceRoute();
+    if (!this.map || !segments || segments.length === 0) return;
+
+    const latLngs = segments.map(segment => segment.map(point => [point.lat, point.lng]));
+    const first = segments[0][0];
+    const lastSegment = segments[segments.length - 1];
+
+    const line = L.polyline(latLngs, {
+      color: '#2196F3',
+      weight: 5,
+      opacity: 0.6,
+      dashArray: '8, 8'
+    }).addTo(this.map);
+
+    const makeFlag = (coords, html, title) => L.marker([coords.lat, coords.lng], {
+      icon: L.divIcon({
+        html,
+        iconSize: [30, 30],
+        className: 'custom-div-icon reference-marker'
+      })
+    }).addTo(this.map).bindPopup(title);
+
+    this.referenceLayers.push(
+      line,
+      makeFlag(first, '🟦', 'Route start'),
+      makeFlag(lastSegment[lastSegment.length - 1], '🏁', 'Route end')
+    );
+
+    this.map.fitBounds(line.getBounds(), { padding: [20, 20] });
+  }
+
+  clearReferenceRoute() {
+    this.referenceLayers.forEach(layer => {
+      this.map.removeLayer(layer);
+    });
+    this.referenceLayers = [];
+  }
+
+  // undefined while loading, null when the photo can't be found
+  photoImageHTML(src) {
+    if (src === undefined) return '<div style="padding: 20px;">📷 Loading photo…</div>';
+    if (!src) return '<div style="padding: 20px;">📷 Photo not available</div>';
+    return `<img src="${src}" style="width:200px; max-height:150px; object-fit:cover; border-radius:8px;">`;
+  }
+
+  // Photos are only read from storage when their popup is first opened
+  loadPopupPhoto(marker, entry, renderPopup) {
+    marker.once('popupopen', async () => {
+      const mediaStore = this.dependencies.mediaStore;
+      try {
+        const src = mediaStore ? await mediaStore.resolve(entry) : (entry.content || entry.photo || entry.photoUrl || null);
+        marker.setPopupContent(renderPopup(src));
+      } catch (error) {
+        console.warn('📷 Photo failed to load:', error);
+        marker.setPopupContent(renderPopup(null));
+      }
+    });
+  }
+
+  // Consecutive stretches of recorded vs filled-in points; a step touching a
+  // synthetic point belongs to the filled stretch
+  splitSyntheticRuns(segment) {
+    const runs = [];
+
+    for (let i = 1; i < segment.length; i++) {
+      const synthetic = !!(segment[i - 1].synthetic || segment[i].synthetic);
+      const last = runs[runs.length - 1];
+
+      if (last && last.synthetic === synthetic) {
+        last.points.push(segment[i]);
+      } else {
+        runs.push({ synthetic, points: [segment[i - 1], segment[i]] });
+      }
+    }
+
+    return runs;
+  }
+
+  // NEW: Path being traced by hand to fill a GPS gap in the route editor
+  showGapPath(fromCoords, pathCoords, toCoords) {
+    this.clearGapPath();
+    if (!this.map) return;
+
+    const line = [fromCoords, ...pathCoords, toCoords].map(coords => [coords.lat, coords.lng]);
+    this.gapPathLayers.push(L.polyline(line, {
+      color: '#FF9800',
+      weight: 5,
+      opacity: 0.9,
+      dashArray: '2, 8'
+    }).addTo(this.map));
+
+    pathCoords.forEach(coords => {
+      this.gapPathLayers.push(L.circleMarker([coords.lat, coords.lng], {
+        radius: 5,
+        color: '#fff',
+        weight: 2,
+        fillColor: '#FF9800',
+        fillOpacity: 1
+      }).addTo(this.map));
+    });
+  }
+
+  clearGapPath() {
+    this.gapPathLayers.forEach(layer => {
+      this.map.removeLayer(layer);
+    });
+    this.gapPathLayers = [];
+  }
+
+  // NEW: Highlight the route editor's selected range of points
+  showEditSelection(points, startIndex, endIndex) {
+    this.clearEditSelection();
+    if (!this.map || !points || points.length === 0) return;
+
+    const selected = points.slice(startIndex, endIndex + 1).map(p => [p.coords.lat, p.coords.lng]);
+
+    if (selected.length > 1) {
+      this.editLayers.push(L.polyline(selected, {
+        color: '#F44336',
+        weight: 7,
+        opacity: 0.7
+      }).addTo(this.map));
+    }
+
+    [startIndex, endIndex].forEach((index, i) => {
+      const point = points[index];
+      if (!point) return;
+
+      this.editLayers.push(L.circleMarker([point.coords.lat, point.coords.lng], {
+        radius: 8,
+        color: '#fff',
+        weight: 2,
+        fillColor: i === 0 ? '#2196F3' : '#F44336',
+        fillOpacity: 1
+      }).addTo(this.map).bindTooltip(i === 0 ? 'Selection start' : 'Selection end'));
+    });
+  }
+
+  clearEditSelection() {
+    this.editLayers.forEach(layer => {
+      this.map.removeLayer(layer);
+    });
+    this.editLayers = [];
+  }
+
   // NEW: Get route statistics for current display
   getRouteStats() {
     return {
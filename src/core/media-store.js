@@ -0,0 +1,247 @@
+// media-store.js - Photo Blobs kept out of route data, in the IndexedDB `media` store
+
+/**
+ * Route entries carrying a photo: which field held the inline data URL,
+ * which field references the media record, and where cloud copies keep
+ * their Firebase Storage download URLs.
+ */
+export const PHOTO_FIELDS = {
+  photo: { inline: 'content', ref: 'mediaId', url: 'photoUrl', thumb: 'thumbnailUrl' },
+  barrier: { inline: 'photo', ref: 'photoMediaId', url: 'photoUrl', thumb: 'photoThumbnailUrl' }
+};
+
+export function getPhotoFields(entry) {
+  return entry ? PHOTO_FIELDS[entry.type] || null : null;
+}
+
+// The inline data URL of an entry not yet moved to the media store, or null
+export function getInlinePhoto(entry) {
+  const fields = getPhotoFields(entry);
+  const value = fields ? entry[fields.inline] : null;
+  return typeof value === 'string' && value.startsWith('data:') ? value : null;
+}
+
+// Download URL of a photo uploaded to cloud storage, or null
+export function getPhotoURL(entry) {
+  const fields = getPhotoFields(entry);
+  return fields && entry[fields.url] ? entry[fields.url] : null;
+}
+
+/**
+ * Copies of the entries with uploaded photos' URLs in the inline fields,
+ * for HTML templates that read `content` / `photo` directly.
+ */
+export function withRemotePhotoSources(routeData = []) {
+  return routeData.map(entry => {
+    const fields = getPhotoFields(entry);
+    return fields && entry[fields.url] && !entry[fields.inline]
+      ? { ...entry, [fields.inline]: entry[fields.url] }
+      : entry;
+  });
+}
+
+// Media ids referenced by a route
+export function getMediaIds(routeData = []) {
+  return routeData
+    .map(entry => {
+      const fields = getPhotoFields(entry);
+      return fields ? entry[fields.ref] : null;
+    })
+    .filter(Boolean);
+}
+
+export function createMediaId() {
+  return `photo-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Synchronous so it can run inside an IndexedDB upgrade transaction
+export function dataURLToBlob(dataURL) {
+  const [header, payload] = dataURL.split(',');
+  const mimeType = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+
+  if (!header.includes(';base64')) {
+    return new Blob([decodeURIComponent(payload)], { type: mimeType });
+  }
+
+  const binary = atob(payload);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+export function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Failed to read photo'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+// Small JPEG preview of a photo, longest side maxSize px
+export async function createThumbnail(blob, maxSize = 240, quality = 0.6) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(thumbnail => {
+      if (thumbnail) {
+        resolve(thumbnail);
+      } else {
+        reject(new Error('Failed to create thumbnail'));
+      }
+    }, 'image/jpeg', quality);
+  });
+}
+
+export function createMediaRecord(id, blob) {
+  return {
+    id,
+    blob,
+    mimeType: blob.type,
+    size: blob.size,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Photos for routes, loaded only when a popup, export or upload needs them.
+ * Without IndexedDB everything stays inline (data URLs in the entries), so
+ * callers always go through resolve()/inlinePhotos() rather than the fields.
+ */
+export class MediaStore {
+  constructor(routeDB) {
+    this.routeDB = routeDB;
+    this.objectUrls = new Map();
+  }
+
+  isAvailable() {
+    return !!(this.routeDB && this.routeDB.db && this.routeDB.db.objectStoreNames.contains('media'));
+  }
+
+  // Store a photo Blob; resolves with its id, or null when the store isn't available
+  async savePhoto(blob) {
+    if (!this.isAvailable()) return null;
+
+    const id = createMediaId();
+    await this.routeDB.saveMedia(createMediaRecord(id, blob));
+    return id;
+  }
+
+  async getBlob(id) {
+    if (!id || !this.isAvailable()) return null;
+
+    const record = await this.routeDB.getMedia(id);
+    return record ? record.blob : null;
+  }
+
+  // Object URLs are cached for the page's lifetime so markers don't leak new ones
+  async getObjectURL(id) {
+    if (this.objectUrls.has(id)) return this.objectUrls.get(id);
+
+    const blob = await this.getBlob(id);
+    if (!blob) return null;
+
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.set(id, url);
+    return url;
+  }
+
+  /**
+   * Displayable source for an entry's photo: its inline data URL, an object
+   * URL for the stored Blob, or the cloud download URL (routes synced from
+   * another device). null when there is no photo (or it was lost).
+   */
+  async resolve(entry) {
+    const inline = getInlinePhoto(entry);
+    if (inline) return inline;
+
+    const fields = getPhotoFields(entry);
+    const local = fields && entry[fields.ref] ? await this.getObjectURL(entry[fields.ref]) : null;
+    return local || getPhotoURL(entry);
+  }
+
+  // Where a stored photo was uploaded ({ userId, url, thumbnailUrl, storagePath }), or null
+  async getCloudCopy(id) {
+    if (!id || !this.isAvailable()) return null;
+
+    const record = await this.routeDB.getMedia(id);
+    return record && record.cloud ? record.cloud : null;
+  }
+
+  // Remember an upload so the photo isn't sent again with later saves of its route
+  async saveCloudCopy(id, cloud) {
+    if (!id || !this.isAvailable()) return;
+
+    const record = await this.routeDB.getMedia(id);
+    if (record) {
+      await this.routeDB.saveMedia({ ...record, cloud });
+    }
+  }
+
+  /**
+   * Copies of the entries with photos embedded as data URLs again, for files
+   * that must stand on their own (JSON/HTML export, queued uploads). Photos
+   * only available in the cloud keep their download URL in the inline field.
+   */
+  async inlinePhotos(routeData = []) {
+    return Promise.all(routeData.map(async entry => {
+      const fields = getPhotoFields(entry);
+      if (!fields || !entry[fields.ref]) return withRemotePhotoSources([entry])[0];
+
+      const blob = await this.getBlob(entry[fields.ref]);
+      const { [fields.ref]: mediaId, ...rest } = entry;
+      return blob ? { ...rest, [fields.inline]: await blobToDataURL(blob) } : withRemotePhotoSources([entry])[0];
+    }));
+  }
+
+  /**
+   * Copies of the entries with inline photos moved into the media store
+   * (imports, restored backups). Unchanged when the store isn't available.
+   */
+  async extractInlinePhotos(routeData = []) {
+    if (!this.isAvailable()) return routeData;
+
+    return Promise.all(routeData.map(async entry => {
+      const inline = getInlinePhoto(entry);
+      if (!inline) return entry;
+
+      const fields = getPhotoFields(entry);
+      const id = await this.savePhoto(dataURLToBlob(inline));
+      const { [fields.inline]: content, ...rest } = entry;
+      return { ...rest, [fields.ref]: id };
+    }));
+  }
+
+  /**
+   * Delete media no longer referenced by any of the given routes.
+   * Resolves with the number of records removed.
+   */
+  async pruneUnreferenced(routes = []) {
+    if (!this.isAvailable()) return 0;
+
+    const referenced = new Set(routes.flatMap(routeData => getMediaIds(routeData)));
+    const orphaned = (await this.routeDB.getMediaIds()).filter(id => !referenced.has(id));
+
+    for (const id of orphaned) {
+      await this.routeDB.deleteMedia(id);
+      if (this.objectUrls.has(id)) {
+        URL.revokeObjectURL(this.objectUrls.get(id));
+        this.objectUrls.delete(id);
+      }
+    }
+
+    if (orphaned.length > 0) {
+      console.log(`🧹 Removed ${orphaned.length} unreferenced photo(s)`);
+    }
+    return orphaned.length;
+  }
+}
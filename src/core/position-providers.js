@@ -0,0 +1,308 @@
+// position-providers.js - Interchangeable sources of position fixes
+//
+// Every provider exposes the same shape as navigator.geolocation:
+//   watch(onPosition, onError, options) -> watchId
+//   clearWatch(watchId)
+// and emits GeolocationPosition-like objects ({ coords: {...}, timestamp })
+// and GeolocationPositionError-like errors ({ code, message }).
+
+const ERROR_CODES = {
+  PERMISSION_DENIED: 1,
+  POSITION_UNAVAILABLE: 2,
+  TIMEOUT: 3
+};
+
+function createPositionError(code, message) {
+  return { code, message, ...ERROR_CODES };
+}
+
+function createPosition({ lat, lng, accuracy, altitude = null, altitudeAccuracy = null, heading = null, speed = null, timestamp }) {
+  return {
+    coords: {
+      latitude: lat,
+      longitude: lng,
+      accuracy,
+      altitude,
+      altitudeAccuracy,
+      heading,
+      speed
+    },
+    timestamp
+  };
+}
+
+// Offset coords by a random distance (roughly normal, sigma in meters)
+function jitter(coords, sigmaMeters) {
+  if (!sigmaMeters) return coords;
+
+  const gaussian = () => {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  };
+
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos(coords.lat * Math.PI / 180);
+
+  return {
+    lat: coords.lat + (gaussian() * sigmaMeters) / metersPerDegLat,
+    lng: coords.lng + (gaussian() * sigmaMeters) / metersPerDegLng
+  };
+}
+
+// Real device GPS
+export class GeolocationProvider {
+  constructor() {
+    this.name = 'geolocation';
+    this.label = 'Device GPS';
+  }
+
+  isSupported() {
+    return !!navigator.geolocation;
+  }
+
+  watch(onPosition, onError, options) {
+    return navigator.geolocation.watchPosition(onPosition, onError, options);
+  }
+
+  clearWatch(watchId) {
+    navigator.geolocation.clearWatch(watchId);
+  }
+}
+
+/**
+ * Plays back a recorded route (GPX or exported JSON) as live fixes.
+ * Fix timestamps follow the recording's own clock, compressed by `speed`,
+ * so distance/speed filters see realistic movement at any playback rate.
+ */
+export class ReplayProvider {
+  constructor({ speed = 1, noiseMeters = 0, accuracyDropRate = 0, timeoutRate = 0, intervalMs = 1000 } = {}) {
+    this.name = 'replay';
+    this.label = 'Replay file';
+    this.speed = speed;
+    this.noiseMeters = noiseMeters;
+    this.accuracyDropRate = accuracyDropRate;
+    this.timeoutRate = timeoutRate;
+    this.intervalMs = intervalMs;
+    this.points = [];
+    this.sourceName = null;
+    this.onFinished = null;
+    this.nextWatchId = 1;
+    this.activeWatch = null;
+    this.reset();
+  }
+
+  isSupported() {
+    return this.points.length > 0;
+  }
+
+  /**
+   * Load fixes to play back: [{ coords: { lat, lng }, timestamp?, accuracy?, altitude? }]
+   */
+  load(points, sourceName = null) {
+    this.points = points.filter(p => p && p.coords &&
+      typeof p.coords.lat === 'number' && typeof p.coords.lng === 'number');
+    this.sourceName = sourceName;
+    this.reset();
+    console.log(`🎬 Replay loaded: ${this.points.length} points${sourceName ? ` from ${sourceName}` : ''}`);
+    return this.points.length;
+  }
+
+  configure(options = {}) {
+    ['speed', 'noiseMeters', 'accuracyDropRate', 'timeoutRate', 'intervalMs'].forEach(key => {
+      if (typeof options[key] === 'number') {
+        this[key] = options[key];
+      }
+    });
+  }
+
+  // Rewind to the first point
+  reset() {
+    this.cursor = 0;
+    this.clockOffset = null;
+  }
+
+  watch(onPosition, onError) {
+    if (this.activeWatch) {
+      this.clearWatch(this.activeWatch.id);
+    }
+
+    const watchId = this.nextWatchId++;
+    this.activeWatch = { id: watchId, onPosition, onError, timer: null };
+
+    if (this.points.length === 0) {
+      setTimeout(() => onError(createPositionError(ERROR_CODES.POSITION_UNAVAILABLE, 'No replay file loaded')), 0);
+      return watchId;
+    }
+
+    // Resume from the cursor (pause/resume keeps the playback position)
+    this.clockOffset = null;
+    this.scheduleNext(0);
+    return watchId;
+  }
+
+  clearWatch(watchId) {
+    if (!this.activeWatch || this.activeWatch.id !== watchId) return;
+
+    clearTimeout(this.activeWatch.timer);
+    this.activeWatch = null;
+  }
+
+  scheduleNext(delay) {
+    const watch = this.activeWatch;
+    if (!watch) return;
+
+    watch.timer = setTimeout(() => this.emitNext(watch), delay);
+  }
+
+  emitNext(watch) {
+    if (this.activeWatch !== watch) return;
+
+    if (this.cursor >= this.points.length) {
+      console.log('🎬 Replay finished');
+      this.activeWatch = null;
+      if (this.onFinished) {
+        this.onFinished();
+      }
+      return;
+    }
+
+    const index = this.cursor++;
+    const point = this.points[index];
+    const sourceTime = this.getSourceTime(index);
+
+    // Map the recording's clock onto now when playback (re)starts
+    if (this.clockOffset === null) {
+      this.clockOffset = Date.now() - sourceTime;
+    }
+
+    if (Math.random() < this.timeoutRate) {
+      watch.onError(createPositionError(ERROR_CODES.TIMEOUT, 'Simulated GPS timeout'));
+    } else {
+      const dropped = Math.random() < this.accuracyDropRate;
+      const baseAccuracy = point.accuracy || 5;
+
+      watch.onPosition(createPosition({
+        ...jitter(point.coords, dropped ? 80 : this.noiseMeters),
+        accuracy: dropped ? 150 : Math.max(baseAccuracy, this.noiseMeters),
+        altitude: typeof point.altitude === 'number' ? point.altitude : null,
+        timestamp: this.clockOffset + sourceTime
+      }));
+    }
+
+    if (this.cursor < this.points.length) {
+      const gap = this.getSourceTime(this.cursor) - sourceTime;
+      this.scheduleNext(Math.max(50, gap / this.speed));
+    } else {
+      this.scheduleNext(0);
+    }
+  }
+
+  // Source timestamp for a point, synthesised from intervalMs when the file has none
+  getSourceTime(index) {
+    const point = this.points[index];
+    const first = this.points[0];
+
+    if (point.timestamp && first.timestamp) {
+      return point.timestamp;
+    }
+    return index * this.intervalMs;
+  }
+
+  getProgress() {
+    return {
+      current: this.cursor,
+      total: this.points.length
+    };
+  }
+
+  static parseGPX(text) {
+    const gpxDoc = new DOMParser().parseFromString(text, 'text/xml');
+    const trackPoints = gpxDoc.querySelectorAll('trkpt, rtept');
+
+    return Array.from(trackPoints).map(trkpt => {
+      const timeElement = trkpt.querySelector('time');
+      const eleElement = trkpt.querySelector('ele');
+
+      return {
+        coords: {
+          lat: parseFloat(trkpt.getAttribute('lat')),
+          lng: parseFloat(trkpt.getAttribute('lon'))
+        },
+        timestamp: timeElement ? new Date(timeElement.textContent).getTime() : null,
+        altitude: eleElement ? parseFloat(eleElement.textContent) : null
+      };
+    }).filter(p => !isNaN(p.coords.lat) && !isNaN(p.coords.lng));
+  }
+
+  // Accepts the app's own JSON exports or a bare route data array
+  static parseRouteJSON(text) {
+    const data = JSON.parse(text);
+
+    let routeData = null;
+    if (Array.isArray(data)) {
+      routeData = data;
+    } else if (data.route && Array.isArray(data.route)) {
+      routeData = data.route;
+    } else if (data.routes && Array.isArray(data.routes) && data.routes.length > 0) {
+      routeData = data.routes[0].route;
+    } else if (data.points && Array.isArray(data.points)) {
+      routeData = data.points;
+    }
+
+    if (!routeData) {
+      throw new Error('Invalid JSON format - no route data found');
+    }
+
+    return routeData.filter(p => p && p.type === 'location' && p.coords);
+  }
+}
+
+// Each tap on the map becomes a position fix
+export class ManualProvider {
+  constructor(mapController) {
+    this.name = 'manual';
+    this.label = 'Tap on map';
+    this.mapController = mapController;
+    this.accuracy = 5;
+    this.nextWatchId = 1;
+    this.activeWatch = null;
+  }
+
+  isSupported() {
+    return !!(this.mapController && this.mapController.map);
+  }
+
+  watch(onPosition, onError) {
+    if (this.activeWatch) {
+      this.clearWatch(this.activeWatch.id);
+    }
+
+    const watchId = this.nextWatchId++;
+
+    if (!this.isSupported()) {
+      setTimeout(() => onError(createPositionError(ERROR_CODES.POSITION_UNAVAILABLE, 'Map not ready')), 0);
+      return watchId;
+    }
+
+    const handler = (event) => {
+      onPosition(createPosition({
+        lat: event.latlng.lat,
+        lng: event.latlng.lng,
+        accuracy: this.accuracy,
+        timestamp: Date.now()
+      }));
+    };
+
+    this.mapController.addClickHandler(handler);
+    this.activeWatch = { id: watchId, handler };
+    return watchId;
+  }
+
+  clearWatch(watchId) {
+    if (!this.activeWatch || this.activeWatch.id !== watchId) return;
+
+    this.mapController.removeClickHandler(this.activeWatch.handler);
+    this.activeWatch = null;
+  }
+}
@@ -1,6 +1,9 @@
 // storage.js - Enhanced Storage Controller with IndexedDB
 import { RouteDB } from './indexeddb.js';
 import { throttle } from '../utils/helpers.js';
+import { getLastSegmentIndex, getSegmentCount } from '../utils/segments.js';
+import { formatMigrationReport } from './db-migrations.js';
+import { MediaStore } from './media-store.js';
 
 export class AppState {
   constructor() {
@@ -12,13 +15,18 @@ export class AppState {
     this.isPaused = false;
     this.startTime = null;
     this.lastCoords = null;
+    this.currentSegment = 0;
     this.lastBackupTime = 0;
     this.backupInterval = null;
+    this.recordingSettings = {};
 
     // IndexedDB integration
     this.routeDB = new RouteDB();
     this.dbReady = false;
 
+    // Photo Blobs live in their own store; route entries only reference them
+    this.mediaStore = new MediaStore(this.routeDB);
+
     // Throttled UI updates for performance
     this.throttledDistanceUpdate = throttle(this.updateDistanceDisplay.bind(this), 500);
     this.throttledTimerUpdate = throttle(this.updateTimerDisplay.bind(this), 1000);
@@ -26,8 +34,8 @@ export class AppState {
     // Add cleanup listeners to prevent memory leaks
     this.setupCleanupListeners();
 
-    // Initialize database
-    this.initDB();
+    // Initialize database (awaitable by controllers that need stored data at startup)
+    this.dbInitialized = this.initDB();
   }
 
   setupCleanupListeners() {
@@ -45,88 +53,50 @@ export class AppState {
 
   async initDB() {
     try {
+      // Dry run first so a failing migration is visible in the log before it runs
+      const preview = await this.routeDB.previewMigrations();
+      if (preview.pending.length > 0 || preview.invalid.length > 0) {
+        console.log(`🔍 ${formatMigrationReport(preview).join('\n')}`);
+      }
+
       await this.routeDB.init();
       this.dbReady = true;
       console.log('✅ IndexedDB ready - Large storage capacity available');
 
-      // Migrate localStorage data if exists
-      await this.migrateFromLocalStorage();
+      // localStorage sessions are imported by the schema migrations
+      await this.checkOrphanedBackup();
     } catch (error) {
       console.warn('⚠️ IndexedDB failed, falling back to localStorage:', error);
       this.dbReady = false;
     }
   }
 
-  async migrateFromLocalStorage() {
+  // Recover routes if the pre-migration copy exists but IndexedDB lost them
+  async checkOrphanedBackup() {
     try {
-      const migrationStatus = localStorage.getItem('indexeddb_migration');
-      
-      if (migrationStatus === 'completed') {
-        console.log('ℹ️ Migration already completed');
-        
-        // Check for orphaned backup data
-        const backupData = localStorage.getItem('sessions_backup_pre_migration');
-        if (backupData) {
-          const existingRoutes = await this.routeDB.getAllRoutes();
-          if (existingRoutes.length === 0) {
-            console.log('🔄 Found orphaned backup data, attempting recovery...');
-            await this.recoverFromBackup();
-          }
-        }
-        return;
-      }
-
-      // Migrate sessions
-      const oldSessions = JSON.parse(localStorage.getItem('sessions') || '[]');
-      
-      if (oldSessions.length > 0) {
-        console.log(`🔄 Migrating ${oldSessions.length} routes from localStorage to IndexedDB...`);
-        
-        let migratedCount = 0;
-        for (const session of oldSessions) {
-          try {
-            await this.routeDB.saveRoute({
-              ...session,
-              migrated: true,
-              migratedAt: new Date().toISOString(),
-              migratedFrom: 'localStorage',
-              version: '2.0'
-            });
-            migratedCount++;
-            console.log(`✅ Migrated: ${session.name}`);
-          } catch (error) {
-            console.error(`❌ Failed to migrate route ${session.name}:`, error);
-          }
-        }
+      const backupData = localStorage.getItem('sessions_backup_pre_migration');
+      if (!backupData) return;
 
-        if (migratedCount > 0) {
-          // Keep backup, then clear
-          localStorage.setItem('sessions_backup_pre_migration', localStorage.getItem('sessions'));
-          localStorage.removeItem('sessions');
-          console.log(`✅ Successfully migrated ${migratedCount}/${oldSessions.length} routes`);
-        }
+      const existingRoutes = await this.routeDB.getAllRoutes();
+      if (existingRoutes.length === 0) {
+        console.log('🔄 Found orphaned backup data, attempting recovery...');
+        await this.recoverFromBackup();
       }
-
-      // Migrate backup
-      const oldBackup = localStorage.getItem('route_backup');
-      if (oldBackup) {
-        try {
-          await this.routeDB.saveBackup(JSON.parse(oldBackup));
-          localStorage.removeItem('route_backup');
-          console.log('✅ Route backup migrated to IndexedDB');
-        } catch (error) {
-          console.error('❌ Failed to migrate backup:', error);
-        }
-      }
-
-      localStorage.setItem('indexeddb_migration', 'completed');
-      console.log('✅ IndexedDB migration completed successfully');
-      
     } catch (error) {
-      console.error('❌ Migration failed:', error);
+      console.error('❌ Backup check failed:', error);
     }
   }
 
+  // Migration preview (dry run + validation) and the applied history, for diagnostics
+  async getMigrationStatus(fromVersion = null) {
+    if (!this.dbReady) return null;
+
+    return {
+      preview: await this.routeDB.previewMigrations(fromVersion),
+      history: await this.routeDB.getMigrationHistory()
+    };
+  }
+
   async recoverFromBackup() {
     try {
       const backupData = localStorage.getItem('sessions_backup_pre_migration');
@@ -160,6 +130,7 @@ export class AppState {
   addRoutePoint(entry) {
     this.routeData.push({
       ...entry,
+      ...(entry.type === 'location' && typeof entry.segment !== 'number' && { segment: this.currentSegment }),
       timestamp: entry.timestamp || Date.now()
     });
 
@@ -182,8 +153,10 @@ export class AppState {
     this.totalDistance = 0;
     this.elapsedTime = 0;
     this.lastCoords = null;
+    this.currentSegment = 0;
     this.isTracking = false;
     this.isPaused = false;
+    this.recordingSettings = {};
     this.stopAutoBackup();
     this.clearRouteBackup();
   }
@@ -241,7 +214,30 @@ export class AppState {
     return this.lastCoords;
   }
 
-  async saveSession(name) {
+  // Start a new track segment: the next point is not joined to the previous one
+  startNewSegment() {
+    const hasPoints = this.routeData.some(p => p && p.type === 'location' && p.segment === this.currentSegment);
+    if (hasPoints) {
+      this.currentSegment++;
+    }
+    this.lastCoords = null;
+    console.log(`✂️ Track segment ${this.currentSegment} started`);
+  }
+
+  getCurrentSegment() {
+    return this.currentSegment;
+  }
+
+  // Per-recording settings (GPS filter etc.), stored with backups and sessions
+  setRecordingSetting(key, value) {
+    this.recordingSettings = { ...this.recordingSettings, [key]: value };
+  }
+
+  getRecordingSettings() {
+    return { ...this.recordingSettings };
+  }
+
+  async saveSession(name, extras = {}) {
     if (!name || this.routeData.length === 0) {
       throw new Error('Invalid session data');
     }
@@ -254,7 +250,11 @@ export class AppState {
       elapsedTime: this.elapsedTime,
       data: [...this.routeData],
       dataSize: JSON.stringify(this.routeData).length,
-      version: '2.0'
+      segmentCount: getSegmentCount(this.routeData),
+      recordingSettings: this.getRecordingSettings(),
+      version: '2.0',
+      modifiedAt: Date.now(),
+      ...extras
     };
 
     try {
@@ -312,6 +312,116 @@ export class AppState {
     }
   }
 
+  // Write back an edited saved session (same id). Pass { modified: false } for
+  // bookkeeping that isn't a user edit (cloud links, applied sync) so it isn't synced back.
+  async updateSession(session, { modified = true } = {}) {
+    if (modified) {
+      session = { ...session, modifiedAt: Date.now() };
+    }
+
+    if (this.dbReady) {
+      await this.routeDB.updateRoute(session);
+    } else {
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      const index = sessions.findIndex(s => s.id === session.id);
+      if (index === -1) {
+        throw new Error(`Session ${session.id} not found`);
+      }
+      sessions[index] = session;
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    console.log(`✏️ Session "${session.name}" updated`);
+
+    // Trimming can drop photo entries
+    await this.pruneMedia();
+    return session;
+  }
+
+  // Store a complete session object (e.g. the second half of a split)
+  async addSession(session) {
+    if (this.dbReady) {
+      await this.routeDB.saveRoute(session);
+    } else {
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      sessions.push(session);
+      localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    console.log(`✅ Session "${session.name}" added`);
+    return session;
+  }
+
+  // Deleting a synced session also deletes its cloud copy at the next sync,
+  // unless keepCloudCopy is set
+  async deleteSession(id, { keepCloudCopy = false } = {}) {
+    const session = (await this.getSessions()).find(s => s.id === id);
+    if (session && session.cloudRouteId && !keepCloudCopy) {
+      await this.addSyncTombstone(session.cloudRouteId);
+    }
+
+    if (this.dbReady) {
+      await this.routeDB.deleteRoute(id);
+    } else {
+      const sessions = JSON.parse(localStorage.getItem('sessions') || '[]');
+      localStorage.setItem('sessions', JSON.stringify(sessions.filter(s => s.id !== id)));
+    }
+    console.log(`🗑️ Session ${id} deleted`);
+
+    await this.pruneMedia();
+  }
+
+  getMediaStore() {
+    return this.mediaStore;
+  }
+
+  // Cloud routes deleted on this device, waiting for the sync engine ([{ cloudRouteId, deletedAt }])
+  async getSyncTombstones() {
+    if (this.dbReady) {
+      return this.routeDB.getSetting('syncTombstones', []);
+    }
+    return JSON.parse(localStorage.getItem('syncTombstones') || '[]');
+  }
+
+  async saveSyncTombstones(tombstones) {
+    if (this.dbReady) {
+      await this.routeDB.saveSetting('syncTombstones', tombstones);
+    } else {
+      localStorage.setItem('syncTombstones', JSON.stringify(tombstones));
+    }
+  }
+
+  async addSyncTombstone(cloudRouteId) {
+    const tombstones = (await this.getSyncTombstones()).filter(t => t.cloudRouteId !== cloudRouteId);
+    await this.saveSyncTombstones([...tombstones, { cloudRouteId, deletedAt: Date.now() }]);
+  }
+
+  async removeSyncTombstones(cloudRouteIds) {
+    const tombstones = await this.getSyncTombstones();
+    await this.saveSyncTombstones(tombstones.filter(t => !cloudRouteIds.includes(t.cloudRouteId)));
+  }
+
+  /**
+   * Remove photos no saved route, current recording or backup refers to.
+   * Photos can move between routes (split, merge), so they are never deleted
+   * together with a route directly.
+   */
+  async pruneMedia() {
+    if (!this.dbReady) return 0;
+
+    try {
+      const sessions = await this.getSessions();
+      const backup = await this.routeDB.getBackup();
+      const routes = [
+        ...sessions.map(session => session.data || []),
+        this.routeData,
+        backup && Array.isArray(backup.routeData) ? backup.routeData : []
+      ];
+      return await this.mediaStore.pruneUnreferenced(routes);
+    } catch (error) {
+      console.warn('⚠️ Photo cleanup failed:', error);
+      return 0;
+    }
+  }
+
   async autoSave() {
     let currentElapsed = this.elapsedTime;
 
@@ -328,11 +438,13 @@ export class AppState {
     const backup = {
       routeData: this.routeData,
       pathPoints: this.pathPoints,
+      currentSegment: this.currentSegment,
       totalDistance: this.totalDistance,
       elapsedTime: currentElapsed,
       startTime: this.startTime,
       isTracking: this.isTracking,
       isPaused: this.isPaused,
+      recordingSettings: this.recordingSettings,
       backupTime: Date.now(),
       deviceInfo: {
         userAgent: navigator.userAgent,
@@ -457,6 +569,10 @@ export class AppState {
       this.totalDistance = typeof backupData.totalDistance === 'number' ? backupData.totalDistance : 0;
       this.elapsedTime = typeof backupData.elapsedTime === 'number' ? backupData.elapsedTime : 0;
       this.startTime = backupData.startTime || null;
+      this.recordingSettings = backupData.recordingSettings || {};
+      this.currentSegment = typeof backupData.currentSegment === 'number'
+        ? backupData.currentSegment
+        : getLastSegmentIndex(this.routeData);
 
       // Rebuild pathPoints if missing
       if (this.pathPoints.length === 0 && this.routeData.length > 0) {
@@ -590,7 +706,8 @@ export class AppState {
     const info = {
       indexedDBSupported: this.dbReady,
       storageType: this.dbReady ? 'IndexedDB' : 'localStorage',
-      migrationCompleted: localStorage.getItem('indexeddb_migration') === 'completed'
+      migrationCompleted: localStorage.getItem('indexeddb_migration') === 'completed',
+      schemaVersion: this.dbReady ? this.routeDB.db.version : null
     };
 
     try {
@@ -663,6 +780,7 @@ export class AppState {
           await this.routeDB.deleteRoute(route.id);
         }
         console.log('🧹 All routes cleared from IndexedDB');
+        await this.pruneMedia();
       }
 
       localStorage.removeItem('sessions');
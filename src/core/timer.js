@@ -6,6 +6,7 @@ export class TimerController {
     this.isRunning = false;
     this.intervalId = null;
     this.pausedTime = 0;
+    this.isAutoPaused = false;
   }
 
   initialize() {
@@ -77,6 +78,35 @@ export class TimerController {
     this.start(this.elapsedTime);
   }
 
+  // NEW: Auto-pause - stop counting from when the stop began, not when it was detected
+  autoPause(since = Date.now()) {
+    if (!this.isRunning) return;
+
+    this.pause();
+    this.elapsedTime = Math.max(0, Math.min(this.elapsedTime, since - this.startTime));
+    this.isAutoPaused = true;
+    this.updateDisplay();
+
+    if (this.element) {
+      this.element.classList.add('auto-paused');
+    }
+    console.log(`⏸️ Timer auto-paused at: ${this.formatTime(this.elapsedTime)}`);
+  }
+
+  // NEW: Leave auto-pause; restart = false keeps the timer paused (e.g. manual pause)
+  autoResume(restart = true) {
+    if (!this.isAutoPaused) return;
+
+    this.isAutoPaused = false;
+    if (this.element) {
+      this.element.classList.remove('auto-paused');
+    }
+
+    if (restart) {
+      this.resume();
+    }
+  }
+
   // NEW: Get current elapsed time
   getCurrentElapsed() {
     if (this.isRunning) {
@@ -116,6 +146,7 @@ export class TimerController {
 
   // NEW: Reset timer completely
   reset() {
+    this.autoResume(false);
     this.stop();
     this.elapsedTime = 0;
     this.startTime = null;
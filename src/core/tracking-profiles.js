@@ -0,0 +1,159 @@
+// tracking-profiles.js - Accuracy, sampling and battery trade-offs per recording
+import { haversineDistance } from '../utils/calculations.js';
+
+/**
+ * Each profile sets what is asked of the GPS and which fixes are stored:
+ * a fix is kept once it is at least minDistanceMeters from the last stored
+ * point AND the speed-dependent interval has passed. Slow movement needs
+ * fewer points to describe the same path.
+ *
+ * lowBattery (optional) kicks in below `level` while not charging: intervals
+ * are multiplied by `intervalFactor` and high accuracy can be turned off.
+ */
+export const TRACKING_PROFILES = {
+  precision: {
+    label: 'Precision (every fix)',
+    enableHighAccuracy: true,
+    maximumAge: 0,
+    minDistanceMeters: 2,
+    intervals: [{ maxSpeedKmh: Infinity, intervalMs: 0 }],
+    lowBattery: null
+  },
+  balanced: {
+    label: 'Balanced',
+    enableHighAccuracy: true,
+    maximumAge: 3000,
+    minDistanceMeters: 5,
+    intervals: [
+      { maxSpeedKmh: 2, intervalMs: 10000 },
+      { maxSpeedKmh: 7, intervalMs: 5000 },
+      { maxSpeedKmh: Infinity, intervalMs: 2000 }
+    ],
+    lowBattery: { level: 0.2, intervalFactor: 2, enableHighAccuracy: false }
+  },
+  batterySaver: {
+    label: 'Battery saver',
+    enableHighAccuracy: false,
+    maximumAge: 10000,
+    minDistanceMeters: 10,
+    intervals: [
+      { maxSpeedKmh: 2, intervalMs: 30000 },
+      { maxSpeedKmh: 7, intervalMs: 15000 },
+      { maxSpeedKmh: Infinity, intervalMs: 5000 }
+    ],
+    lowBattery: { level: 0.3, intervalFactor: 2, enableHighAccuracy: false }
+  }
+};
+
+export const DEFAULT_TRACKING_PROFILE = 'balanced';
+
+export class AdaptiveSampler {
+  constructor(profileName = DEFAULT_TRACKING_PROFILE) {
+    this.profileName = TRACKING_PROFILES[profileName] ? profileName : DEFAULT_TRACKING_PROFILE;
+    this.profile = TRACKING_PROFILES[this.profileName];
+    this.battery = null;
+    this.reset();
+  }
+
+  /**
+   * Update the battery status ({ level 0..1, charging }).
+   * Returns true when low-battery mode switched on or off.
+   */
+  setBattery(status) {
+    const wasLow = this.isLowBattery();
+    this.battery = status;
+    return wasLow !== this.isLowBattery();
+  }
+
+  isLowBattery() {
+    const lowBattery = this.profile.lowBattery;
+    if (!lowBattery || !this.battery || this.battery.charging) return false;
+    return this.battery.level <= lowBattery.level;
+  }
+
+  getGPSOptions() {
+    const low = this.isLowBattery();
+    return {
+      enableHighAccuracy: low ? this.profile.lowBattery.enableHighAccuracy : this.profile.enableHighAccuracy,
+      maximumAge: this.profile.maximumAge,
+      timeout: 15000
+    };
+  }
+
+  getInterval(speedKmh) {
+    const step = this.profile.intervals.find(entry => speedKmh <= entry.maxSpeedKmh) ||
+      this.profile.intervals[this.profile.intervals.length - 1];
+    return this.isLowBattery() ? step.intervalMs * this.profile.lowBattery.intervalFactor : step.intervalMs;
+  }
+
+  /**
+   * Decide whether an accepted fix is stored. lastCoords is the last stored
+   * point of the current segment (null at a segment start, which is always stored).
+   * speedMps is the device-reported speed, or null to derive it from the fixes.
+   */
+  shouldStore(fix, lastCoords, speedMps = null) {
+    if (!lastCoords || this.lastStoredTime === null) {
+      return this.markStored(fix);
+    }
+
+    const meters = haversineDistance(lastCoords, fix.coords) * 1000;
+    if (meters < this.profile.minDistanceMeters) {
+      this.stats.skipped++;
+      return false;
+    }
+
+    const elapsedMs = fix.timestamp - this.lastStoredTime;
+    const speedKmh = speedMps !== null
+      ? speedMps * 3.6
+      : (elapsedMs > 0 ? meters / elapsedMs * 3600 : 0);
+
+    if (elapsedMs < this.getInterval(speedKmh)) {
+      this.stats.skipped++;
+      return false;
+    }
+
+    return this.markStored(fix);
+  }
+
+  markStored(fix) {
+    this.lastStoredTime = fix.timestamp;
+    this.stats.stored++;
+    return true;
+  }
+
+  getStats() {
+    return { profile: this.profileName, ...this.stats };
+  }
+
+  reset() {
+    this.lastStoredTime = null;
+    this.stats = { stored: 0, skipped: 0 };
+  }
+}
+
+/**
+ * Report battery status changes via the Battery Status API where available.
+ * Resolves with a function that stops watching (a no-op when unsupported).
+ */
+export async function watchBattery(onChange) {
+  if (typeof navigator === 'undefined' || typeof navigator.getBattery !== 'function') {
+    return () => {};
+  }
+
+  try {
+    const battery = await navigator.getBattery();
+    const report = () => onChange({ level: battery.level, charging: battery.charging });
+
+    battery.addEventListener('levelchange', report);
+    battery.addEventListener('chargingchange', report);
+    report();
+
+    return () => {
+      battery.removeEventListener('levelchange', report);
+      battery.removeEventListener('chargingchange', report);
+    };
+  } catch (error) {
+    console.warn('🔋 Battery status unavailable:', error);
+    return () => {};
+  }
+}
@@ -1,8 +1,34 @@
-// tracking.js - Enhanced GPS Tracking Controller with Toast Notifications
+// tracking.js - GPS Tracking Controller (event-emitting core, no DOM access)
 import { haversineDistance } from '../utils/calculations.js';
-
-export class TrackingController {
+import { createGPSPipeline, DEFAULT_GPS_FILTER, GPS_FILTER_PROFILES } from './gps-filters.js';
+import { AutoPauseDetector } from './auto-pause.js';
+import { calculateTimeStats, calculateElevationStats, createElevationTotals, addElevationSample } from '../utils/route-stats.js';
+import { GeolocationProvider } from './position-providers.js';
+import { AdaptiveSampler, DEFAULT_TRACKING_PROFILE, TRACKING_PROFILES, watchBattery } from './tracking-profiles.js';
+import { EventEmitter } from '../utils/event-emitter.js';
+import { calculateSplits } from '../utils/splits.js';
+import { analyzeRouteQuality } from '../utils/gps-quality.js';
+import { INITIAL_REVISION, markSynced } from '../utils/sync-plan.js';
+
+/**
+ * Records a route from position fixes and reports everything as events, so it
+ * can run without the tracker page. The tracker UI is just one subscriber.
+ *
+ *   started { resumed }              paused, resumed
+ *   auto-paused { since, coords }    auto-resumed { at, duration, restartTimer }
+ *   point-accepted { point, previousCoords, fix }
+ *   point-rejected { reason, fix }
+ *   distance-changed { totalDistance, delta }
+ *   elevation-changed { gain, loss }   - running ascent/descent (meters)
+ *   stopped { elapsedTime, pointCount }
+ *   state-changed { isTracking, isPaused, isAutoPaused }
+ *   saved { session, name, cloudRouteId, signedIn }
+ *   notice { level, title, message }  - user-facing status messages
+ *   error { title, message, code, error }
+ */
+export class TrackingController extends EventEmitter {
   constructor(appState) {
+    super();
     this.appState = appState;
     this.watchId = null;
     this.isTracking = false;
@@ -10,6 +36,32 @@ export class TrackingController {
     this.dependencies = {};
     this.retryCount = 0;
     this.maxRetries = 3;
+
+    // GPS point processing pipeline (filter profile chosen per recording)
+    this.gpsFilter = localStorage.getItem('gpsFilterProfile') || DEFAULT_GPS_FILTER;
+    this.gpsPipeline = createGPSPipeline(this.gpsFilter);
+
+    // Tracking profile: GPS accuracy requests and how often points are stored
+    this.trackingProfile = localStorage.getItem('trackingProfile') || DEFAULT_TRACKING_PROFILE;
+    this.sampler = new AdaptiveSampler(this.trackingProfile);
+    this.unwatchBattery = null;
+
+    // Auto-pause: timer stops while stationary, GPS watch keeps running
+    this.autoPauseEnabled = localStorage.getItem('autoPauseEnabled') === 'true';
+    this.autoPauseDetector = new AutoPauseDetector();
+    this.isAutoPaused = false;
+    this.currentStop = null;
+
+    // A fix arriving after this long without usable fixes starts a new segment
+    this.gapThresholdMs = 60000;
+    this.lastFixTime = null;
+    this.pendingGapSeconds = null; // tagged on the first point after a gap so it can be filled later
+
+    // Ascent/descent kept up to date per stored point, like the total distance
+    this.elevationTotals = createElevationTotals();
+
+    // Source of position fixes (device GPS, replay file or tap-on-map)
+    this.positionProvider = new GeolocationProvider();
     
     console.log('🎯 TrackingController created');
   }
@@ -18,7 +70,6 @@ export class TrackingController {
     this.dependencies = deps;
     console.log('🔗 TrackingController dependencies set:', {
       hasState: !!deps.state,
-      hasMap: !!deps.map,
       hasTimer: !!deps.timer,
       hasFirebase: !!deps.firebase,
       hasAuth: !!deps.auth,
@@ -26,14 +77,136 @@ export class TrackingController {
     });
   }
 
+  // User-facing status message (the tracker UI shows these as toasts)
+  notify(level, title, message) {
+    this.emit('notice', { level, title, message });
+  }
+
+  emitStateChange() {
+    this.emit('state-changed', {
+      isTracking: this.isTracking,
+      isPaused: this.isPaused,
+      isAutoPaused: this.isAutoPaused
+    });
+  }
+
+  /**
+   * Choose the GPS filter profile for the next recording
+   */
+  setGPSFilter(profileName) {
+    if (!GPS_FILTER_PROFILES[profileName]) {
+      console.warn(`Unknown GPS filter profile: ${profileName}`);
+      return false;
+    }
+
+    if (this.isTracking) {
+      this.notify('warning', 'Recording In Progress', 'The GPS filter can only be changed before starting a recording');
+      return false;
+    }
+
+    this.gpsFilter = profileName;
+    this.gpsPipeline = createGPSPipeline(profileName);
+    localStorage.setItem('gpsFilterProfile', profileName);
+
+    console.log(`🧮 GPS filter set to: ${profileName}`);
+    return true;
+  }
+
+  getGPSFilter() {
+    return this.gpsFilter;
+  }
+
+  /**
+   * Choose the tracking profile (precision, balanced, battery saver) for the next recording
+   */
+  setTrackingProfile(profileName) {
+    if (!TRACKING_PROFILES[profileName]) {
+      console.warn(`Unknown tracking profile: ${profileName}`);
+      return false;
+    }
+
+    if (this.isTracking) {
+      this.notify('warning', 'Recording In Progress', 'The tracking profile can only be changed before starting a recording');
+      return false;
+    }
+
+    this.trackingProfile = profileName;
+    this.sampler = new AdaptiveSampler(profileName);
+    localStorage.setItem('trackingProfile', profileName);
+
+    console.log(`🔋 Tracking profile set to: ${profileName}`);
+    return true;
+  }
+
+  getTrackingProfile() {
+    return this.trackingProfile;
+  }
+
+  /**
+   * Enable or disable automatic pause/resume on stationary periods
+   */
+  setAutoPause(enabled) {
+    this.autoPauseEnabled = !!enabled;
+    localStorage.setItem('autoPauseEnabled', String(this.autoPauseEnabled));
+    this.autoPauseDetector.reset();
+
+    if (this.isTracking) {
+      this.appState.setRecordingSetting('autoPause', this.autoPauseEnabled);
+
+      if (!this.autoPauseEnabled && this.isAutoPaused) {
+        this.exitAutoPause(Date.now());
+      }
+    }
+
+    console.log(`⏯️ Auto-pause ${this.autoPauseEnabled ? 'enabled' : 'disabled'}`);
+    return true;
+  }
+
+  isAutoPauseEnabled() {
+    return this.autoPauseEnabled;
+  }
+
+  /**
+   * Switch the position source used by the next recording
+   */
+  setPositionProvider(provider) {
+    if (this.isTracking) {
+      this.notify('warning', 'Recording In Progress', 'The position source can only be changed before starting a recording');
+      return false;
+    }
+
+    this.positionProvider = provider;
+    console.log(`🛰️ Position source set to: ${provider.name}`);
+    return true;
+  }
+
+  getPositionProvider() {
+    return this.positionProvider;
+  }
+
+  // Map taps are placed by hand: smoothing, outlier, gap, sampling and auto-pause logic don't apply
+  isManualSource() {
+    return this.positionProvider.name === 'manual';
+  }
+
+  createPipeline() {
+    return createGPSPipeline(this.isManualSource() ? 'raw' : this.gpsFilter);
+  }
+
   async start() {
     if (this.isTracking) return false;
     
-    if (!navigator.geolocation) {
-      if (window.toast) {
-        window.toast.error('GPS Not Supported', 'Your browser does not support geolocation');
+    if (!this.positionProvider.isSupported()) {
+      if (this.positionProvider.name === 'geolocation') {
+        this.emit('error', { title: 'GPS Not Supported', message: 'Your browser does not support geolocation' });
+        throw new Error('Geolocation not supported by this browser');
       }
-      throw new Error('Geolocation not supported by this browser');
+
+      this.emit('error', {
+        title: 'Position Source Not Ready',
+        message: `${this.positionProvider.label} has no positions to provide`
+      });
+      throw new Error(`Position source "${this.positionProvider.name}" is not ready`);
     }
 
     console.log('🚀 Starting GPS tracking...');
@@ -46,7 +219,34 @@ export class TrackingController {
       // Starting fresh
       this.appState.clearRouteData();
       this.appState.setStartTime(Date.now());
+      this.appState.setRecordingSetting('gpsFilter', this.gpsFilter);
+      this.appState.setRecordingSetting('trackingProfile', this.trackingProfile);
+      this.gpsPipeline = this.createPipeline();
+
+      // Replays start from the beginning of the file
+      if (typeof this.positionProvider.reset === 'function') {
+        this.positionProvider.reset();
+      }
     } else {
+      // Keep filtering with the profile the route was started with
+      const restoredFilter = this.appState.getRecordingSettings().gpsFilter;
+      if (restoredFilter && GPS_FILTER_PROFILES[restoredFilter]) {
+        this.gpsFilter = restoredFilter;
+      } else {
+        this.appState.setRecordingSetting('gpsFilter', this.gpsFilter);
+      }
+      this.gpsPipeline = this.createPipeline();
+
+      const restoredProfile = this.appState.getRecordingSettings().trackingProfile;
+      if (restoredProfile && TRACKING_PROFILES[restoredProfile]) {
+        this.trackingProfile = restoredProfile;
+      } else {
+        this.appState.setRecordingSetting('trackingProfile', this.trackingProfile);
+      }
+
+      // Don't join the first new point to where the restored route left off
+      this.appState.startNewSegment();
+
       // Resuming - adjust start time
       const currentTime = Date.now();
       const adjustedStartTime = currentTime - currentElapsed;
@@ -57,11 +257,24 @@ export class TrackingController {
 
     this.isTracking = true;
     this.isPaused = false;
+    this.isAutoPaused = false;
+    this.currentStop = null;
+    this.autoPauseDetector.reset();
+    this.lastFixTime = null;
+    this.pendingGapSeconds = null;
     this.retryCount = 0;
+    this.elevationTotals = createElevationTotals();
+    this.appState.getRouteData()
+      .filter(p => p.type === 'location')
+      .forEach(p => addElevationSample(this.elevationTotals, p.altitude));
     this.appState.setTrackingState(true);
+    this.appState.setRecordingSetting('autoPause', this.autoPauseEnabled);
+    this.appState.setRecordingSetting('positionSource', this.positionProvider.name);
+    this.sampler = new AdaptiveSampler(this.trackingProfile);
 
     // Start GPS watch
     this.startGPSWatch();
+    this.startBatteryWatch();
 
     // Start timer
     if (this.dependencies.timer) {
@@ -72,22 +285,9 @@ export class TrackingController {
       }
     }
 
-    this.updateTrackingButtons();
-    
-    // Show recording indicator
-    const indicator = document.getElementById('recordingIndicator');
-    if (indicator) {
-      indicator.classList.add('active');
-    }
-    
-    // Show toast notification
-    if (window.toast) {
-      if (isResuming) {
-        window.toast.success('Tracking Resumed', 'Continuing your trail recording');
-      } else {
-        window.toast.success('Tracking Started', 'Recording your trail');
-      }
-    }
+    this.emitStateChange();
+    this.emit('started', { resumed: isResuming });
+    this.emitElevationChange();
     
     console.log(isResuming ? '✅ GPS tracking resumed' : '✅ GPS tracking started');
     
@@ -95,38 +295,81 @@ export class TrackingController {
   }
 
   startGPSWatch() {
-    this.watchId = navigator.geolocation.watchPosition(
+    // Never leave a previous watch running (timeout retries restart the watch)
+    this.clearGPSWatch();
+
+    this.watchId = this.positionProvider.watch(
       (position) => this.handlePositionUpdate(position),
       (error) => this.handlePositionError(error),
       this.getGPSOptions()
     );
   }
 
+  clearGPSWatch() {
+    if (this.watchId !== null) {
+      this.positionProvider.clearWatch(this.watchId);
+      this.watchId = null;
+    }
+  }
+
   getGPSOptions() {
-    return {
-      enableHighAccuracy: true,
-      maximumAge: 0,
-      timeout: 15000
-    };
+    return this.sampler.getGPSOptions();
+  }
+
+  startBatteryWatch() {
+    this.stopBatteryWatch();
+
+    watchBattery(status => this.handleBatteryChange(status)).then(unwatch => {
+      if (this.isTracking && !this.unwatchBattery) {
+        this.unwatchBattery = unwatch;
+      } else {
+        unwatch();
+      }
+    });
+  }
+
+  stopBatteryWatch() {
+    if (this.unwatchBattery) {
+      this.unwatchBattery();
+      this.unwatchBattery = null;
+    }
+  }
+
+  handleBatteryChange(status) {
+    if (!this.sampler.setBattery(status)) return;
+
+    const lowBattery = this.sampler.isLowBattery();
+    console.log(`🔋 Battery ${Math.round(status.level * 100)}% - low-battery sampling ${lowBattery ? 'on' : 'off'}`);
+
+    if (lowBattery) {
+      this.appState.setRecordingSetting('lowBatteryMode', true);
+      this.notify('warning', 'Battery Low', 'Recording fewer points to save battery');
+    }
+
+    // Restart the watch so the new accuracy request applies
+    if (this.isTracking && !this.isPaused) {
+      this.startGPSWatch();
+    }
   }
 
   stop() {
     if (!this.isTracking) {
       console.warn('Tracking not active');
-      if (window.toast) {
-        window.toast.warning('Not Tracking', 'Tracking is not currently active');
-      }
+      this.notify('warning', 'Not Tracking', 'Tracking is not currently active');
       return false;
     }
 
     console.log('🛑 Stopping GPS tracking...');
 
-    // Stop GPS watch
-    if (this.watchId) {
-      navigator.geolocation.clearWatch(this.watchId);
-      this.watchId = null;
+    // Close an open auto-pause stop so its interval is recorded
+    if (this.isAutoPaused) {
+      this.exitAutoPause(Date.now(), false);
     }
 
+    // Stop GPS watch
+    this.clearGPSWatch();
+    this.stopBatteryWatch();
+
     // Stop timer and get final elapsed time
     if (this.dependencies.timer) {
       const finalElapsed = this.dependencies.timer.stop();
@@ -136,21 +379,13 @@ export class TrackingController {
     this.isTracking = false;
     this.isPaused = false;
     this.appState.setTrackingState(false);
-    this.updateTrackingButtons();
-
-    // Hide recording indicator
-    const indicator = document.getElementById('recordingIndicator');
-    if (indicator) {
-      indicator.classList.remove('active');
-    }
-
-    // Show toast notification
-    if (window.toast) {
-      window.toast.info('Tracking Stopped', 'You can now save your route');
-    }
+    this.emitStateChange();
 
-    // Prompt for save
-    this.promptForSave();
+    // Subscribers decide what happens next (the tracker UI offers to save)
+    this.emit('stopped', {
+      elapsedTime: this.appState.getElapsedTime(),
+      pointCount: this.appState.getRouteData().length
+    });
 
     console.log('✅ GPS tracking stopped');
     return true;
@@ -159,9 +394,7 @@ export class TrackingController {
   togglePause() {
     if (!this.isTracking) {
       console.warn('Cannot pause - tracking not active');
-      if (window.toast) {
-        window.toast.warning('Cannot Pause', 'Tracking is not active');
-      }
+      this.notify('warning', 'Cannot Pause', 'Tracking is not active');
       return false;
     }
 
@@ -169,6 +402,12 @@ export class TrackingController {
       // Resume
       console.log('▶️ Resuming tracking...');
       this.isPaused = false;
+
+      // Each resume starts a new segment so no line or distance bridges the pause
+      this.appState.startNewSegment();
+      this.gpsPipeline.resetFilters();
+      this.lastFixTime = null;
+      this.pendingGapSeconds = null;
       
       if (this.dependencies.timer) {
         this.dependencies.timer.resume();
@@ -176,32 +415,30 @@ export class TrackingController {
       
       this.startGPSWatch();
       
-      // Show toast
-      if (window.toast) {
-        window.toast.success('Tracking Resumed', 'Recording continues');
-      }
+      this.emit('resumed');
     } else {
       // Pause
       console.log('⏸️ Pausing tracking...');
+
+      // A manual pause ends any auto-pause stop; the timer stays paused
+      if (this.isAutoPaused) {
+        this.exitAutoPause(Date.now(), false);
+      }
+      this.autoPauseDetector.reset();
+
       this.isPaused = true;
       
       if (this.dependencies.timer) {
         this.dependencies.timer.pause();
       }
       
-      if (this.watchId) {
-        navigator.geolocation.clearWatch(this.watchId);
-        this.watchId = null;
-      }
+      this.clearGPSWatch();
       
-      // Show toast
-      if (window.toast) {
-        window.toast.info('Tracking Paused', 'Resume when ready');
-      }
+      this.emit('paused');
     }
 
     this.appState.setTrackingState(this.isTracking, this.isPaused);
-    this.updateTrackingButtons();
+    this.emitStateChange();
     return true;
   }
 
@@ -210,58 +447,159 @@ export class TrackingController {
 
     const { latitude, longitude, accuracy } = position.coords;
 
-    // Filter out inaccurate readings
-    if (accuracy > 100) {
-      console.warn(`GPS accuracy too low: ${accuracy}m`);
-      if (window.toast && this.retryCount === 0) {
-        window.toast.warning('GPS Accuracy Low', `Accuracy: ${Math.round(accuracy)}m - Waiting for better signal`);
+    // Optional sensor fields: null when the device doesn't provide them (heading is NaN when still)
+    const optional = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+    const rawFix = {
+      coords: { lat: latitude, lng: longitude },
+      accuracy: accuracy,
+      timestamp: position.timestamp || Date.now()
+    };
+
+    // Long GPS gap (signal lost, tunnel, app suspended): don't bridge it.
+    // Only fixes the accuracy gate would let through count as signal.
+    if (!this.isManualSource() && accuracy <= this.gpsPipeline.getMaxAccuracy()) {
+      if (this.lastFixTime && rawFix.timestamp - this.lastFixTime > this.gapThresholdMs) {
+        console.warn(`📡 GPS gap of ${this.formatTime(rawFix.timestamp - this.lastFixTime)} - starting new segment`);
+        this.appState.startNewSegment();
+        this.gpsPipeline.resetFilters();
+        this.pendingGapSeconds = Math.round((rawFix.timestamp - this.lastFixTime) / 1000);
+      }
+      this.lastFixTime = rawFix.timestamp;
+    }
+
+    // Stationary detection runs on raw fixes, before micro-movements are filtered out
+    if (this.autoPauseEnabled && !this.isManualSource()) {
+      const change = this.autoPauseDetector.update(rawFix, position.coords.speed);
+
+      if (change && change.state === 'stopped') {
+        this.enterAutoPause(change.since, change.coords);
+      } else if (change && change.state === 'moving') {
+        this.exitAutoPause(change.at);
+      }
+    }
+
+    // Nothing is recorded while auto-paused
+    if (this.isAutoPaused) return;
+
+    // Run the raw fix through the filter pipeline (accuracy gate, outliers, smoothing)
+    const result = this.gpsPipeline.process(rawFix);
+
+    if (!result.accepted) {
+      if (result.reason === 'low_accuracy') {
+        console.warn(`GPS accuracy too low: ${accuracy}m`);
+      } else if (result.reason === 'implausible_speed') {
+        console.warn(`GPS outlier rejected: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
       }
+      this.emit('point-rejected', { reason: result.reason, fix: rawFix });
       return;
     }
 
     // Reset retry count on successful position
     this.retryCount = 0;
 
-    const currentCoords = { lat: latitude, lng: longitude };
+    const currentCoords = result.fix.coords;
     const lastCoords = this.appState.getLastCoords();
 
+    // Tracking profile: skip fixes too close in distance or time to the last stored point
+    if (!this.isManualSource() && !this.sampler.shouldStore(result.fix, lastCoords, optional(position.coords.speed))) {
+      this.emit('point-rejected', { reason: 'sampling', fix: rawFix });
+      return;
+    }
+
     // Calculate distance if we have a previous point
     if (lastCoords) {
       const distance = haversineDistance(lastCoords, currentCoords);
 
-      // Ignore micro-movements (less than 3 meters)
-      if (distance < 0.003) return;
-
       // Update total distance
       const newTotal = this.appState.getTotalDistance() + distance;
       this.appState.updateDistance(newTotal);
-      this.updateDistanceDisplay(newTotal);
-
-      // Draw route segment on map
-      if (this.dependencies.map) {
-        this.dependencies.map.addRouteSegment(lastCoords, currentCoords);
-      }
+      this.emit('distance-changed', { totalDistance: newTotal, delta: distance });
     }
 
-    // Add GPS point to route data
-    this.appState.addRoutePoint({
+    // Add GPS point to route data (smoothed coords, raw fix kept alongside)
+    const point = {
       type: 'location',
       coords: currentCoords,
-      timestamp: Date.now(),
-      accuracy: accuracy
-    });
+      rawCoords: result.raw.coords,
+      timestamp: result.fix.timestamp,
+      accuracy: accuracy,
+      altitude: optional(position.coords.altitude),
+      altitudeAccuracy: optional(position.coords.altitudeAccuracy),
+      heading: optional(position.coords.heading),
+      speed: optional(position.coords.speed)
+    };
+
+    // Lets the route editor tell a signal gap from a pause between segments
+    if (this.pendingGapSeconds) {
+      point.gapBefore = this.pendingGapSeconds;
+      this.pendingGapSeconds = null;
+    }
 
+    this.appState.addRoutePoint(point);
     this.appState.addPathPoint(currentCoords);
 
-    // Update map marker
-    if (this.dependencies.map) {
-      this.dependencies.map.updateMarkerPosition(currentCoords);
+    if (point.altitude !== null) {
+      addElevationSample(this.elevationTotals, point.altitude);
+      this.emitElevationChange();
     }
 
-    // Update status bar
-    this.updateStatusBar();
+    // Map, status bar and route following all react to this
+    this.emit('point-accepted', { point, previousCoords: lastCoords, fix: result.fix });
 
-    console.log(`📍 GPS: ${latitude.toFixed(6)}, ${longitude.toFixed(6)} (±${accuracy.toFixed(1)}m)`);
+    console.log(`📍 GPS: ${currentCoords.lat.toFixed(6)}, ${currentCoords.lng.toFixed(6)} (±${accuracy.toFixed(1)}m, ${this.isManualSource() ? 'manual' : this.gpsFilter})`);
+  }
+
+  emitElevationChange() {
+    this.emit('elevation-changed', {
+      gain: Math.round(this.elevationTotals.gain),
+      loss: Math.round(this.elevationTotals.loss)
+    });
+  }
+
+  enterAutoPause(since, coords) {
+    if (this.isAutoPaused) return;
+
+    console.log(`⏸️ Auto-pause: stationary since ${new Date(since).toLocaleTimeString()}`);
+    this.isAutoPaused = true;
+    this.currentStop = { coords, timestamp: since };
+
+    if (this.dependencies.timer) {
+      this.dependencies.timer.autoPause(since);
+    }
+
+    this.emitStateChange();
+    this.emit('auto-paused', { since, coords });
+  }
+
+  exitAutoPause(endTime, restartTimer = true) {
+    if (!this.isAutoPaused) return;
+
+    const stop = this.currentStop;
+    this.isAutoPaused = false;
+    this.currentStop = null;
+
+    // Record the stop interval for moving/stopped time reporting
+    if (stop) {
+      this.appState.addRoutePoint({
+        type: 'stop',
+        coords: stop.coords,
+        timestamp: stop.timestamp,
+        endTime: endTime,
+        duration: Math.max(0, endTime - stop.timestamp),
+        auto: true
+      });
+    }
+
+    if (this.dependencies.timer) {
+      this.dependencies.timer.autoResume(restartTimer);
+    }
+
+    const duration = endTime - (stop ? stop.timestamp : endTime);
+    this.emitStateChange();
+    console.log(`▶️ Auto-resume after ${this.formatTime(duration)} stopped`);
+
+    this.emit('auto-resumed', { at: endTime, duration, restartTimer });
   }
 
   handlePositionError(error) {
@@ -273,8 +611,8 @@ export class TrackingController {
       const retryDelay = 2000 * this.retryCount;
       console.log(`GPS timeout, retry ${this.retryCount}/${this.maxRetries} in ${retryDelay}ms...`);
       
-      if (window.toast && this.retryCount === 1) {
-        window.toast.warning('GPS Timeout', `Retrying... (${this.retryCount}/${this.maxRetries})`);
+      if (this.retryCount === 1) {
+        this.notify('warning', 'GPS Timeout', `Retrying... (${this.retryCount}/${this.maxRetries})`);
       }
       
       setTimeout(() => {
@@ -307,103 +645,19 @@ export class TrackingController {
         break;
     }
 
-    // Show toast notification
-    if (window.toast) {
-      window.toast.error(errorTitle, errorMessage);
-    } else {
-      alert(errorTitle + ': ' + errorMessage);
-    }
+    this.emit('error', { title: errorTitle, message: errorMessage, code: error.code });
 
     if (error.code === error.PERMISSION_DENIED) {
       this.stop();
     }
   }
 
-  updateTrackingButtons() {
-    const startBtn = document.getElementById('startBtn');
-    const pauseBtn = document.getElementById('pauseBtn');
-    const stopBtn = document.getElementById('stopBtn');
-
-    if (!startBtn || !pauseBtn || !stopBtn) return;
-
-    if (!this.isTracking) {
-      startBtn.style.display = 'inline-block';
-      pauseBtn.style.display = 'none';
-      stopBtn.style.display = 'none';
-    } else if (this.isPaused) {
-      startBtn.style.display = 'none';
-      pauseBtn.style.display = 'inline-block';
-      pauseBtn.textContent = '▶';
-      pauseBtn.title = 'Resume';
-      stopBtn.style.display = 'inline-block';
-    } else {
-      startBtn.style.display = 'none';
-      pauseBtn.style.display = 'inline-block';
-      pauseBtn.textContent = '⏸';
-      pauseBtn.title = 'Pause';
-      stopBtn.style.display = 'inline-block';
-    }
-  }
-
-  updateDistanceDisplay(distance) {
-    const distanceElement = document.getElementById('distance');
-    if (distanceElement) {
-      distanceElement.textContent = `${distance.toFixed(2)} km`;
-    }
-    
-    const statusDistanceElement = document.getElementById('statusDistance');
-    if (statusDistanceElement) {
-      statusDistanceElement.textContent = distance.toFixed(2);
-    }
-  }
-
-  updateStatusBar() {
-    // Update points count
-    const statusPoints = document.getElementById('statusPoints');
-    if (statusPoints) {
-      const routeData = this.appState.getRouteData();
-      const locationPoints = routeData.filter(p => p.type === 'location').length;
-      statusPoints.textContent = locationPoints;
-    }
-
-    // Calculate and update speed
-    const routeData = this.appState.getRouteData();
-    const locationPoints = routeData.filter(p => p.type === 'location');
-    
-    if (locationPoints.length >= 2) {
-      const lastPoint = locationPoints[locationPoints.length - 1];
-      const prevPoint = locationPoints[locationPoints.length - 2];
-      const timeDiff = (lastPoint.timestamp - prevPoint.timestamp) / 1000 / 3600; // hours
-      const distance = haversineDistance(prevPoint.coords, lastPoint.coords);
-      const speed = timeDiff > 0 ? distance / timeDiff : 0;
-      
-      const statusSpeed = document.getElementById('statusSpeed');
-      if (statusSpeed) {
-        statusSpeed.textContent = speed.toFixed(1);
-      }
-    }
-  }
-
-  promptForSave() {
-    const routeData = this.appState.getRouteData();
-    
-    if (!routeData || routeData.length === 0) {
-      console.log('No route data to save');
-      return;
-    }
-
-    const saveBtn = document.getElementById('saveBtn');
-    if (saveBtn) {
-      saveBtn.style.display = 'inline-block';
-      saveBtn.onclick = () => this.saveRoute();
-    } else {
-      // Fallback to prompt
-      if (confirm('Would you like to save this route?')) {
-        this.saveRoute();
-      }
-    }
-  }
-
+  /**
+   * Save the recorded route locally and, when signed in, to the cloud.
+   * options.name defaults to "Trail <date>"; options.visibility is
+   * 'private', 'public' or 'skip' (default). Asking the user for either is
+   * up to the caller - the tracker UI does it before calling this.
+   */
   async saveRoute(options = {}) {
     try {
       console.log('💾 === STARTING SAVE ROUTE ===');
@@ -412,9 +666,7 @@ export class TrackingController {
       
       if (!routeData || routeData.length === 0) {
         console.error('❌ No route data to save');
-        if (window.toast) {
-          window.toast.error('No Data', 'No route data to save');
-        }
+        this.notify('error', 'No Data', 'No route data to save');
         return;
       }
 
@@ -422,37 +674,33 @@ export class TrackingController {
         totalPoints: routeData.length,
         locationPoints: routeData.filter(p => p.type === 'location').length,
         photos: routeData.filter(p => p.type === 'photo').length,
-        notes: routeData.filter(p => p.type === 'text').length
+        notes: routeData.filter(p => p.type === 'text').length,
+        barriers: routeData.filter(p => p.type === 'barrier').length
       });
 
-      // Get route name
-      const routeName = options.name || prompt('Enter route name:', `Trail ${new Date().toLocaleDateString()}`);
-      
-      if (!routeName) {
-        console.log('❌ Save cancelled - no route name');
-        return;
-      }
+      const routeName = options.name || `Trail ${new Date().toLocaleDateString()}`;
 
       // Save locally
       console.log('💾 Saving locally...');
-      const session = {
-        id: Date.now(),
-        name: routeName,
-        date: Date.now(),
-        data: routeData,
-        totalDistance: this.appState.getTotalDistance(),
-        elapsedTime: this.appState.getElapsedTime()
-      };
-
-      const sessions = this.appState.getSessions();
-      sessions.push(session);
-      this.appState.saveSessions(sessions);
+      const timeStats = calculateTimeStats(routeData, this.appState.getElapsedTime());
+      const elevationStats = calculateElevationStats(routeData);
+      const savedSession = await this.appState.saveSession(routeName, {
+        gpsFilterStats: this.gpsPipeline.getStats(),
+        samplingStats: this.sampler.getStats(),
+        splits: calculateSplits(routeData),
+        quality: this.getRouteQuality(),
+        movingTime: timeStats.movingTime,
+        stoppedTime: timeStats.stoppedTime,
+        elevation: elevationStats
+      });
       
       console.log('✅ Local save complete');
 
       // Check authentication status
       let isAuthenticated = false;
       let currentUser = null;
+      let cloudRouteId = null;
+      let signedIn = false;
       const authController = this.dependencies.auth;
 
       if (!authController) {
@@ -477,6 +725,7 @@ export class TrackingController {
         }
 
         const userIsSignedIn = currentUser !== null && currentUser !== undefined;
+        signedIn = userIsSignedIn;
         console.log('✅ Final auth decision: User is', userIsSignedIn ? 'SIGNED IN' : 'NOT signed in');
 
         if (userIsSignedIn) {
@@ -486,16 +735,15 @@ export class TrackingController {
           
           if (!firebaseController) {
             console.error('❌ Firebase controller not available');
-            if (window.toast) {
-              window.toast.warning('Local Only', 'Route saved locally. Cloud sync unavailable.');
-            }
+            this.notify('warning', 'Local Only', 'Route saved locally. Cloud sync unavailable.');
+            this.emit('saved', { session: savedSession, name: routeName, cloudRouteId: null, signedIn: true });
             this.appState.clearRouteData();
             return;
           }
 
           console.log('✅ Firebase controller available');
 
-          const cloudChoice = options.visibility || await this.askCloudSaveOptions(routeName);
+          const cloudChoice = options.visibility || 'skip';
           console.log('📊 Cloud save choice:', cloudChoice);
           
           if (cloudChoice && cloudChoice !== 'skip') {
@@ -505,7 +753,9 @@ export class TrackingController {
                 name: routeName,
                 totalDistance: this.appState.getTotalDistance(),
                 elapsedTime: this.appState.getElapsedTime(),
-                isPublic: cloudChoice === 'public'
+                isPublic: cloudChoice === 'public',
+                recordingSettings: this.appState.getRecordingSettings(),
+                gpsFilterStats: this.gpsPipeline.getStats()
               };
 
               console.log('📤 Preparing cloud save with metadata:', metadata);
@@ -520,20 +770,22 @@ export class TrackingController {
                 console.warn('⚠️ Could not load accessibility data:', error);
               }
 
-              // Show loading toast
-              if (window.toast) {
-                window.toast.info('Saving to Cloud', 'Uploading your trail...');
-              }
+              this.notify('info', 'Saving to Cloud', 'Uploading your trail...');
 
               // Save to cloud using FirebaseController
               console.log('☁️ Calling firebaseController.saveRouteToCloud()...');
-              const routeId = await firebaseController.saveRouteToCloud(routeData, metadata);
+              const routeId = await firebaseController.saveRouteToCloud(routeData, metadata, { sessionId: savedSession.id });
+              cloudRouteId = routeId;
               console.log('✅ Cloud save successful! Route ID:', routeId);
-              
-              // Show success toast
-              if (window.toast) {
-                window.toast.success('Saved to Cloud', `"${routeName}" saved successfully! ☁️`);
+
+              // Link the local session to its cloud copy so later edits can be synced
+              try {
+                await this.appState.updateSession(markSynced(savedSession, routeId, INITIAL_REVISION), { modified: false });
+              } catch (linkError) {
+                console.warn('⚠️ Could not link session to cloud route:', linkError);
               }
+              
+              this.notify('success', 'Saved to Cloud', `"${routeName}" saved successfully! ☁️`);
             } catch (cloudError) {
               console.error('❌ Cloud save failed:', cloudError);
               console.error('Error details:', {
@@ -542,8 +794,9 @@ export class TrackingController {
                 stack: cloudError.stack
               });
               
-              if (window.toast) {
-                window.toast.warning('Cloud Save Failed', 'Saved locally. You can upload to cloud later.');
+              // Queued uploads have already told the user; the sync queue finishes them
+              if (!cloudError.queued) {
+                this.notify('warning', 'Cloud Save Failed', 'Saved locally. You can upload to cloud later.');
               }
             }
           } else {
@@ -551,35 +804,12 @@ export class TrackingController {
           }
         } else {
           console.log('🔓 === USER NOT SIGNED IN ===');
-          
-          // Show toast with sign-in prompt
-          if (window.toast) {
-            window.toast.success('Route Saved Locally', 'Sign in to save routes to the cloud');
-          }
-          
-          // User not logged in
-          const wantsToSignIn = confirm('Route saved locally!\n\n💡 Sign in to save routes to the cloud and create shareable trail guides.\n\nWould you like to sign in now?');
-          
-          if (wantsToSignIn) {
-            console.log('👉 User wants to sign in, looking for sign in button...');
-            
-            const signInBtn = document.getElementById('showAuthBtn') || 
-                             document.getElementById('googleLoginBtn') ||
-                             document.getElementById('signInBtn');
-            
-            if (signInBtn) {
-              console.log('✅ Found sign in button, clicking...');
-              signInBtn.click();
-            } else {
-              console.error('❌ No sign in button found');
-              if (window.toast) {
-                window.toast.info('Sign In', 'Please use the sign in button in the menu');
-              }
-            }
-          }
+          this.notify('success', 'Route Saved Locally', 'Sign in to save routes to the cloud');
         }
       }
 
+      this.emit('saved', { session: savedSession, name: routeName, cloudRouteId, signedIn });
+
       // Clear route data after saving
       this.appState.clearRouteData();
       console.log('✅ Route data cleared');
@@ -590,58 +820,14 @@ export class TrackingController {
       console.error('Error:', error);
       console.error('Stack:', error.stack);
       
-      if (window.toast) {
-        window.toast.error('Save Failed', error.message);
-      } else {
-        alert('Failed to save route: ' + error.message);
-      }
-    }
-  }
-
-  async askCloudSaveOptions(routeName) {
-    console.log('❓ Asking user for cloud save options...');
-    
-    const message = `"${routeName}" saved locally!
-
-☁️ Would you like to save to cloud and create a trail guide?
-
-🔒 PRIVATE: Only you can see it (you can make it public later)
-🌍 PUBLIC: Share with the community immediately
-❌ SKIP: Keep local only
-
-Choose an option:`;
-
-    const choice = prompt(message + "\n\nType: 'private', 'public', or 'skip'");
-    
-    if (!choice) return 'skip';
-    
-    const cleanChoice = choice.toLowerCase().trim();
-    
-    if (cleanChoice === 'private' || cleanChoice === 'p') {
-      console.log('✅ User chose: private');
-      return 'private';
-    } else if (cleanChoice === 'public' || cleanChoice === 'pub') {
-      console.log('✅ User chose: public');
-      return 'public';
-    } else if (cleanChoice === 'skip' || cleanChoice === 's') {
-      console.log('✅ User chose: skip');
-      return 'skip';
-    } else {
-      console.log('❓ Invalid choice, showing simple confirm...');
-      const simpleChoice = confirm('Save to cloud?\n\n✅ OK = Private trail guide\n❌ Cancel = Skip cloud save');
-      const result = simpleChoice ? 'private' : 'skip';
-      console.log('✅ User chose:', result);
-      return result;
+      this.emit('error', { title: 'Save Failed', message: error.message, error });
     }
   }
 
   discardRoute() {
     console.log('🗑️ Discarding route');
     this.appState.clearRouteData();
-    
-    if (window.toast) {
-      window.toast.info('Route Discarded', 'Route data has been cleared');
-    }
+    this.notify('info', 'Route Discarded', 'Route data has been cleared');
   }
 
   formatTime(milliseconds) {
@@ -659,6 +845,13 @@ Choose an option:`;
     }
   }
 
+  // GPS quality of the current recording, including the fixes the filters rejected
+  getRouteQuality() {
+    return analyzeRouteQuality(this.appState.getRouteData(), {
+      gpsFilterStats: this.gpsPipeline.getStats()
+    });
+  }
+
   // Getters
   isTrackingActive() {
     return this.isTracking;
@@ -672,6 +865,7 @@ Choose an option:`;
     return {
       isTracking: this.isTracking,
       isPaused: this.isPaused,
+      isAutoPaused: this.isAutoPaused,
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
       pointCount: this.appState.getRouteData().length
@@ -680,10 +874,8 @@ Choose an option:`;
 
   cleanup() {
     console.log('🧹 Cleaning up tracking controller');
-    if (this.watchId) {
-      navigator.geolocation.clearWatch(this.watchId);
-      this.watchId = null;
-    }
+    this.clearGPSWatch();
+    this.stopBatteryWatch();
     
     if (this.dependencies.timer) {
       this.dependencies.timer.stop();
@@ -691,5 +883,7 @@ Choose an option:`;
     
     this.isTracking = false;
     this.isPaused = false;
+    this.isAutoPaused = false;
+    this.currentStop = null;
   }
 }
\ No newline at end of file
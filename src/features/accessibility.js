@@ -1,9 +1,17 @@
 // Enhanced accessibility form functionality with comprehensive survey
+import { analyzeSlopes, SLOPE_CATEGORIES } from '../utils/slope-analysis.js';
+import { formatDistance } from '../utils/calculations.js';
+
 export class AccessibilityForm {
   constructor() {
     this.isOpen = false;
     this.currentCallback = null;
     this.formData = {};
+    this.dependencies = {};
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
   }
 
   initialize() {
@@ -267,6 +275,7 @@ export class AccessibilityForm {
                     <label for="slopeSteep">Steep slopes - not accessible (over 10%)</label>
                   </div>
                 </div>
+                <div id="slopeSuggestion" class="slope-suggestion hidden"></div>
               </div>
             </div>
           </div>
@@ -637,11 +646,15 @@ export class AccessibilityForm {
   prefillForm() {
     try {
       const savedData = localStorage.getItem('accessibilityData');
+      const form = document.getElementById('accessibilityForm');
+      if (!form) return;
+
+      // Suggest trailSlopes from the recorded elevation (a saved answer still wins below)
+      this.suggestTrailSlopes(form);
+
       if (!savedData) return;
 
       const data = JSON.parse(savedData);
-      const form = document.getElementById('accessibilityForm');
-      if (!form) return;
 
       Object.entries(data).forEach(([key, value]) => {
         if (Array.isArray(value)) {
@@ -669,6 +682,44 @@ export class AccessibilityForm {
     }
   }
 
+  // NEW: Pre-select trailSlopes from the recorded track's elevation profile
+  suggestTrailSlopes(form) {
+    const hint = form.querySelector('#slopeSuggestion');
+    const routeData = this.dependencies.state ? this.dependencies.state.getRouteData() : [];
+    const analysis = analyzeSlopes(routeData);
+
+    if (!analysis.hasElevation) {
+      if (hint) hint.classList.add('hidden');
+      return null;
+    }
+
+    const radio = form.querySelector(`input[name="trailSlopes"][value="${analysis.suggestedValue}"]`);
+    if (radio && !form.querySelector('input[name="trailSlopes"]:checked')) {
+      radio.checked = true;
+    }
+
+    if (hint) {
+      const category = SLOPE_CATEGORIES[analysis.suggestedCategory];
+      const stretches = [...analysis.steepStretches, ...analysis.moderateStretches]
+        .sort((a, b) => a.startDistance - b.startDistance);
+
+      hint.innerHTML = `
+        <strong>📐 Suggested from recorded elevation: ${category.label}</strong>
+        <span>Max grade ${analysis.maxGrade}% · steep ${formatDistance(analysis.totals.steep / 1000)} · moderate ${formatDistance(analysis.totals.moderate / 1000)}</span>
+        ${stretches.length > 0 ? `
+        <ul>
+          ${stretches.map(stretch => `
+            <li>${SLOPE_CATEGORIES[stretch.category].label} ${stretch.direction === 'up' ? '↗' : '↘'} ${stretch.length} m at ${formatDistance(stretch.startDistance / 1000)} from start (avg ${stretch.averageGrade}%, max ${stretch.maxGrade}%)</li>
+          `).join('')}
+        </ul>
+        ` : ''}
+      `;
+      hint.classList.remove('hidden');
+    }
+
+    return analysis;
+  }
+
   getFormData() {
     return { ...this.formData };
   }
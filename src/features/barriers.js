@@ -0,0 +1,224 @@
+// barriers.js - One-tap capture of typed accessibility barriers during tracking
+import { getCurrentPosition } from '../utils/geolocation.js';
+import {
+  BARRIER_TYPES,
+  BARRIER_SEVERITIES,
+  DEFAULT_BARRIER_SEVERITY,
+  getBarrierType,
+  getMeasurementFields
+} from '../utils/barrier-catalogue.js';
+import { PHOTO_FIELDS } from '../core/media-store.js';
+
+export class BarrierController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.activeDialog = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const barrierBtn = document.getElementById('addBarrierBtn');
+    if (barrierBtn) {
+      barrierBtn.addEventListener('click', () => {
+        this.openCaptureDialog();
+      });
+    }
+  }
+
+  /**
+   * Open the capture dialog. The position is taken at tap time, so the barrier
+   * lands where the user was standing, not where they finish filling in details.
+   */
+  async openCaptureDialog() {
+    if (!this.appState.getTrackingState().isTracking) {
+      alert('Start tracking first to mark barriers');
+      return;
+    }
+
+    if (this.activeDialog) return;
+
+    const capturedAt = Date.now();
+    const coordsPromise = this.getBarrierCoords();
+
+    const result = await this.showCaptureDialog();
+    if (!result) return;
+
+    try {
+      const coords = await coordsPromise;
+      const media = this.dependencies.media;
+      const photo = result.photoFile && media
+        ? await media.storePhoto(await media.compressImage(result.photoFile, 0.7), PHOTO_FIELDS.barrier)
+        : {};
+
+      const barrier = {
+        type: 'barrier',
+        coords,
+        timestamp: capturedAt,
+        barrierType: result.barrierType,
+        severity: result.severity,
+        measurements: result.measurements,
+        content: result.note,
+        ...photo
+      };
+
+      this.appState.addRoutePoint(barrier);
+
+      const type = getBarrierType(barrier.barrierType);
+      console.log(`🚧 Barrier recorded: ${type.label} (${barrier.severity})`);
+      if (window.toast) {
+        window.toast.success('Barrier Recorded', `${type.icon} ${type.label} - ${BARRIER_SEVERITIES[barrier.severity].label}`);
+      }
+    } catch (error) {
+      console.error('Failed to record barrier:', error);
+      if (window.toast) {
+        window.toast.error('Barrier Not Saved', error.message);
+      }
+    }
+  }
+
+  // Last tracked point is instant; fall back to a fresh fix
+  async getBarrierCoords() {
+    const lastCoords = this.appState.getLastCoords();
+    if (lastCoords) {
+      return { lat: lastCoords.lat, lng: lastCoords.lng };
+    }
+
+    const position = await getCurrentPosition();
+    return {
+      lat: position.coords.latitude,
+      lng: position.coords.longitude
+    };
+  }
+
+  /**
+   * Resolves with { barrierType, severity, measurements, note, photoFile } or null when cancelled
+   */
+  showCaptureDialog() {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'dialog-overlay barrier-dialog';
+
+      overlay.innerHTML = `
+        <div class="dialog-container">
+          <div class="dialog-header">
+            <h2 class="dialog-title">🚧 Mark Barrier</h2>
+            <p class="dialog-subtitle">Tap the barrier type - details are optional</p>
+          </div>
+
+          <div class="dialog-body">
+            <div class="barrier-type-grid">
+              ${Object.entries(BARRIER_TYPES).map(([key, type]) => `
+                <button type="button" class="barrier-type-btn" data-type="${key}">
+                  <span class="barrier-type-icon">${type.icon}</span>
+                  <span class="barrier-type-label">${type.label}</span>
+                </button>
+              `).join('')}
+            </div>
+
+            <div class="barrier-details hidden">
+              <label class="dialog-label">Severity</label>
+              <div class="barrier-severity-group">
+                ${Object.entries(BARRIER_SEVERITIES).map(([key, severity]) => `
+                  <button type="button" class="barrier-severity-btn${key === DEFAULT_BARRIER_SEVERITY ? ' selected' : ''}"
+                          data-severity="${key}" style="--severity-color: ${severity.color}" title="${severity.description}">
+                    ${severity.label}
+                  </button>
+                `).join('')}
+              </div>
+
+              <div class="barrier-measurements"></div>
+
+              <div class="dialog-input-group">
+                <label class="dialog-label">Note</label>
+                <input type="text" class="dialog-input barrier-note" placeholder="Optional description...">
+              </div>
+
+              <div class="dialog-input-group">
+                <label class="dialog-label">📷 Photo</label>
+                <input type="file" class="barrier-photo" accept="image/*" capture="environment">
+              </div>
+            </div>
+          </div>
+
+          <div class="dialog-footer">
+            <button class="dialog-button dialog-button-secondary" data-action="cancel">Cancel</button>
+            <button class="dialog-button dialog-button-primary" data-action="save" disabled>Save Barrier</button>
+          </div>
+        </div>
+      `;
+
+      let barrierType = null;
+      let severity = DEFAULT_BARRIER_SEVERITY;
+      const saveBtn = overlay.querySelector('[data-action="save"]');
+
+      const close = (result) => {
+        this.activeDialog = null;
+        if (this.dependencies.dialogs) {
+          this.dependencies.dialogs.closeDialog(overlay);
+        } else {
+          overlay.remove();
+        }
+        resolve(result);
+      };
+
+      overlay.querySelectorAll('.barrier-type-btn').forEach(button => {
+        button.addEventListener('click', () => {
+          overlay.querySelectorAll('.barrier-type-btn').forEach(btn => btn.classList.remove('selected'));
+          button.classList.add('selected');
+          barrierType = button.dataset.type;
+
+          overlay.querySelector('.barrier-measurements').innerHTML = getMeasurementFields(barrierType).map(field => `
+            <div class="dialog-input-group">
+              <label class="dialog-label">${field.label}${field.unit ? ` (${field.unit})` : ''}</label>
+              <input type="number" min="0" step="any" class="dialog-input" data-measurement="${field.key}">
+            </div>
+          `).join('');
+
+          overlay.querySelector('.barrier-details').classList.remove('hidden');
+          saveBtn.disabled = false;
+        });
+      });
+
+      overlay.querySelectorAll('.barrier-severity-btn').forEach(button => {
+        button.addEventListener('click', () => {
+          overlay.querySelectorAll('.barrier-severity-btn').forEach(btn => btn.classList.remove('selected'));
+          button.classList.add('selected');
+          severity = button.dataset.severity;
+        });
+      });
+
+      saveBtn.addEventListener('click', () => {
+        if (!barrierType) return;
+
+        const measurements = {};
+        overlay.querySelectorAll('[data-measurement]').forEach(input => {
+          const value = parseFloat(input.value);
+          if (!isNaN(value)) {
+            measurements[input.dataset.measurement] = value;
+          }
+        });
+
+        close({
+          barrierType,
+          severity,
+          measurements,
+          note: overlay.querySelector('.barrier-note').value.trim(),
+          photoFile: overlay.querySelector('.barrier-photo').files[0] || null
+        });
+      });
+
+      overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) close(null);
+      });
+
+      document.body.appendChild(overlay);
+      this.activeDialog = overlay;
+    });
+  }
+}
@@ -0,0 +1,177 @@
+// cloud-photos.js - Route photos in Firebase Storage; cloud documents keep only their URLs
+import { ref, uploadBytesResumable, getDownloadURL } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-storage.js';
+import { EventEmitter } from '../utils/event-emitter.js';
+import {
+  getPhotoFields,
+  getInlinePhoto,
+  dataURLToBlob,
+  createMediaId,
+  createThumbnail
+} from '../core/media-store.js';
+
+const EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp' };
+
+// Photos still to be sent: a local Blob or inline data, and no download URL yet
+function needsUpload(entry) {
+  const fields = getPhotoFields(entry);
+  return !!fields && !entry[fields.url] && (!!entry[fields.ref] || !!getInlinePhoto(entry));
+}
+
+/**
+ * Uploads with uploadBytesResumable: the SDK retries interrupted chunks,
+ * running uploads pause while offline, and every finished photo is recorded
+ * on its media record, so saving the route again only sends what's missing.
+ *
+ * Events:
+ *   progress { done, total, percent }   while a route's photos upload
+ *   finished { uploaded, reused, failed }
+ */
+export class CloudPhotoUploader extends EventEmitter {
+  constructor(storage) {
+    super();
+    this.storage = storage;
+    this.mediaStore = null;
+    this.activeTasks = new Set();
+
+    window.addEventListener('offline', () => this.activeTasks.forEach(task => task.pause()));
+    window.addEventListener('online', () => this.activeTasks.forEach(task => task.resume()));
+  }
+
+  setMediaStore(mediaStore) {
+    this.mediaStore = mediaStore;
+  }
+
+  /**
+   * Copies of the entries with every photo uploaded for userId: the inline
+   * data is replaced by download URLs (full size and thumbnail). A photo that
+   * fails stops the save, since a half-uploaded route would lose it.
+   */
+  async uploadRoutePhotos(routeData = [], userId) {
+    const pending = routeData.filter(needsUpload);
+    if (pending.length === 0) return [...routeData];
+
+    // Load every photo first so progress can be reported in bytes
+    const jobs = await Promise.all(pending.map(entry => this.prepareJob(entry, userId)));
+    const totalBytes = jobs.reduce((total, job) => total + (job.blob ? job.blob.size : 0), 0);
+    const uploaded = new Map();
+    const stats = { uploaded: 0, reused: 0, failed: 0 };
+    let doneBytes = 0;
+
+    console.log(`📤 Uploading ${jobs.filter(job => job.blob).length} of ${jobs.length} photo(s) to cloud storage`);
+
+    for (const [index, job] of jobs.entries()) {
+      const report = (bytes, done = index) => this.emit('progress', {
+        done,
+        total: jobs.length,
+        percent: totalBytes > 0 ? Math.round((doneBytes + bytes) / totalBytes * 100) : 100
+      });
+
+      if (job.cloud) {
+        stats.reused++;
+      } else if (job.blob) {
+        try {
+          job.cloud = await this.uploadPhoto(job, userId, report);
+          stats.uploaded++;
+          doneBytes += job.blob.size;
+          if (job.mediaId) {
+            await this.mediaStore.saveCloudCopy(job.mediaId, job.cloud);
+          }
+        } catch (error) {
+          stats.failed++;
+          this.emit('finished', stats);
+          throw error;
+        }
+      }
+
+      uploaded.set(job.entry, job);
+      report(0, index + 1);
+    }
+
+    this.emit('finished', stats);
+    console.log(`✅ Photos in cloud storage: ${stats.uploaded} uploaded, ${stats.reused} already there`);
+
+    return routeData.map(entry => {
+      const job = uploaded.get(entry);
+      if (!job) return entry;
+
+      const fields = getPhotoFields(entry);
+      const { [fields.inline]: inline, ...rest } = entry;
+      if (!job.cloud) {
+        // The local Blob is gone; the entry stays without a photo
+        return rest;
+      }
+      return { ...rest, [fields.url]: job.cloud.url, [fields.thumb]: job.cloud.thumbnailUrl };
+    });
+  }
+
+  async prepareJob(entry, userId) {
+    const fields = getPhotoFields(entry);
+    const mediaId = entry[fields.ref] || null;
+
+    const cloud = mediaId && this.mediaStore ? await this.mediaStore.getCloudCopy(mediaId) : null;
+    if (cloud && cloud.userId === userId) {
+      return { entry, mediaId, cloud, blob: null };
+    }
+
+    const inline = getInlinePhoto(entry);
+    const blob = inline
+      ? dataURLToBlob(inline)
+      : (this.mediaStore ? await this.mediaStore.getBlob(mediaId) : null);
+
+    if (!blob) {
+      console.warn(`⚠️ Photo ${mediaId} is missing locally and was not uploaded`);
+    }
+    return { entry, mediaId, cloud: null, blob };
+  }
+
+  // Upload one photo and its thumbnail; resolves with { userId, url, thumbnailUrl, storagePath }
+  async uploadPhoto(job, userId, onProgress) {
+    const id = job.mediaId || createMediaId();
+    const extension = EXTENSIONS[job.blob.type] || 'jpg';
+    const storagePath = `users/${userId}/photos/${id}.${extension}`;
+
+    const url = await this.uploadFile(storagePath, job.blob, onProgress);
+
+    // The full photo is what matters; a route can live without its preview
+    let thumbnailUrl = null;
+    try {
+      const thumbnail = await createThumbnail(job.blob);
+      thumbnailUrl = await this.uploadFile(`users/${userId}/photos/${id}_thumb.jpg`, thumbnail);
+    } catch (error) {
+      console.warn('⚠️ Thumbnail not uploaded:', error);
+    }
+
+    return { userId, url, thumbnailUrl, storagePath };
+  }
+
+  uploadFile(path, blob, onProgress = () => {}) {
+    return new Promise((resolve, reject) => {
+      const task = uploadBytesResumable(ref(this.storage, path), blob, {
+        contentType: blob.type || 'image/jpeg',
+        cacheControl: 'public, max-age=31536000'
+      });
+      this.activeTasks.add(task);
+
+      // Started offline: wait for the connection instead of burning retries
+      if (!navigator.onLine) {
+        task.pause();
+      }
+
+      task.on('state_changed',
+        snapshot => onProgress(snapshot.bytesTransferred),
+        error => {
+          this.activeTasks.delete(task);
+          reject(error);
+        },
+        async () => {
+          this.activeTasks.delete(task);
+          try {
+            resolve(await getDownloadURL(task.snapshot.ref));
+          } catch (error) {
+            reject(error);
+          }
+        }
+      );
+    });
+  }
+}
@@ -1,4 +1,11 @@
 // Export functionality - Fixed to handle both current and saved routes
+import { calculateTimeStats, calculateElevationStats, calculateRouteStats } from '../utils/route-stats.js';
+import { splitIntoSegments } from '../utils/segments.js';
+import { analyzeSlopes, SLOPE_CATEGORIES } from '../utils/slope-analysis.js';
+import { getBarrierType, getBarrierSeverity, formatBarrierMeasurements, describeBarrier } from '../utils/barrier-catalogue.js';
+import { simplifyRouteData } from '../utils/simplify.js';
+import { calculateSplits, formatSplit, SPLIT_UNITS } from '../utils/splits.js';
+
 export class ExportController {
   constructor(appState) {
     this.appState = appState;
@@ -51,8 +58,9 @@ export class ExportController {
       const locationPoints = currentRouteData.filter(p => p.type === 'location').length;
       const photos = currentRouteData.filter(p => p.type === 'photo').length;
       const notes = currentRouteData.filter(p => p.type === 'text').length;
+      const barriers = currentRouteData.filter(p => p.type === 'barrier').length;
       
-      message += `1. Current Route (${locationPoints} GPS points, ${photos} photos, ${notes} notes)\n`;
+      message += `1. Current Route (${locationPoints} GPS points, ${photos} photos, ${notes} notes, ${barriers} barriers)\n`;
       options.push('current');
     }
 
@@ -95,8 +103,13 @@ export class ExportController {
     }
   }
 
+  // Exported files embed their photos; locally they are Blobs in the media store
+  async inlinePhotos(routeData) {
+    return this.appState.getMediaStore().inlinePhotos(routeData);
+  }
+
   // Export current active route
-  exportCurrentRoute() {
+  async exportCurrentRoute() {
     const routeData = this.appState.getRouteData();
     if (!routeData || routeData.length === 0) {
       if (window.toast) { window.toast.info('Info', 'No current route data to export'); } else { alert('No current route data to export'); }
@@ -108,7 +121,8 @@ export class ExportController {
       exportDate: new Date().toISOString(),
       totalDistance: this.appState.getTotalDistance(),
       elapsedTime: this.appState.getElapsedTime(),
-      route: routeData
+      stats: calculateRouteStats(routeData, this.appState.getElapsedTime()),
+      route: await this.inlinePhotos(routeData)
     };
 
     this.downloadJSON(exportData, `current-route-${Date.now()}.json`);
@@ -145,7 +159,7 @@ export class ExportController {
   }
 
   // Export a specific saved route
-  exportSavedRoute(session) {
+  async exportSavedRoute(session) {
     const exportData = {
       exportType: 'saved_route',
       exportDate: new Date().toISOString(),
@@ -154,9 +168,10 @@ export class ExportController {
         name: session.name,
         originalDate: session.date,
         totalDistance: session.totalDistance,
-        elapsedTime: session.elapsedTime
+        elapsedTime: session.elapsedTime,
+        stats: calculateRouteStats(session.data || [], session.elapsedTime)
       },
-      route: session.data || []
+      route: await this.inlinePhotos(session.data || [])
     };
 
     const filename = `${session.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-${session.id}.json`;
@@ -165,7 +180,7 @@ export class ExportController {
   }
 
   // Export all saved routes
-  exportAllRoutes() {
+  async exportAllRoutes() {
     const sessions = this.appState.getSessions();
     if (!sessions || sessions.length === 0) {
       if (window.toast) { window.toast.info('Info', 'No saved routes to export'); } else { alert('No saved routes to export'); }
@@ -176,15 +191,16 @@ export class ExportController {
       exportType: 'all_routes',
       exportDate: new Date().toISOString(),
       totalRoutes: sessions.length,
-      routes: sessions.map(session => ({
+      routes: await Promise.all(sessions.map(async session => ({
         id: session.id,
         name: session.name,
         date: session.date,
         totalDistance: session.totalDistance,
         elapsedTime: session.elapsedTime,
+        stats: calculateRouteStats(session.data || [], session.elapsedTime),
         dataPoints: session.data ? session.data.length : 0,
-        route: session.data || []
-      }))
+        route: await this.inlinePhotos(session.data || [])
+      })))
     };
 
     this.downloadJSON(exportData, `all-routes-export-${Date.now()}.json`);
@@ -234,7 +250,7 @@ export class ExportController {
     }
 
     try {
-      const gpxContent = this.generateGPX(locationPoints);
+      const gpxContent = this.generateGPX(locationPoints, routeDataToExport.filter(point => point.type === 'barrier' && point.coords));
       this.downloadFile(gpxContent, filename, 'application/gpx+xml');
       if (window.toast) { window.toast.success('Success', `✅ GPX file exported with ${locationPoints.length} GPS points!`); }
     } catch (error) {
@@ -345,12 +361,23 @@ export class ExportController {
     yPos += 15;
     
     doc.setFontSize(12);
+    const timeStats = calculateTimeStats(routeData, routeInfo.elapsedTime);
+    const elevationStats = calculateElevationStats(routeData);
     const stats = [
       `📏 Total Distance: ${routeInfo.totalDistance?.toFixed(2) || 0} km`,
       `⏱️ Duration: ${this.formatDuration(routeInfo.elapsedTime || 0)}`,
+      ...(timeStats.stopCount > 0 ? [
+        `🚶 Moving Time: ${this.formatDuration(timeStats.movingTime)}`,
+        `⏸️ Stopped Time: ${this.formatDuration(timeStats.stoppedTime)} (${timeStats.stopCount} stops)`
+      ] : []),
+      ...(elevationStats.hasElevation ? [
+        `⛰️ Ascent / Descent: ${elevationStats.gain} m / ${elevationStats.loss} m`,
+        `📐 Elevation: ${elevationStats.min}-${elevationStats.max} m`
+      ] : []),
       `📍 GPS Points: ${routeData.filter(p => p.type === 'location').length}`,
       `📷 Photos: ${routeData.filter(p => p.type === 'photo').length}`,
-      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`
+      `📝 Notes: ${routeData.filter(p => p.type === 'text').length}`,
+      `🚧 Barriers: ${routeData.filter(p => p.type === 'barrier').length}`
     ];
 
     stats.forEach(stat => {
@@ -358,6 +385,56 @@ export class ExportController {
       yPos += 10;
     });
 
+    // Splits table
+    const { unit, splits } = calculateSplits(routeData);
+    if (splits.length > 0) {
+      yPos += 10;
+      doc.setFontSize(14);
+      doc.text(`⏱️ Splits (per ${SPLIT_UNITS[unit].label}):`, 20, yPos);
+      yPos += 12;
+
+      const columns = [20, 60, 95, 135, 165];
+      doc.setFontSize(10);
+      [SPLIT_UNITS[unit].label, 'Time', 'Avg Speed', 'Elevation', 'Stops'].forEach((heading, index) => {
+        doc.text(heading, columns[index], yPos);
+      });
+      yPos += 8;
+
+      splits.forEach(split => {
+        const row = formatSplit(split, unit);
+        [row.label, row.time, row.speed, row.elevation, row.stops].forEach((value, index) => {
+          doc.text(value, columns[index], yPos);
+        });
+        yPos += 7;
+
+        if (yPos > 270) {
+          doc.addPage();
+          yPos = 20;
+        }
+      });
+    }
+
+    // Barriers section
+    const barriers = routeData.filter(p => p.type === 'barrier');
+    if (barriers.length > 0) {
+      yPos += 10;
+      doc.setFontSize(14);
+      doc.text('🚧 Accessibility Barriers:', 20, yPos);
+      yPos += 15;
+
+      doc.setFontSize(10);
+      barriers.forEach((barrier, index) => {
+        const barrierTime = new Date(barrier.timestamp).toLocaleTimeString();
+        doc.text(`${index + 1}. [${barrierTime}] ${describeBarrier(barrier)}`, 20, yPos);
+        yPos += 8;
+
+        if (yPos > 270) {
+          doc.addPage();
+          yPos = 20;
+        }
+      });
+    }
+
     // Notes section
     const notes = routeData.filter(p => p.type === 'text');
     if (notes.length > 0) {
@@ -387,34 +464,66 @@ export class ExportController {
   }
 
   // Keep all the existing methods (generateGPX, handleFileImport, etc.)
-  generateGPX(locationPoints) {
+  generateGPX(locationPoints, barriers = []) {
     let gpx = `<?xml version="1.0" encoding="UTF-8"?>
 <gpx version="1.1" creator="Access Nature" xmlns="http://www.topografix.com/GPX/1/1">
   <metadata>
     <name>Access Nature Route</name>
     <desc>Generated by Access Nature App</desc>
     <time>${new Date().toISOString()}</time>
-  </metadata>
+  </metadata>`;
+
+    // Barriers as waypoints (before the track, as GPX 1.1 requires)
+    barriers.forEach(barrier => {
+      const barrierType = getBarrierType(barrier.barrierType);
+      gpx += `
+  <wpt lat="${barrier.coords.lat}" lon="${barrier.coords.lng}">
+    <time>${new Date(barrier.timestamp).toISOString()}</time>
+    <name>${this.escapeXML(barrierType.label)}</name>
+    <desc>${this.escapeXML(describeBarrier(barrier))}</desc>
+    <type>barrier:${barrier.barrierType}:${barrier.severity}</type>
+  </wpt>`;
+    });
+
+    gpx += `
   <trk>
-    <name>Route Track</name>
-    <trkseg>`;
+    <name>Route Track</name>`;
 
-    locationPoints.forEach(point => {
-      const timestamp = new Date(point.timestamp).toISOString();
+    // One <trkseg> per recorded segment (pauses and GPS gaps)
+    splitIntoSegments(locationPoints).forEach(segment => {
       gpx += `
-      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">
+    <trkseg>`;
+
+      segment.forEach(point => {
+        const timestamp = new Date(point.timestamp).toISOString();
+        const elevation = typeof point.altitude === 'number' ? `
+        <ele>${point.altitude.toFixed(1)}</ele>` : '';
+        gpx += `
+      <trkpt lat="${point.coords.lat}" lon="${point.coords.lng}">${elevation}
         <time>${timestamp}</time>
       </trkpt>`;
+      });
+
+      gpx += `
+    </trkseg>`;
     });
 
     gpx += `
-    </trkseg>
   </trk>
+
 </gpx>`;
 
     return gpx;
   }
 
+  escapeXML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   formatDuration(milliseconds) {
     const totalSeconds = Math.floor(milliseconds / 1000);
     const hours = Math.floor(totalSeconds / 3600);
@@ -506,6 +615,9 @@ export class ExportController {
       this.appState.clearRouteData();
     }
 
+    // Imported photos are inline data URLs; move them into the media store
+    routeData = await this.appState.getMediaStore().extractInlinePhotos(routeData);
+
     routeData.forEach(point => {
       this.appState.addRoutePoint(point);
     });
@@ -531,17 +643,29 @@ export class ExportController {
     }
 
     let importedPoints = 0;
+    let currentTrkseg = null;
     trackPoints.forEach(trkpt => {
       const lat = parseFloat(trkpt.getAttribute('lat'));
       const lon = parseFloat(trkpt.getAttribute('lon'));
       
       if (isNaN(lat) || isNaN(lon)) return;
 
+      // Each <trkseg> becomes its own track segment
+      if (trkpt.parentNode !== currentTrkseg) {
+        if (currentTrkseg || !shouldClear) {
+          this.appState.startNewSegment();
+        }
+        currentTrkseg = trkpt.parentNode;
+      }
+
       const timeElement = trkpt.querySelector('time');
+      const eleElement = trkpt.querySelector('ele');
+      const elevation = eleElement ? parseFloat(eleElement.textContent) : NaN;
       
       const point = {
         type: 'location',
         coords: { lat, lng: lon },
+        altitude: isNaN(elevation) ? null : elevation,
         timestamp: timeElement ? new Date(timeElement.textContent).getTime() : Date.now() + importedPoints * 1000
       };
 
@@ -670,7 +794,8 @@ async exportRouteSummary() {
   if (!routeDataToExport || !routeInfo) return;
 
   try {
-    const htmlContent = this.generateRouteSummaryHTML(routeDataToExport, routeInfo, accessibilityData);
+    // The page is self-contained, so photos are embedded
+    const htmlContent = this.generateRouteSummaryHTML(await this.inlinePhotos(routeDataToExport), routeInfo, accessibilityData);
     const filename = `${routeInfo.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_summary.html`;
     
     this.downloadFile(htmlContent, filename, 'text/html');
@@ -693,6 +818,13 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
   const locationPoints = routeData.filter(p => p.type === 'location' && p.coords);
   const photos = routeData.filter(p => p.type === 'photo');
   const notes = routeData.filter(p => p.type === 'text');
+  const barriers = routeData.filter(p => p.type === 'barrier' && p.coords);
+  const timeStats = calculateTimeStats(routeData, routeInfo.elapsedTime);
+  const elevationStats = calculateElevationStats(routeData);
+  const slopeAnalysis = analyzeSlopes(routeData);
+  const splitResult = calculateSplits(routeData);
+  // The embedded map gets a simplified line; stats above use every point
+  const simplifiedTrack = simplifyRouteData(locationPoints);
   
   const date = new Date(routeInfo.date);
   const formattedDate = date.toLocaleDateString('en-US', { 
@@ -945,6 +1077,37 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             grid-column: 1 / -1;
         }
         
+        .barrier-item {
+            display: flex;
+            gap: 15px;
+            align-items: flex-start;
+            background: #fafafa;
+            border-left: 5px solid #FF9800;
+            border-radius: 10px;
+            padding: 15px 20px;
+            margin-bottom: 12px;
+        }
+        
+        .barrier-icon {
+            font-size: 2rem;
+        }
+        
+        .barrier-severity {
+            display: inline-block;
+            padding: 2px 10px;
+            border-radius: 12px;
+            color: white;
+            font-size: 0.8rem;
+            font-weight: bold;
+            margin-left: 8px;
+        }
+        
+        .barrier-item img {
+            max-width: 200px;
+            border-radius: 8px;
+            margin-top: 8px;
+        }
+        
         .notes-list {
             margin-top: 20px;
         }
@@ -1004,6 +1167,23 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             margin-bottom: 10px;
         }
         
+        .splits-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        
+        .splits-table th,
+        .splits-table td {
+            padding: 8px 10px;
+            text-align: right;
+            border-bottom: 1px solid #e9ecef;
+        }
+        
+        .splits-table th:first-child,
+        .splits-table td:first-child {
+            text-align: left;
+        }
+        
         .warning-box p {
             color: #721c24;
             margin: 5px 0;
@@ -1071,6 +1251,36 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
                         <span class="stat-value">${photos.length}</span>
                         <span class="stat-label">Photos</span>
                     </div>
+                    ${barriers.length > 0 ? `
+                    <div class="stat-item">
+                        <span class="stat-value">${barriers.length}</span>
+                        <span class="stat-label">Barriers</span>
+                    </div>
+                    ` : ''}
+                    ${timeStats.stopCount > 0 ? `
+                    <div class="stat-item">
+                        <span class="stat-value">${this.formatDuration(timeStats.movingTime)}</span>
+                        <span class="stat-label">Moving Time</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${this.formatDuration(timeStats.stoppedTime)}</span>
+                        <span class="stat-label">Stopped Time</span>
+                    </div>
+                    ` : ''}
+                    ${elevationStats.hasElevation ? `
+                    <div class="stat-item">
+                        <span class="stat-value">${elevationStats.gain} m</span>
+                        <span class="stat-label">Ascent</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${elevationStats.loss} m</span>
+                        <span class="stat-label">Descent</span>
+                    </div>
+                    <div class="stat-item">
+                        <span class="stat-value">${elevationStats.min}–${elevationStats.max} m</span>
+                        <span class="stat-label">Elevation Range</span>
+                    </div>
+                    ` : ''}
                 </div>
             </div>
 
@@ -1086,6 +1296,37 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
 
             ${accessibilityData ? this.generateAccessibilitySection(accessibilityData) : ''}
 
+            ${slopeAnalysis.hasElevation ? this.generateSlopeSection(slopeAnalysis) : ''}
+
+            ${splitResult.splits.length > 0 ? this.generateSplitsSection(splitResult) : ''}
+
+            <!-- Barriers Section -->
+            ${barriers.length > 0 ? `
+            <div class="card notes-section">
+                <h2>🚧 Accessibility Barriers (${barriers.length})</h2>
+                <div class="notes-list">
+                    ${barriers.map(barrier => {
+                      const barrierType = getBarrierType(barrier.barrierType);
+                      const severity = getBarrierSeverity(barrier.severity);
+                      const measurements = formatBarrierMeasurements(barrier);
+                      return `
+                        <div class="barrier-item" style="border-left-color: ${severity.color};">
+                            <div class="barrier-icon">${barrierType.icon}</div>
+                            <div>
+                                <strong>${barrierType.label}</strong>
+                                <span class="barrier-severity" style="background: ${severity.color};">${severity.label}</span>
+                                ${measurements ? `<p>${measurements}</p>` : ''}
+                                ${barrier.content ? `<p>${barrier.content}</p>` : ''}
+                                <div class="note-time">${new Date(barrier.timestamp).toLocaleString()}</div>
+                                ${barrier.photo ? `<img src="${barrier.photo}" alt="${barrierType.label}">` : ''}
+                            </div>
+                        </div>
+                      `;
+                    }).join('')}
+                </div>
+            </div>
+            ` : ''}
+
             <!-- Interactive Map -->
             ${locationPoints.length > 0 ? `
             <div class="card map-container">
@@ -1147,8 +1388,8 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
             attribution: '© OpenStreetMap contributors'
         }).addTo(map);
 
-        // Add route polyline
-        const routePoints = ${JSON.stringify(locationPoints.map(p => [p.coords.lat, p.coords.lng]))};
+        // Add route polyline (one line per track segment)
+        const routePoints = ${JSON.stringify(splitIntoSegments(simplifiedTrack.routeData).map(segment => segment.map(p => [p.coords.lat, p.coords.lng])))};
         const polyline = L.polyline(routePoints, {
             color: '#4a7c59',
             weight: 4,
@@ -1177,6 +1418,24 @@ generateRouteSummaryHTML(routeData, routeInfo, accessibilityData) {
         }).addTo(map).bindPopup('<img src="${photo.content}" style="width:200px; border-radius:10px;">');
         ` : '').join('')}
 
+        // Add barrier markers
+        const barriers = ${JSON.stringify(barriers.map(barrier => ({
+          lat: barrier.coords.lat,
+          lng: barrier.coords.lng,
+          icon: getBarrierType(barrier.barrierType).icon,
+          color: getBarrierSeverity(barrier.severity).color,
+          description: describeBarrier(barrier)
+        })))};
+        barriers.forEach(barrier => {
+            L.marker([barrier.lat, barrier.lng], {
+                icon: L.divIcon({
+                    html: barrier.icon,
+                    iconSize: [30, 30],
+                    className: 'barrier-marker'
+                })
+            }).addTo(map).bindPopup(barrier.description);
+        });
+
         // Fit map to route bounds
         map.fitBounds(polyline.getBounds(), { padding: [20, 20] });
     </script>
@@ -1390,6 +1649,58 @@ generateAccessibilitySection(accessibilityData) {
   `;
 }
 
+// Slopes measured from recorded altitude, listing stretches steeper than 10%
+generateSlopeSection(slopeAnalysis) {
+  const { totals, steepStretches } = slopeAnalysis;
+
+  return `
+    <div class="card">
+        <h2>⛰️ Slope Analysis</h2>
+        <div class="stats-grid">
+            ${Object.entries(SLOPE_CATEGORIES).map(([key, category]) => `
+            <div class="stat-item">
+                <span class="stat-value">${totals[key]} m</span>
+                <span class="stat-label">${category.label}</span>
+            </div>
+            `).join('')}
+            <div class="stat-item">
+                <span class="stat-value">${slopeAnalysis.maxGrade}%</span>
+                <span class="stat-label">Max Grade</span>
+            </div>
+        </div>
+        ${steepStretches.length > 0 ? `
+        <div class="warning-box">
+            <h4>⚠️ Steep Sections (over 10%)</h4>
+            ${steepStretches.map(stretch => `
+            <p>${stretch.direction === 'up' ? '↗️ Climb' : '↘️ Descent'} of ${stretch.length} m starting ${(stretch.startDistance / 1000).toFixed(2)} km from the start — average ${stretch.averageGrade}%, max ${stretch.maxGrade}%</p>
+            `).join('')}
+        </div>
+        ` : ''}
+        <p><em>Grades are estimated from GPS altitude and may differ from on-site measurements.</em></p>
+    </div>
+  `;
+}
+
+// Per-km / per-mile splits table
+generateSplitsSection({ unit, splits }) {
+  return `
+    <div class="card">
+        <h2>⏱️ Splits (per ${SPLIT_UNITS[unit].label})</h2>
+        <table class="splits-table">
+            <thead>
+                <tr><th>${SPLIT_UNITS[unit].label}</th><th>Time</th><th>Avg Speed</th><th>Elevation</th><th>Stops</th></tr>
+            </thead>
+            <tbody>
+                ${splits.map(split => {
+                  const row = formatSplit(split, unit);
+                  return `<tr><td>${row.label}</td><td>${row.time}</td><td>${row.speed}</td><td>${row.elevation}</td><td>${row.stops}</td></tr>`;
+                }).join('')}
+            </tbody>
+        </table>
+    </div>
+  `;
+}
+
 // Preview the generated HTML in a new tab
 previewRouteSummary(htmlContent) {
   const blob = new Blob([htmlContent], { type: 'text/html' });
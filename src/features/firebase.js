@@ -1,5 +1,5 @@
 // firebase.js - Enhanced Firebase Controller with Toast Notifications
-import { db } from '../../firebase-setup.js';
+import { db, storage, auth } from '../../firebase-setup.js';
 import { 
   collection, 
   addDoc, 
@@ -12,8 +12,21 @@ import {
   updateDoc,
   deleteDoc,
   serverTimestamp,
-  onSnapshot
+  onSnapshot,
+  runTransaction
 } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { calculateTimeStats, calculateElevationStats, calculateBarrierStats } from '../utils/route-stats.js';
+import { describeBarrier } from '../utils/barrier-catalogue.js';
+import { simplifyRouteData, formatSimplificationReport } from '../utils/simplify.js';
+import { getSegmentCount } from '../utils/segments.js';
+import { analyzeRouteQuality } from '../utils/gps-quality.js';
+import { INITIAL_REVISION, getTrackFingerprint } from '../utils/sync-plan.js';
+import { withRemotePhotoSources } from '../core/media-store.js';
+import { CloudPhotoUploader } from './cloud-photos.js';
+import { fetchPage, PageCache, DEFAULT_PAGE_SIZE } from '../utils/pagination.js';
+import { getRouteGeo, fetchNear } from '../utils/geohash.js';
+import { GuideStats } from './guide-stats.js';
+import { ModerationService } from './moderation.js';
 
 export class FirebaseController {
   constructor() {
@@ -22,7 +35,11 @@ export class FirebaseController {
     this.exportController = null;
     this.syncListeners = [];
     this.isOnline = navigator.onLine;
-    this.pendingSyncs = [];
+    this.dependencies = {};
+    this.photoUploader = new CloudPhotoUploader(storage);
+    this.pageCache = new PageCache();
+    this.guideStats = new GuideStats(db, auth);
+    this.moderation = new ModerationService(db, auth);
     
     this.setupNetworkListeners();
     
@@ -43,6 +60,28 @@ export class FirebaseController {
     }
   }
 
+  setDependencies(deps) {
+    this.dependencies = deps;
+    this.photoUploader.setMediaStore(deps.mediaStore || null);
+  }
+
+  getPhotoUploader() {
+    return this.photoUploader;
+  }
+
+  getGuideStats() {
+    return this.guideStats;
+  }
+
+  getModeration() {
+    return this.moderation;
+  }
+
+  // Photos go to Firebase Storage; route documents only keep their URLs (1 MiB document limit)
+  async uploadPhotos(routeData) {
+    return this.photoUploader.uploadRoutePhotos(routeData, this.getCurrentUser().uid);
+  }
+
   setupNetworkListeners() {
     window.addEventListener('online', () => {
       console.log('🌐 Back online');
@@ -51,8 +90,6 @@ export class FirebaseController {
       if (window.toast) {
         window.toast.success('Back Online', 'Internet connection restored');
       }
-      
-      this.processPendingSyncs();
     });
 
     window.addEventListener('offline', () => {
@@ -79,9 +116,11 @@ export class FirebaseController {
   }
 
   /**
-   * Save route to cloud with trail guide generation
+   * Save route to cloud with trail guide generation.
+   * Offline or while the service is unavailable the upload goes to the
+   * persistent sync queue; the thrown error then has `queued: true`.
    */
-  async saveRouteToCloud(routeData, metadata = {}) {
+  async saveRouteToCloud(routeData, metadata = {}, { sessionId = null } = {}) {
     const user = this.getCurrentUser();
     
     if (!user) {
@@ -93,74 +132,15 @@ export class FirebaseController {
     }
 
     if (!this.isOnline) {
-      this.pendingSyncs.push({ type: 'save', routeData, metadata });
-      const errorMsg = 'Offline - route queued for sync when online';
+      await this.queueUpload(routeData, metadata, sessionId);
       if (window.toast) {
         window.toast.warning('Queued for Sync', 'Route will sync when online');
       }
-      throw new Error(errorMsg);
+      throw Object.assign(new Error('Offline - route queued for sync when online'), { queued: true });
     }
 
     try {
-      console.log('☁️ Saving route to cloud...');
-
-      // Get accessibility data
-      let accessibilityData = null;
-      try {
-        const storedData = localStorage.getItem('accessibilityData');
-        accessibilityData = storedData ? JSON.parse(storedData) : null;
-      } catch (error) {
-        console.warn('Could not load accessibility data:', error);
-      }
-
-      // Prepare route document
-      const routeDoc = {
-        userId: user.uid,
-        userEmail: user.email,
-        userName: user.displayName || user.email,
-        name: metadata.name || 'Unnamed Route',
-        description: metadata.description || '',
-        isPublic: metadata.isPublic || false,
-        tags: metadata.tags || [],
-        timestamp: serverTimestamp(),
-        createdAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
-        
-        // Route data
-        points: routeData || [],
-        totalDistance: metadata.totalDistance || 0,
-        duration: metadata.elapsedTime || 0,
-        startTime: metadata.startTime || null,
-        endTime: Date.now(),
-        
-        // Statistics
-        stats: {
-          locationPoints: routeData.filter(p => p.type === 'location').length,
-          photos: routeData.filter(p => p.type === 'photo').length,
-          notes: routeData.filter(p => p.type === 'text').length,
-          totalDataPoints: routeData.length
-        },
-        
-        // Accessibility data
-        accessibility: accessibilityData || {},
-        
-        // Metadata
-        metadata: {
-          deviceInfo: this.getDeviceInfo(),
-          appVersion: '1.0.0',
-          ...metadata
-        }
-      };
-
-      // Save route
-      const docRef = await addDoc(collection(this.db, 'routes'), routeDoc);
-      console.log('✅ Route saved to cloud:', docRef.id);
-
-      // Generate trail guide
-      await this.generateTrailGuide(docRef.id, routeData, metadata, accessibilityData);
-
-      return docRef.id;
-      
+      return await this.uploadRoute(routeData, metadata);
     } catch (error) {
       console.error('❌ Failed to save route to cloud:', error);
       
@@ -170,11 +150,11 @@ export class FirebaseController {
         }
         throw new Error('Permission denied. Please check your account.');
       } else if (error.code === 'unavailable') {
-        this.pendingSyncs.push({ type: 'save', routeData, metadata });
+        await this.queueUpload(routeData, metadata, sessionId);
         if (window.toast) {
           window.toast.warning('Service Unavailable', 'Route queued for sync');
         }
-        throw new Error('Cloud temporarily unavailable. Route queued for sync.');
+        throw Object.assign(new Error('Cloud temporarily unavailable. Route queued for sync.'), { queued: true });
       }
       
       if (window.toast) {
@@ -185,6 +165,96 @@ export class FirebaseController {
     }
   }
 
+  async queueUpload(routeData, metadata, sessionId) {
+    const syncQueue = this.dependencies.syncQueue;
+    if (!syncQueue) {
+      throw new Error('Offline and no sync queue available');
+    }
+    return syncQueue.enqueueRoute(routeData, metadata, { sessionId });
+  }
+
+  /**
+   * Create the cloud route document and its trail guide. Errors are thrown
+   * unhandled; saveRouteToCloud and the sync queue decide what to do.
+   */
+  async uploadRoute(routeData, metadata = {}) {
+    const user = this.getCurrentUser();
+    if (!user) {
+      throw Object.assign(new Error('Please sign in to save routes to cloud'), { code: 'unauthenticated' });
+    }
+
+    console.log('☁️ Saving route to cloud...');
+    routeData = await this.uploadPhotos(routeData);
+
+    // Get accessibility data
+    let accessibilityData = null;
+    try {
+      const storedData = localStorage.getItem('accessibilityData');
+      accessibilityData = storedData ? JSON.parse(storedData) : null;
+    } catch (error) {
+      console.warn('Could not load accessibility data:', error);
+    }
+
+    // Upload a simplified track; stats below still come from the full recording
+    const simplified = simplifyRouteData(routeData);
+    console.log(`📉 Upload simplified: ${formatSimplificationReport(simplified.report)}`);
+
+    // Prepare route document
+    const routeDoc = {
+      userId: user.uid,
+      userEmail: user.email,
+      userName: user.displayName || user.email,
+      name: metadata.name || 'Unnamed Route',
+      description: metadata.description || '',
+      isPublic: metadata.isPublic || false,
+      tags: metadata.tags || [],
+      timestamp: serverTimestamp(),
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+      revision: INITIAL_REVISION,
+      trackFingerprint: getTrackFingerprint(routeData),
+      
+      // Location (geohash, trailhead, bounds) for "near me" queries
+      ...getRouteGeo(routeData),
+      
+      // Route data
+      points: simplified.routeData,
+      simplification: simplified.report,
+      totalDistance: metadata.totalDistance || 0,
+      duration: metadata.elapsedTime || 0,
+      startTime: metadata.startTime || null,
+      endTime: Date.now(),
+      
+      // Statistics
+      stats: this.buildRouteStats(routeData, metadata.elapsedTime, metadata.gpsFilterStats),
+      
+      // Accessibility data
+      accessibility: accessibilityData || {},
+      
+      // Metadata
+      metadata: {
+        deviceInfo: this.getDeviceInfo(),
+        appVersion: '1.0.0',
+        ...metadata
+      }
+    };
+
+    // Save route
+    const docRef = await addDoc(collection(this.db, 'routes'), routeDoc);
+    console.log('✅ Route saved to cloud:', docRef.id);
+
+    if (window.toast && simplified.report.removedPoints > 0) {
+      window.toast.info('Track Simplified', formatSimplificationReport(simplified.report));
+    }
+
+    this.invalidateRouteListings();
+
+    // Generate trail guide
+    await this.generateTrailGuide(docRef.id, withRemotePhotoSources(routeData), metadata, accessibilityData);
+
+    return docRef.id;
+  }
+
   /**
    * Generate and save trail guide HTML
    */
@@ -207,6 +277,10 @@ export class FirebaseController {
         htmlContent = this.generateBasicHTML(routeData, routeInfo, accessibilityData);
       }
 
+      const timeStats = calculateTimeStats(routeData, routeInfo.elapsedTime);
+      const elevationStats = calculateElevationStats(routeData);
+      const quality = analyzeRouteQuality(routeData, { gpsFilterStats: routeInfo.gpsFilterStats });
+
       // Create trail guide document
       const trailGuideDoc = {
         routeId: routeId,
@@ -223,6 +297,19 @@ export class FirebaseController {
           publishedAt: serverTimestamp()
         }),
         
+        // Location (geohash, trailhead, bounds) for "near me" queries
+        ...getRouteGeo(routeData),
+        
+        // Photos are referenced by their cloud storage URLs, never embedded
+        photos: routeData
+          .filter(p => p.type === 'photo' && p.photoUrl)
+          .map(p => ({
+            url: p.photoUrl,
+            thumbnailUrl: p.thumbnailUrl || null,
+            coords: p.coords || null,
+            timestamp: p.timestamp || null
+          })),
+        
         // Metadata
         metadata: {
           totalDistance: routeInfo.totalDistance || 0,
@@ -230,7 +317,13 @@ export class FirebaseController {
           originalDate: routeInfo.date || new Date().toISOString(),
           locationCount: routeData.filter(p => p.type === 'location').length,
           photoCount: routeData.filter(p => p.type === 'photo').length,
-          noteCount: routeData.filter(p => p.type === 'text').length
+          noteCount: routeData.filter(p => p.type === 'text').length,
+          barrierCount: routeData.filter(p => p.type === 'barrier').length,
+          stoppedTime: timeStats.stoppedTime,
+          elevationGain: elevationStats.gain,
+          elevationLoss: elevationStats.loss,
+          qualityScore: quality.score,
+          qualityGrade: quality.grade
         },
         
         // Accessibility features
@@ -249,13 +342,16 @@ export class FirebaseController {
           generatedBy: 'Access Nature App'
         },
         
-        // Community features
+        // Community features; reviews live in the guide's `reviews` subcollection,
+        // ratings holds their running totals per aspect (see review-stats.js)
         community: {
           views: 0,
           downloads: 0,
-          ratings: [],
+          ratings: {},
           averageRating: 0,
-          reviews: []
+          aspectAverages: {},
+          reviewCount: 0,
+          trendingScore: 0
         }
       };
 
@@ -287,6 +383,8 @@ export class FirebaseController {
     const locationPoints = routeData.filter(p => p.type === 'location');
     const photos = routeData.filter(p => p.type === 'photo');
     const notes = routeData.filter(p => p.type === 'text');
+    const barriers = routeData.filter(p => p.type === 'barrier');
+    const elevationStats = calculateElevationStats(routeData);
 
     return `
 <!DOCTYPE html>
@@ -309,10 +407,22 @@ export class FirebaseController {
     <h2>Trail Statistics</h2>
     <p>📏 Distance: ${(routeInfo.totalDistance || 0).toFixed(2)} km</p>
     <p>⏱️ Duration: ${this.formatDuration(routeInfo.elapsedTime || 0)}</p>
+    ${elevationStats.hasElevation ? `
+    <p>⛰️ Ascent / Descent: ${elevationStats.gain} m / ${elevationStats.loss} m</p>
+    <p>📐 Elevation: ${elevationStats.min}–${elevationStats.max} m</p>
+    ` : ''}
     <p>📍 GPS Points: ${locationPoints.length}</p>
     <p>📷 Photos: ${photos.length}</p>
     <p>📝 Notes: ${notes.length}</p>
+    <p>🚧 Barriers: ${barriers.length}</p>
+  </div>
+
+  ${barriers.length > 0 ? `
+  <div class="accessibility">
+    <h2>🚧 Accessibility Barriers</h2>
+    ${barriers.map(barrier => `<p>${describeBarrier(barrier)}</p>`).join('')}
   </div>
+  ` : ''}
   
   ${accessibilityData ? `
   <div class="accessibility">
@@ -339,7 +449,19 @@ export class FirebaseController {
     return `${minutes}m`;
   }
 
+  // First `limit` routes, newest first
   async loadMyRoutes(limit = 50) {
+    const page = await this.loadMyRoutesPage(0, { pageSize: limit });
+    return page.items;
+  }
+
+  /**
+   * One page of the user's routes, newest first. Page n continues from the
+   * cursor of page n - 1, so pages load in order; loaded pages are cached
+   * until the next upload, edit or deletion (or refresh: true).
+   * Returns { items, cursor, hasMore, fromCache }
+   */
+  async loadMyRoutesPage(pageIndex = 0, { pageSize = DEFAULT_PAGE_SIZE, refresh = false } = {}) {
     const user = this.getCurrentUser();
     
     if (!user) {
@@ -350,36 +472,35 @@ export class FirebaseController {
       throw new Error(errorMsg);
     }
 
+    const key = `myRoutes:${user.uid}:${pageSize}`;
+    const cached = refresh ? null : this.pageCache.getPage(key, pageIndex);
+    if (cached) {
+      return { ...cached, fromCache: true };
+    }
+
+    const previous = pageIndex > 0 ? this.pageCache.getPage(key, pageIndex - 1) : null;
+    if (pageIndex > 0 && !previous) {
+      throw new Error(`Page ${pageIndex} requested before page ${pageIndex - 1}`);
+    }
+
     try {
-      console.log('☁️ Loading routes from cloud...');
+      console.log(`☁️ Loading routes from cloud (page ${pageIndex + 1})...`);
       
-      if (window.toast) {
+      if (window.toast && pageIndex === 0) {
         window.toast.info('Loading Routes', 'Fetching your trails...');
       }
 
-      const q = query(
-        collection(this.db, 'routes'),
-        where('userId', '==', user.uid),
-        orderBy('timestamp', 'desc')
-      );
-
-      const querySnapshot = await getDocs(q);
-      const routes = [];
-
-      querySnapshot.forEach(doc => {
-        routes.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+      const page = await fetchPage(this.myRoutesQuery(user), { pageSize, cursor: previous ? previous.cursor : null });
+      this.pageCache.addPage(key, pageIndex, page);
 
-      console.log(`✅ Loaded ${routes.length} routes from cloud`);
+      console.log(`✅ Loaded ${page.items.length} routes from cloud${page.hasMore ? ' (more available)' : ''}`);
       
-      if (window.toast) {
-        window.toast.success('Routes Loaded', `Found ${routes.length} route${routes.length !== 1 ? 's' : ''}`);
+      if (window.toast && pageIndex === 0) {
+        const count = `${page.items.length}${page.hasMore ? '+' : ''}`;
+        window.toast.success('Routes Loaded', `Found ${count} route${page.items.length !== 1 || page.hasMore ? 's' : ''}`);
       }
       
-      return routes;
+      return { ...page, fromCache: false };
       
     } catch (error) {
       console.error('❌ Failed to load routes:', error);
@@ -399,6 +520,46 @@ export class FirebaseController {
     }
   }
 
+  // Pages already loaded for the routes list, in order
+  getCachedMyRoutesPages(pageSize = DEFAULT_PAGE_SIZE) {
+    const user = this.getCurrentUser();
+    return user ? this.pageCache.getPages(`myRoutes:${user.uid}:${pageSize}`) : [];
+  }
+
+  // Listings change after writes; drop their cached pages
+  invalidateRouteListings() {
+    this.pageCache.clear('myRoutes');
+    this.pageCache.clear('publicRoutes');
+  }
+
+  myRoutesQuery(user) {
+    return query(
+      collection(this.db, 'routes'),
+      where('userId', '==', user.uid),
+      orderBy('timestamp', 'desc')
+    );
+  }
+
+  // All of the signed-in user's routes, without notifications (used by sync)
+  async fetchMyRoutes() {
+    const user = this.getCurrentUser();
+    if (!user) {
+      throw Object.assign(new Error('Please sign in to load your routes'), { code: 'unauthenticated' });
+    }
+
+    const querySnapshot = await getDocs(this.myRoutesQuery(user));
+    const routes = [];
+
+    querySnapshot.forEach(doc => {
+      routes.push({
+        id: doc.id,
+        ...doc.data()
+      });
+    });
+
+    return routes;
+  }
+
   async loadRoute(routeId) {
     try {
       const docRef = doc(this.db, 'routes', routeId);
@@ -427,6 +588,79 @@ export class FirebaseController {
     }
   }
 
+  // Route document statistics, shared by new uploads and edits
+  buildRouteStats(routeData, elapsedTime = 0, gpsFilterStats = null) {
+    const timeStats = calculateTimeStats(routeData, elapsedTime);
+    const elevationStats = calculateElevationStats(routeData);
+    const barrierStats = calculateBarrierStats(routeData);
+
+    return {
+      locationPoints: routeData.filter(p => p.type === 'location').length,
+      photos: routeData.filter(p => p.type === 'photo').length,
+      notes: routeData.filter(p => p.type === 'text').length,
+      totalDataPoints: routeData.length,
+      movingTime: timeStats.movingTime,
+      stoppedTime: timeStats.stoppedTime,
+      stopCount: timeStats.stopCount,
+      segmentCount: getSegmentCount(routeData),
+      elevationGain: elevationStats.gain,
+      elevationLoss: elevationStats.loss,
+      minElevation: elevationStats.min,
+      maxElevation: elevationStats.max,
+      barriers: barrierStats.total,
+      barriersBySeverity: barrierStats.bySeverity,
+      quality: analyzeRouteQuality(routeData, { gpsFilterStats })
+    };
+  }
+
+  /**
+   * Replace an uploaded route's track after it was edited locally and count
+   * its revision up. With expectedRevision the write only happens if nobody
+   * else wrote since; otherwise it fails with code 'sync-conflict' and the
+   * current cloud route in `error.remote`. Resolves with the new revision.
+   */
+  async updateRouteData(routeId, routeData, { name, totalDistance = 0, elapsedTime = 0, gpsFilterStats = null, expectedRevision = null } = {}) {
+    if (!this.getCurrentUser()) {
+      throw Object.assign(new Error('Please sign in to update routes'), { code: 'unauthenticated' });
+    }
+
+    const simplified = simplifyRouteData(await this.uploadPhotos(routeData));
+    const docRef = doc(this.db, 'routes', routeId);
+
+    const revision = await runTransaction(this.db, async transaction => {
+      const snapshot = await transaction.get(docRef);
+      if (!snapshot.exists()) {
+        throw Object.assign(new Error('The route no longer exists in the cloud'), { code: 'not-found' });
+      }
+
+      const current = Number(snapshot.data().revision) || 0;
+      if (expectedRevision !== null && current !== expectedRevision) {
+        throw Object.assign(new Error('The route was changed on another device'), {
+          code: 'sync-conflict',
+          remote: { id: snapshot.id, ...snapshot.data() }
+        });
+      }
+
+      transaction.update(docRef, {
+        ...(name && { name }),
+        points: simplified.routeData,
+        simplification: simplified.report,
+        totalDistance,
+        duration: elapsedTime,
+        stats: this.buildRouteStats(routeData, elapsedTime, gpsFilterStats),
+        ...getRouteGeo(routeData),
+        revision: current + 1,
+        trackFingerprint: getTrackFingerprint(routeData),
+        updatedAt: serverTimestamp()
+      });
+      return current + 1;
+    });
+
+    console.log(`✅ Route ${routeId} updated to revision ${revision}`);
+    this.invalidateRouteListings();
+    return revision;
+  }
+
   async updateRoute(routeId, updates) {
     const user = this.getCurrentUser();
     
@@ -447,6 +681,7 @@ export class FirebaseController {
       });
 
       console.log('✅ Route updated:', routeId);
+      this.invalidateRouteListings();
       
       if (window.toast) {
         window.toast.success('Route Updated', 'Changes saved successfully');
@@ -463,7 +698,7 @@ export class FirebaseController {
     }
   }
 
-  async deleteRoute(routeId) {
+  async deleteRoute(routeId, { notify = true } = {}) {
     const user = this.getCurrentUser();
     
     if (!user) {
@@ -479,8 +714,9 @@ export class FirebaseController {
       await deleteDoc(docRef);
       
       console.log('✅ Route deleted:', routeId);
+      this.invalidateRouteListings();
       
-      if (window.toast) {
+      if (window.toast && notify) {
         window.toast.success('Route Deleted', 'Route removed successfully');
       }
       
@@ -488,16 +724,34 @@ export class FirebaseController {
       
     } catch (error) {
       console.error('❌ Failed to delete route:', error);
-      if (window.toast) {
+      if (window.toast && notify) {
         window.toast.error('Delete Failed', error.message);
       }
       throw error;
     }
   }
 
+  // First `limit` public routes, newest first
   async loadPublicRoutes(limit = 20) {
+    const page = await this.loadPublicRoutesPage(0, { pageSize: limit });
+    return page.items;
+  }
+
+  // One page of public routes; paging and caching as in loadMyRoutesPage
+  async loadPublicRoutesPage(pageIndex = 0, { pageSize = DEFAULT_PAGE_SIZE, refresh = false } = {}) {
+    const key = `publicRoutes:${pageSize}`;
+    const cached = refresh ? null : this.pageCache.getPage(key, pageIndex);
+    if (cached) {
+      return { ...cached, fromCache: true };
+    }
+
+    const previous = pageIndex > 0 ? this.pageCache.getPage(key, pageIndex - 1) : null;
+    if (pageIndex > 0 && !previous) {
+      throw new Error(`Page ${pageIndex} requested before page ${pageIndex - 1}`);
+    }
+
     try {
-      console.log('🌐 Loading public routes...');
+      console.log(`🌐 Loading public routes (page ${pageIndex + 1})...`);
 
       const q = query(
         collection(this.db, 'routes'),
@@ -505,25 +759,18 @@ export class FirebaseController {
         orderBy('timestamp', 'desc')
       );
 
-      const querySnapshot = await getDocs(q);
-      const routes = [];
-
-      querySnapshot.forEach(doc => {
-        routes.push({
-          id: doc.id,
-          ...doc.data()
-        });
-      });
+      const page = await fetchPage(q, { pageSize, cursor: previous ? previous.cursor : null });
+      this.pageCache.addPage(key, pageIndex, page);
 
-      console.log(`✅ Loaded ${routes.length} public routes`);
-      return routes;
+      console.log(`✅ Loaded ${page.items.length} public routes`);
+      return { ...page, fromCache: false };
       
     } catch (error) {
       console.error('❌ Failed to load public routes:', error);
       if (window.toast) {
         window.toast.warning('Load Issue', 'Could not load public routes');
       }
-      return [];
+      return { items: [], cursor: null, hasMore: false, fromCache: false };
     }
   }
 
@@ -593,36 +840,6 @@ export class FirebaseController {
     return unsubscribe;
   }
 
-  async processPendingSyncs() {
-    if (this.pendingSyncs.length === 0) return;
-
-    console.log(`🔄 Processing ${this.pendingSyncs.length} pending syncs...`);
-    
-    if (window.toast) {
-      window.toast.info('Syncing', `Processing ${this.pendingSyncs.length} pending sync${this.pendingSyncs.length !== 1 ? 's' : ''}...`);
-    }
-
-    const syncs = [...this.pendingSyncs];
-    this.pendingSyncs = [];
-    let successCount = 0;
-
-    for (const sync of syncs) {
-      try {
-        if (sync.type === 'save') {
-          await this.saveRouteToCloud(sync.routeData, sync.metadata);
-          successCount++;
-        }
-      } catch (error) {
-        console.error('❌ Sync failed, re-queuing:', error);
-        this.pendingSyncs.push(sync);
-      }
-    }
-    
-    if (successCount > 0 && window.toast) {
-      window.toast.success('Sync Complete', `${successCount} route${successCount !== 1 ? 's' : ''} synced successfully`);
-    }
-  }
-
   getDeviceInfo() {
     return {
       userAgent: navigator.userAgent,
@@ -681,6 +898,31 @@ export class FirebaseController {
       return [];
     }
   }
+
+  /**
+   * Public trail guides starting within radiusKm of (lat, lng), nearest
+   * first, each with `distanceKm`. Guides saved before locations were
+   * stored have no geohash and never match.
+   */
+  async findTrailsNear(lat, lng, radiusKm = 25) {
+    try {
+      const guides = await fetchNear(
+        collection(this.db, 'trail_guides'),
+        { lat, lng },
+        radiusKm,
+        [where('isPublic', '==', true)]
+      );
+
+      console.log(`📍 Found ${guides.length} trails within ${radiusKm} km`);
+      return guides;
+    } catch (error) {
+      console.error('❌ Nearby trail search failed:', error);
+      if (window.toast) {
+        window.toast.error('Search Failed', 'Could not search for nearby trails');
+      }
+      return [];
+    }
+  }
 }
 
 export default FirebaseController;
\ No newline at end of file
@@ -0,0 +1,273 @@
+// follow-route.js - Follow a saved route as a reference line with off-route alerts
+import { buildReferenceLine, projectOntoLine } from '../utils/route-projection.js';
+
+export const OFF_ROUTE_DISTANCES = [15, 25, 50, 100];
+const DEFAULT_OFF_ROUTE_DISTANCE = 25;
+
+export class FollowRouteController {
+  constructor() {
+    this.dependencies = {};
+    this.reference = null;
+    this.routeName = null;
+
+    const storedDistance = parseInt(localStorage.getItem('offRouteDistance'), 10);
+    this.offRouteDistance = OFF_ROUTE_DISTANCES.includes(storedDistance) ? storedDistance : DEFAULT_OFF_ROUTE_DISTANCE;
+
+    // Fixes in a row beyond the limit before alerting (one bad fix isn't a detour)
+    this.offRouteConfirmations = 2;
+    // Repeat the alert while still off route
+    this.realertMs = 30000;
+    // How far ahead of the last progress a fix may snap (m)
+    this.lookAheadMeters = 500;
+
+    this.resetProgress();
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  // Progress is driven by fixes the tracking core accepts
+  initialize() {
+    if (this.dependencies.tracking) {
+      this.dependencies.tracking.on('point-accepted', ({ fix }) => this.update(fix));
+    }
+  }
+
+  resetProgress() {
+    this.progress = null;
+    this.isOffRoute = false;
+    this.offRouteCount = 0;
+    this.lastAlertTime = 0;
+  }
+
+  isFollowing() {
+    return !!this.reference;
+  }
+
+  setOffRouteDistance(meters) {
+    const value = parseInt(meters, 10);
+    if (!OFF_ROUTE_DISTANCES.includes(value)) {
+      console.warn(`Unsupported off-route distance: ${meters}`);
+      return false;
+    }
+
+    this.offRouteDistance = value;
+    localStorage.setItem('offRouteDistance', String(value));
+    console.log(`🧭 Off-route distance set to ${value} m`);
+    return true;
+  }
+
+  getOffRouteDistance() {
+    return this.offRouteDistance;
+  }
+
+  /**
+   * Start following a route (local session data or cloud route points)
+   */
+  start(routeData, routeName = 'Saved route') {
+    const reference = buildReferenceLine(routeData);
+
+    if (reference.points.length < 2) {
+      if (window.toast) {
+        window.toast.error('Cannot Follow Route', 'This route has no GPS track to follow');
+      }
+      return false;
+    }
+
+    this.reference = reference;
+    this.routeName = routeName;
+    this.resetProgress();
+
+    if (this.dependencies.map) {
+      this.dependencies.map.showReferenceRoute(reference.segments);
+    }
+
+    this.updateDisplay();
+
+    const trackingActive = this.dependencies.tracking && this.dependencies.tracking.isTrackingActive();
+    if (window.toast) {
+      window.toast.success('Following Route',
+        `"${routeName}" (${(reference.totalLength / 1000).toFixed(2)} km)${trackingActive ? '' : ' - start tracking to see your progress'}`);
+    }
+
+    console.log(`🧭 Following "${routeName}": ${reference.points.length} points, ${Math.round(reference.totalLength)} m`);
+    return true;
+  }
+
+  stop() {
+    if (!this.reference) return;
+
+    console.log(`🧭 Stopped following "${this.routeName}"`);
+    this.reference = null;
+    this.routeName = null;
+    this.resetProgress();
+
+    if (this.dependencies.map) {
+      this.dependencies.map.clearReferenceRoute();
+    }
+
+    this.updateDisplay();
+  }
+
+  /**
+   * Feed an accepted position fix ({ coords, accuracy, timestamp })
+   */
+  update(fix) {
+    if (!this.reference || !fix || !fix.coords) return null;
+
+    const match = this.matchPosition(fix.coords);
+    if (!match) return null;
+
+    const limit = this.offRouteDistance;
+
+    if (match.distance > limit) {
+      this.offRouteCount++;
+
+      if (this.offRouteCount >= this.offRouteConfirmations) {
+        const firstAlert = !this.isOffRoute;
+        this.isOffRoute = true;
+
+        if (firstAlert || fix.timestamp - this.lastAlertTime >= this.realertMs) {
+          this.lastAlertTime = fix.timestamp;
+          this.raiseOffRouteAlert(match.distance);
+        }
+      }
+    } else {
+      this.offRouteCount = 0;
+
+      // A little hysteresis so hovering at the limit doesn't flap
+      if (this.isOffRoute && match.distance <= limit * 0.8) {
+        this.isOffRoute = false;
+        console.log('🧭 Back on route');
+        if (window.toast) {
+          window.toast.success('Back on Route', `Following "${this.routeName}"`);
+        }
+      }
+    }
+
+    // Progress only advances while near the route
+    if (match.distance <= limit) {
+      this.progress = match.progress;
+    }
+
+    this.updateDisplay(match.distance);
+
+    return {
+      distanceFromRoute: match.distance,
+      progress: this.progress || 0,
+      remaining: this.getRemainingDistance(),
+      offRoute: this.isOffRoute
+    };
+  }
+
+  // Prefer a match just ahead of the current progress, fall back to the whole line
+  matchPosition(coords) {
+    if (this.progress !== null) {
+      const local = projectOntoLine(this.reference, coords, {
+        fromDistance: this.progress - this.offRouteDistance * 2,
+        toDistance: this.progress + this.lookAheadMeters
+      });
+
+      if (local && local.distance <= this.offRouteDistance) {
+        return local;
+      }
+    }
+
+    return projectOntoLine(this.reference, coords);
+  }
+
+  getRemainingDistance() {
+    if (!this.reference) return 0;
+    return Math.max(0, this.reference.totalLength - (this.progress || 0));
+  }
+
+  getStatus() {
+    if (!this.reference) return null;
+
+    return {
+      routeName: this.routeName,
+      totalLength: this.reference.totalLength,
+      progress: this.progress || 0,
+      remaining: this.getRemainingDistance(),
+      offRoute: this.isOffRoute
+    };
+  }
+
+  raiseOffRouteAlert(distance) {
+    console.warn(`🧭 Off route: ${Math.round(distance)} m from "${this.routeName}"`);
+
+    if (window.toast) {
+      window.toast.warning('Off Route', `${Math.round(distance)} m away from "${this.routeName}"`);
+    }
+
+    if (navigator.vibrate) {
+      navigator.vibrate([300, 150, 300]);
+    }
+
+    this.playAlertTone();
+  }
+
+  playAlertTone() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    try {
+      if (!this.audioContext) {
+        this.audioContext = new AudioContextClass();
+      }
+
+      const context = this.audioContext;
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+
+      oscillator.type = 'square';
+      oscillator.frequency.value = 880;
+      gain.gain.setValueAtTime(0.2, context.currentTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, context.currentTime + 0.6);
+
+      oscillator.connect(gain);
+      gain.connect(context.destination);
+      oscillator.start();
+      oscillator.stop(context.currentTime + 0.6);
+    } catch (error) {
+      console.warn('Could not play off-route tone:', error);
+    }
+  }
+
+  updateDisplay(distanceFromRoute = null) {
+    const statusBar = document.getElementById('statusBar');
+    const following = !!this.reference;
+
+    document.querySelectorAll('.follow-status').forEach(item => {
+      item.classList.toggle('hidden', !following);
+    });
+
+    if (statusBar) {
+      statusBar.classList.toggle('off-route', following && this.isOffRoute);
+    }
+
+    const followBtn = document.getElementById('followRouteBtn');
+    if (followBtn) {
+      followBtn.textContent = following ? '🧭 Stop Following' : '🧭 Follow Route';
+    }
+
+    if (!following) return;
+
+    const progressElement = document.getElementById('statusFollowProgress');
+    if (progressElement) {
+      const percent = this.reference.totalLength > 0 ? ((this.progress || 0) / this.reference.totalLength) * 100 : 0;
+      progressElement.textContent = `${Math.round(percent)}%`;
+    }
+
+    const remainingElement = document.getElementById('statusFollowRemaining');
+    if (remainingElement) {
+      remainingElement.textContent = (this.getRemainingDistance() / 1000).toFixed(2);
+    }
+
+    const offsetElement = document.getElementById('statusFollowOffset');
+    if (offsetElement) {
+      offsetElement.textContent = distanceFromRoute === null ? '--' : Math.round(distanceFromRoute);
+    }
+  }
+}
@@ -0,0 +1,141 @@
+// guide-stats.js - De-duplicated view/download counts and daily statistics for trail guides
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  increment,
+  runTransaction,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { ENGAGEMENT_TYPES, dayKey, addToTrendingScore, buildDailySeries, getSeriesStartDate } from '../utils/engagement.js';
+
+const SESSION_KEY = 'accessNatureSessionId';
+const RECORDED_KEY = 'accessNatureRecordedEngagement';
+
+/**
+ * A view or download counts once per viewer per day: the signed-in user, or
+ * this browser session when signed out. Authors opening their own guides
+ * don't count. Each counted event updates, in one transaction:
+ *   trail_guides/{id}/engagement/{type}_{day}_{viewer}   marker that it was counted
+ *   trail_guides/{id}/daily/{day}                        { date, views, downloads }
+ *   trail_guides/{id}.community                          views, downloads, trendingScore,
+ *                                                        lastCounted (the marker's id, for the security rules)
+ */
+export class GuideStats {
+  constructor(db, auth) {
+    this.db = db;
+    this.auth = auth;
+  }
+
+  recordView(guideId, guide = null) {
+    return this.record('view', guideId, guide);
+  }
+
+  recordDownload(guideId, guide = null) {
+    return this.record('download', guideId, guide);
+  }
+
+  // Resolves true when the event was counted; never throws
+  async record(type, guideId, guide = null) {
+    const user = this.auth.currentUser;
+    if (guide && (!guide.isPublic || (user && user.uid === guide.userId))) {
+      return false;
+    }
+
+    const viewer = user ? `u-${user.uid}` : `s-${this.getSessionId()}`;
+    const day = dayKey();
+    const eventId = `${type}_${day}_${viewer}`;
+
+    // Already counted from this browser today: skip the round trip
+    const recorded = this.getRecorded();
+    if (recorded.includes(`${guideId}/${eventId}`)) return false;
+
+    try {
+      const counted = await this.countOnce(type, guideId, eventId, day, user);
+      this.setRecorded([...recorded, `${guideId}/${eventId}`]);
+      if (counted) {
+        console.log(`📈 ${type} counted for guide ${guideId}`);
+      }
+      return counted;
+    } catch (error) {
+      console.warn(`Failed to count ${type}:`, error);
+      return false;
+    }
+  }
+
+  async countOnce(type, guideId, eventId, day, user) {
+    const { field, weight } = ENGAGEMENT_TYPES[type];
+    const guideRef = doc(this.db, 'trail_guides', guideId);
+    const eventRef = doc(this.db, 'trail_guides', guideId, 'engagement', eventId);
+    const dailyRef = doc(this.db, 'trail_guides', guideId, 'daily', day);
+
+    return runTransaction(this.db, async transaction => {
+      const guideSnap = await transaction.get(guideRef);
+      const eventSnap = await transaction.get(eventRef);
+      if (!guideSnap.exists() || eventSnap.exists()) return false;
+
+      const guide = guideSnap.data();
+      if (!guide.isPublic || (user && user.uid === guide.userId)) return false;
+
+      transaction.set(eventRef, { type, day, at: serverTimestamp() });
+      transaction.set(dailyRef, { date: day, [field]: increment(1) }, { merge: true });
+      transaction.update(guideRef, {
+        [`community.${field}`]: increment(1),
+        'community.trendingScore': addToTrendingScore(guide.community?.trendingScore, weight),
+        'community.lastCounted': eventId
+      });
+      return true;
+    });
+  }
+
+  /**
+   * Daily views/downloads of the given guides over the last `days` days:
+   * { total: series, byGuide: { [guideId]: series } }, series oldest first.
+   */
+  async getDailySeries(guideIds, days = 30) {
+    const since = getSeriesStartDate(days);
+    const docsByGuide = await Promise.all(guideIds.map(async guideId => {
+      const snapshot = await getDocs(query(
+        collection(this.db, 'trail_guides', guideId, 'daily'),
+        where('date', '>=', since)
+      ));
+      return [guideId, snapshot.docs.map(daily => daily.data())];
+    }));
+
+    const byGuide = {};
+    docsByGuide.forEach(([guideId, dailyDocs]) => {
+      byGuide[guideId] = buildDailySeries(dailyDocs, days);
+    });
+
+    return {
+      total: buildDailySeries(docsByGuide.flatMap(([, dailyDocs]) => dailyDocs), days),
+      byGuide
+    };
+  }
+
+  // Signed-out viewers are told apart per browser session
+  getSessionId() {
+    let id = sessionStorage.getItem(SESSION_KEY);
+    if (!id) {
+      id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      sessionStorage.setItem(SESSION_KEY, id);
+    }
+    return id;
+  }
+
+  getRecorded() {
+    try {
+      return JSON.parse(sessionStorage.getItem(RECORDED_KEY) || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  setRecorded(keys) {
+    // Keep only today's markers
+    const today = dayKey();
+    sessionStorage.setItem(RECORDED_KEY, JSON.stringify(keys.filter(key => key.includes(`_${today}_`))));
+  }
+}
@@ -1,5 +1,6 @@
 // Media capture functionality
 import { getCurrentPosition } from '../utils/geolocation.js';
+import { PHOTO_FIELDS, getInlinePhoto, blobToDataURL } from '../core/media-store.js';
 
 export class MediaController {
   constructor(appState) {
@@ -53,11 +54,14 @@ export class MediaController {
       };
 
       const compressedImage = await this.compressImage(file, 0.7);
+      const photo = await this.storePhoto(compressedImage);
 
       this.appState.addRoutePoint({
         type: 'photo',
         coords: coords,
-        content: compressedImage,
+        ...photo,
+        mimeType: compressedImage.type,
+        size: compressedImage.size,
         timestamp: Date.now(),
         originalSize: file.size
       });
@@ -101,6 +105,18 @@ export class MediaController {
     }
   }
 
+  /**
+   * Entry fields for a captured photo: a reference into the media store, or
+   * the inline data URL when IndexedDB isn't available.
+   */
+  async storePhoto(blob, fields = PHOTO_FIELDS.photo) {
+    const mediaId = await this.appState.getMediaStore().savePhoto(blob);
+    return mediaId
+      ? { [fields.ref]: mediaId }
+      : { [fields.inline]: await blobToDataURL(blob) };
+  }
+
+  // Resolves with a JPEG Blob no wider than 1200px
   async compressImage(file, quality = 0.7) {
     return new Promise((resolve, reject) => {
       const img = new Image();
@@ -122,8 +138,13 @@ export class MediaController {
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
         
         try {
-          const compressedBase64 = canvas.toDataURL('image/jpeg', quality);
-          resolve(compressedBase64);
+          canvas.toBlob((blob) => {
+            if (blob) {
+              resolve(blob);
+            } else {
+              reject(new Error('Image compression failed'));
+            }
+          }, 'image/jpeg', quality);
         } catch (error) {
           reject(new Error('Image compression failed'));
         }
@@ -141,8 +162,8 @@ export class MediaController {
     });
   }
 
-  showPhotoCleanupDialog() {
-    const photos = this.getStoredPhotos();
+  async showPhotoCleanupDialog() {
+    const photos = await this.getStoredPhotos();
 
     if (photos.length === 0) {
       alert('No stored photos found.');
@@ -151,46 +172,42 @@ export class MediaController {
 
     const shouldDelete = confirm(`Found ${photos.length} photos. Delete all to free up space?`);
     if (shouldDelete) {
-      this.deleteAllPhotos();
+      await this.deleteAllPhotos();
       alert('All photos deleted.');
     }
   }
 
-  getStoredPhotos() {
-    const photos = [];
-    
-    this.appState.getRouteData().forEach(entry => {
-      if (entry.type === 'photo' && entry.content) {
-        photos.push(entry);
-      }
-    });
+  isPhoto(entry) {
+    return entry.type === 'photo' && !!(getInlinePhoto(entry) || entry.mediaId);
+  }
+
+  async getStoredPhotos() {
+    const photos = this.appState.getRouteData().filter(entry => this.isPhoto(entry));
 
-    this.appState.getSessions().forEach(session => {
+    const sessions = await this.appState.getSessions();
+    sessions.forEach(session => {
       if (session.data) {
-        session.data.forEach(entry => {
-          if (entry.type === 'photo' && entry.content) {
-            photos.push(entry);
-          }
-        });
+        photos.push(...session.data.filter(entry => this.isPhoto(entry)));
       }
     });
 
     return photos;
   }
 
-  deleteAllPhotos() {
+  async deleteAllPhotos() {
     // Clear from current route data
-    const routeData = this.appState.getRouteData();
-    const filtered = routeData.filter(entry => entry.type !== 'photo');
-    this.appState.routeData = filtered;
-
-    // Clear from all sessions
-    const sessions = this.appState.getSessions();
-    sessions.forEach(session => {
-      if (session.data) {
-        session.data = session.data.filter(entry => entry.type !== 'photo');
+    this.appState.routeData = this.appState.getRouteData().filter(entry => entry.type !== 'photo');
+
+    // Clear from all sessions; the Blobs go once nothing references them
+    const sessions = await this.appState.getSessions();
+    for (const session of sessions) {
+      if (session.data && session.data.some(entry => entry.type === 'photo')) {
+        await this.appState.updateSession({
+          ...session,
+          data: session.data.filter(entry => entry.type !== 'photo')
+        });
       }
-    });
-    localStorage.setItem('sessions', JSON.stringify(sessions));
+    }
+    await this.appState.pruneMedia();
   }
 }
\ No newline at end of file
@@ -0,0 +1,206 @@
+// moderation.js - Reports on public trail guides and the moderator review queue
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  runTransaction,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { normalizeReport, applyReport, MODERATION_ACTIONS } from '../utils/moderation.js';
+
+/**
+ * Per guide:
+ *   trail_guides/{id}/reports/{userId}       one open report per user
+ *   trail_guides/{id}/moderation_history/*   every report and moderator action
+ *   trail_guides/{id}.moderation             { status, openReports, lastReportedAt, ... }
+ * Moderators are users whose users/{uid} profile has role 'moderator'
+ * (set by an admin; security rules must stop users from setting it).
+ * Reporters only change moderation.status/openReports/lastReportedAt on the
+ * guide (and isPublic when their report hides it), so rules can check the
+ * write; see "Moderation Security Rules" in the README.
+ */
+export class ModerationService {
+  constructor(db, auth) {
+    this.db = db;
+    this.auth = auth;
+    this.moderatorCache = new Map();
+  }
+
+  getCurrentUser() {
+    return this.auth.currentUser;
+  }
+
+  async isModerator() {
+    const user = this.getCurrentUser();
+    if (!user) return false;
+
+    if (!this.moderatorCache.has(user.uid)) {
+      try {
+        const profile = await getDoc(doc(this.db, 'users', user.uid));
+        this.moderatorCache.set(user.uid, profile.exists() && profile.data().role === 'moderator');
+      } catch (error) {
+        console.warn('Could not check moderator role:', error);
+        return false;
+      }
+    }
+    return this.moderatorCache.get(user.uid);
+  }
+
+  /**
+   * Report a public guide. Resolves with { autoHidden } - true when this
+   * report hid the guide until a moderator reviews it.
+   */
+  async reportGuide(guideId, report) {
+    const user = this.requireUser('report trails');
+    const { reason, details } = normalizeReport(report);
+
+    const guideRef = doc(this.db, 'trail_guides', guideId);
+    const reportRef = doc(this.db, 'trail_guides', guideId, 'reports', user.uid);
+
+    const result = await runTransaction(this.db, async transaction => {
+      const guideSnap = await transaction.get(guideRef);
+      const reportSnap = await transaction.get(reportRef);
+
+      if (!guideSnap.exists()) {
+        throw new Error('Trail guide not found');
+      }
+      const guide = guideSnap.data();
+      if (guide.userId === user.uid) {
+        throw new Error('You can\'t report your own trail guide');
+      }
+      if (reportSnap.exists() && reportSnap.data().status === 'open') {
+        throw new Error('You already reported this trail - a moderator will look at it');
+      }
+
+      const { moderation, autoHidden } = applyReport(guide.moderation || {});
+
+      transaction.set(reportRef, {
+        reporterId: user.uid,
+        reporterName: user.displayName || user.email,
+        reason,
+        details,
+        status: 'open',
+        createdAt: serverTimestamp()
+      });
+      transaction.update(guideRef, {
+        'moderation.status': moderation.status,
+        'moderation.openReports': moderation.openReports,
+        'moderation.lastReportedAt': serverTimestamp(),
+        ...(autoHidden && { isPublic: false })
+      });
+
+      this.addHistory(transaction, guideId, { action: 'reported', by: user.uid, reason, note: details });
+      if (autoHidden) {
+        this.addHistory(transaction, guideId, { action: 'auto-hidden', by: 'system', note: `${moderation.openReports} open reports` });
+      }
+      return { autoHidden };
+    });
+
+    console.log(`🚩 Guide ${guideId} reported (${reason})${result.autoHidden ? ', hidden pending review' : ''}`);
+    return result;
+  }
+
+  // Reported and hidden guides, most recently reported first
+  async getQueue() {
+    await this.requireModerator();
+
+    const snapshot = await getDocs(query(
+      collection(this.db, 'trail_guides'),
+      where('moderation.status', 'in', ['flagged', 'hidden'])
+    ));
+
+    const reportedAt = guide => guide.moderation?.lastReportedAt?.toMillis?.() || 0;
+    return snapshot.docs
+      .map(guideDoc => ({ id: guideDoc.id, ...guideDoc.data() }))
+      .sort((a, b) => reportedAt(b) - reportedAt(a));
+  }
+
+  async getOpenReports(guideId) {
+    const snapshot = await getDocs(query(
+      collection(this.db, 'trail_guides', guideId, 'reports'),
+      where('status', '==', 'open')
+    ));
+    return snapshot.docs.map(report => ({ id: report.id, ...report.data() }));
+  }
+
+  // Newest first
+  async getHistory(guideId) {
+    const snapshot = await getDocs(query(
+      collection(this.db, 'trail_guides', guideId, 'moderation_history'),
+      orderBy('at', 'desc')
+    ));
+    return snapshot.docs.map(entry => ({ id: entry.id, ...entry.data() }));
+  }
+
+  /**
+   * Apply a moderator action (see MODERATION_ACTIONS) with an optional note.
+   * Actions that close the case mark every open report resolved.
+   */
+  async moderate(guideId, action, note = '') {
+    const user = await this.requireModerator();
+    const effect = MODERATION_ACTIONS[action];
+    if (!effect) {
+      throw new Error(`Unknown moderation action: ${action}`);
+    }
+
+    // Queries can't run inside a transaction; reports arriving meanwhile stay open
+    const openReports = effect.resolvesReports ? await this.getOpenReports(guideId) : [];
+    const guideRef = doc(this.db, 'trail_guides', guideId);
+
+    await runTransaction(this.db, async transaction => {
+      const guideSnap = await transaction.get(guideRef);
+      if (!guideSnap.exists()) {
+        throw new Error('Trail guide not found');
+      }
+      const moderation = guideSnap.data().moderation || {};
+
+      openReports.forEach(report => {
+        transaction.update(doc(this.db, 'trail_guides', guideId, 'reports', report.id), {
+          status: 'resolved',
+          resolution: action,
+          resolvedAt: serverTimestamp()
+        });
+      });
+
+      transaction.update(guideRef, {
+        isPublic: effect.isPublic,
+        moderation: {
+          ...moderation,
+          status: effect.status,
+          openReports: Math.max(0, (Number(moderation.openReports) || 0) - openReports.length),
+          reviewedBy: user.uid,
+          updatedAt: serverTimestamp()
+        }
+      });
+
+      this.addHistory(transaction, guideId, { action, by: user.uid, note: String(note || '').trim() });
+    });
+
+    console.log(`🛡️ Guide ${guideId}: ${action}`);
+  }
+
+  addHistory(transaction, guideId, entry) {
+    const entryRef = doc(collection(this.db, 'trail_guides', guideId, 'moderation_history'));
+    transaction.set(entryRef, { ...entry, at: serverTimestamp() });
+  }
+
+  requireUser(action) {
+    const user = this.getCurrentUser();
+    if (!user) {
+      throw Object.assign(new Error(`Please sign in to ${action}`), { code: 'unauthenticated' });
+    }
+    return user;
+  }
+
+  async requireModerator() {
+    const user = this.requireUser('moderate trails');
+    if (!(await this.isModerator())) {
+      throw Object.assign(new Error('Only moderators can do this'), { code: 'permission-denied' });
+    }
+    return user;
+  }
+}
@@ -0,0 +1,150 @@
+// reviews.js - Ratings and reviews of public trail guides
+import {
+  collection,
+  doc,
+  getDoc,
+  query,
+  orderBy,
+  runTransaction,
+  serverTimestamp
+} from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { fetchPage } from '../utils/pagination.js';
+import { normalizeReview, updateRatingTotals, summarizeRatings } from '../utils/review-stats.js';
+
+/**
+ * Reviews live in trail_guides/{guideId}/reviews/{userId}, one per user.
+ * Every write also updates the guide's community totals and averages in the
+ * same transaction, so the numbers on trail cards never drift from the reviews.
+ */
+export class TrailReviews {
+  constructor(db, auth) {
+    this.db = db;
+    this.auth = auth;
+  }
+
+  getCurrentUser() {
+    return this.auth.currentUser;
+  }
+
+  onAuthChange(callback) {
+    return this.auth.onAuthStateChanged(callback);
+  }
+
+  reviewsCollection(guideId) {
+    return collection(this.db, 'trail_guides', guideId, 'reviews');
+  }
+
+  // The guide's name, owner and current rating summary
+  async getGuideSummary(guideId) {
+    const snapshot = await getDoc(doc(this.db, 'trail_guides', guideId));
+    if (!snapshot.exists()) {
+      throw new Error('Trail guide not found');
+    }
+
+    const guide = snapshot.data();
+    return {
+      id: snapshot.id,
+      routeName: guide.routeName || 'Unnamed Route',
+      userId: guide.userId,
+      isPublic: !!guide.isPublic,
+      ...summarizeRatings(guide.community?.ratings)
+    };
+  }
+
+  // Newest first; pass the previous page's cursor for the next one
+  async getReviews(guideId, { pageSize = 10, cursor = null } = {}) {
+    return fetchPage(query(this.reviewsCollection(guideId), orderBy('updatedAt', 'desc')), { pageSize, cursor });
+  }
+
+  async getMyReview(guideId) {
+    const user = this.getCurrentUser();
+    if (!user) return null;
+
+    const snapshot = await getDoc(doc(this.reviewsCollection(guideId), user.uid));
+    return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+  }
+
+  /**
+   * Create or replace the signed-in user's review. Resolves with the guide's
+   * new rating summary.
+   */
+  async saveReview(guideId, review) {
+    const user = this.requireUser('review trails');
+    const { ratings, text } = normalizeReview(review);
+
+    return this.updateWithTotals(guideId, user, (transaction, reviewRef, existing) => {
+      transaction.set(reviewRef, {
+        userId: user.uid,
+        userName: user.displayName || user.email,
+        ratings,
+        text,
+        createdAt: existing ? existing.createdAt : serverTimestamp(),
+        updatedAt: serverTimestamp()
+      });
+      return ratings;
+    });
+  }
+
+  async deleteReview(guideId) {
+    const user = this.requireUser('delete reviews');
+
+    // Still allowed once the guide is hidden or unpublished
+    return this.updateWithTotals(guideId, user, (transaction, reviewRef, existing) => {
+      if (existing) {
+        transaction.delete(reviewRef);
+      }
+      return null;
+    }, { requirePublic: false });
+  }
+
+  // Run write(transaction, reviewRef, existingReview) -> new ratings, and
+  // move the guide's totals from the old ratings to the new ones
+  async updateWithTotals(guideId, user, write, { requirePublic = true } = {}) {
+    const guideRef = doc(this.db, 'trail_guides', guideId);
+    const reviewRef = doc(this.reviewsCollection(guideId), user.uid);
+
+    const summary = await runTransaction(this.db, async transaction => {
+      const guideSnap = await transaction.get(guideRef);
+      if (!guideSnap.exists()) {
+        throw new Error('Trail guide not found');
+      }
+      const guide = guideSnap.data();
+      if (requirePublic && !guide.isPublic) {
+        throw new Error('Only public trail guides can be reviewed');
+      }
+      if (guide.userId === user.uid) {
+        throw new Error('You can\'t review your own trail guide');
+      }
+
+      const reviewSnap = await transaction.get(reviewRef);
+      const existing = reviewSnap.exists() ? reviewSnap.data() : null;
+
+      const ratings = write(transaction, reviewRef, existing);
+      const totals = updateRatingTotals(guide.community?.ratings, existing?.ratings, ratings);
+      const next = summarizeRatings(totals);
+
+      // Nothing to move (deleting a review that doesn't exist); the security
+      // rules only accept total changes alongside the user's own review
+      if (!existing && !ratings) return next;
+
+      transaction.update(guideRef, {
+        'community.ratings': totals,
+        'community.averageRating': next.averageRating,
+        'community.aspectAverages': next.aspectAverages,
+        'community.reviewCount': next.reviewCount
+      });
+      return next;
+    });
+
+    console.log(`⭐ Ratings of guide ${guideId} updated: ${summary.averageRating} from ${summary.reviewCount} review(s)`);
+    return summary;
+  }
+
+  requireUser(action) {
+    const user = this.getCurrentUser();
+    if (!user) {
+      throw Object.assign(new Error(`Please sign in to ${action}`), { code: 'unauthenticated' });
+    }
+    return user;
+  }
+}
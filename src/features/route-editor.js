@@ -0,0 +1,519 @@
+// route-editor.js - Fix saved sessions on the map: trim, delete points, split, merge and fill gaps
+import {
+  getLocationPoints,
+  trimRoute,
+  deletePointRange,
+  splitRoute,
+  mergeRoutes,
+  recalculateRouteTotals
+} from '../utils/route-editing.js';
+import { calculateTimeStats, calculateElevationStats } from '../utils/route-stats.js';
+import { getSegmentCount } from '../utils/segments.js';
+import { calculateSplits } from '../utils/splits.js';
+import { analyzeRouteQuality } from '../utils/gps-quality.js';
+import { haversineDistance } from '../utils/calculations.js';
+import { findGaps, interpolateGap, traceGapAlongPath, fillGap, GAP_FILL_METHODS } from '../utils/gap-fill.js';
+import { unlinkSession } from '../utils/sync-plan.js';
+
+export class RouteEditorController {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.session = null;
+    this.draft = null;
+    this.history = [];
+    this.selection = { start: 0, end: 0 };
+    this.gapDrawing = null; // { gap, path } while a gap fill is traced on the map
+    this.mapClickHandler = (event) => this.handleMapClick(event);
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const bind = (id, handler) => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.addEventListener('click', handler);
+      }
+    };
+
+    bind('editRouteBtn', () => this.chooseSessionToEdit());
+    bind('editorTrimBtn', () => this.trimToSelection());
+    bind('editorDeleteBtn', () => this.deleteSelection());
+    bind('editorUndoBtn', () => this.undo());
+    bind('editorSplitBtn', () => this.splitAtSelection());
+    bind('editorMergeBtn', () => this.mergeWithNext());
+    bind('editorFillGapBtn', () => this.fillNextGap());
+    bind('editorSaveBtn', () => this.save());
+    bind('editorCancelBtn', () => this.close());
+
+    ['editorStartRange', 'editorEndRange'].forEach(id => {
+      const range = document.getElementById(id);
+      if (range) {
+        range.addEventListener('input', () => this.handleRangeInput());
+      }
+    });
+  }
+
+  isEditing() {
+    return !!this.session;
+  }
+
+  async chooseSessionToEdit() {
+    if (this.appState.getTrackingState().isTracking) {
+      if (window.toast) {
+        window.toast.warning('Tracking Active', 'Stop tracking before editing saved routes');
+      }
+      return;
+    }
+
+    const sessions = await this.appState.getSessions();
+    if (!sessions || sessions.length === 0) {
+      if (window.toast) {
+        window.toast.info('No Saved Routes', 'There are no saved routes to edit');
+      }
+      return;
+    }
+
+    let message = '✂️ Select a route to edit:\n\n';
+    sessions.forEach((session, index) => {
+      const date = new Date(session.date).toLocaleDateString();
+      const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
+      const points = getLocationPoints(session.data || []).length;
+      message += `${index + 1}. ${session.name}\n`;
+      message += `   📅 ${date} | 📏 ${distance} | 📍 ${points} points\n\n`;
+    });
+    message += `Enter route number (1-${sessions.length}):`;
+
+    const choiceNum = parseInt(prompt(message));
+    if (choiceNum >= 1 && choiceNum <= sessions.length) {
+      this.open(sessions[choiceNum - 1]);
+    }
+  }
+
+  open(session) {
+    if (getLocationPoints(session.data || []).length < 2) {
+      if (window.toast) {
+        window.toast.error('Cannot Edit', 'This route has fewer than two GPS points');
+      }
+      return;
+    }
+
+    this.session = session;
+    this.draft = [...session.data];
+    this.history = [];
+    this.resetSelection();
+
+    if (this.dependencies.map) {
+      this.dependencies.map.addClickHandler(this.mapClickHandler);
+    }
+
+    document.getElementById('routeEditorPanel')?.classList.remove('hidden');
+    this.render(true);
+
+    console.log(`✂️ Editing "${session.name}"`);
+  }
+
+  async close() {
+    if (this.history.length > 0) {
+      const discard = this.dependencies.dialogs
+        ? await this.dependencies.dialogs.showConfirmDialog('Discard Changes?', 'Your edits to this route have not been saved.', 'Discard', 'Keep Editing', true)
+        : confirm('Discard unsaved edits?');
+      if (!discard) return;
+    }
+
+    this.finish();
+  }
+
+  finish() {
+    this.cancelGapDrawing();
+
+    if (this.dependencies.map) {
+      this.dependencies.map.removeClickHandler(this.mapClickHandler);
+      this.dependencies.map.clearEditSelection();
+      this.dependencies.map.clearRouteDisplay();
+    }
+
+    document.getElementById('routeEditorPanel')?.classList.add('hidden');
+    this.session = null;
+    this.draft = null;
+    this.history = [];
+  }
+
+  getPoints() {
+    return getLocationPoints(this.draft || []);
+  }
+
+  resetSelection() {
+    this.selection = { start: 0, end: Math.max(0, this.getPoints().length - 1) };
+  }
+
+  // Apply an edit to the draft, keeping the previous version for undo
+  applyEdit(newDraft, description) {
+    if (getLocationPoints(newDraft).length < 2) {
+      if (window.toast) {
+        window.toast.error('Edit Not Applied', 'A route needs at least two GPS points');
+      }
+      return;
+    }
+
+    this.cancelGapDrawing();
+    this.history.push(this.draft);
+    this.draft = newDraft;
+    this.resetSelection();
+    this.render(true);
+    console.log(`✂️ ${description}`);
+  }
+
+  trimToSelection() {
+    if (!this.isEditing()) return;
+    const { start, end } = this.selection;
+    this.applyEdit(trimRoute(this.draft, start, end), `Trimmed to points ${start}-${end}`);
+  }
+
+  deleteSelection() {
+    if (!this.isEditing()) return;
+    const { start, end } = this.selection;
+    this.applyEdit(deletePointRange(this.draft, start, end), `Deleted points ${start}-${end}`);
+  }
+
+  undo() {
+    if (!this.isEditing() || this.history.length === 0) return;
+    this.cancelGapDrawing();
+    this.draft = this.history.pop();
+    this.resetSelection();
+    this.render(true);
+  }
+
+  /**
+   * Fill the next GPS gap at or after the selection start, by straight line
+   * or along a path tapped on the map. While tracing, the same button finishes.
+   */
+  async fillNextGap() {
+    if (!this.isEditing()) return;
+
+    if (this.gapDrawing) {
+      this.finishGapDrawing();
+      return;
+    }
+
+    const gaps = findGaps(this.draft);
+    if (gaps.length === 0) {
+      if (window.toast) {
+        window.toast.info('No Gaps Found', 'This route has no missing GPS stretches to fill');
+      }
+      return;
+    }
+
+    const gap = gaps.find(candidate => candidate.fromIndex >= this.selection.start) || gaps[0];
+    this.selection = { start: gap.fromIndex, end: gap.toIndex };
+    this.render(false);
+
+    const methods = Object.entries(GAP_FILL_METHODS);
+    let message = `🩹 Gap ${gaps.indexOf(gap) + 1} of ${gaps.length}: ${gap.seconds}s without GPS over ${gap.meters} m\n\n`;
+    methods.forEach(([, method], index) => {
+      message += `${index + 1}. ${method.icon} ${method.label}\n`;
+    });
+    message += `\nEnter fill method (1-${methods.length}):`;
+
+    const choiceNum = parseInt(prompt(message));
+    if (!(choiceNum >= 1 && choiceNum <= methods.length)) return;
+
+    if (methods[choiceNum - 1][0] === 'interpolated') {
+      const filled = interpolateGap(gap);
+      this.applyEdit(fillGap(this.draft, gap, filled), `Filled ${gap.seconds}s gap with ${filled.length} interpolated points`);
+      return;
+    }
+
+    this.gapDrawing = { gap, path: [] };
+    this.render(false);
+    if (window.toast) {
+      window.toast.info('Trace the Path', 'Tap the map along the way you went, then press Finish Path');
+    }
+  }
+
+  finishGapDrawing() {
+    const { gap, path } = this.gapDrawing;
+    if (path.length === 0) {
+      this.cancelGapDrawing();
+      this.render(false);
+      if (window.toast) {
+        window.toast.warning('Nothing Drawn', 'Tap the map at least once to trace the path');
+      }
+      return;
+    }
+
+    const filled = traceGapAlongPath(gap, path);
+    this.applyEdit(fillGap(this.draft, gap, filled), `Filled ${gap.seconds}s gap with ${filled.length} points along a drawn path`);
+  }
+
+  cancelGapDrawing() {
+    if (!this.gapDrawing) return;
+
+    this.gapDrawing = null;
+    if (this.dependencies.map) {
+      this.dependencies.map.clearGapPath();
+    }
+  }
+
+  /**
+   * Recalculate distance, duration and stats for edited data
+   */
+  buildEditedSession(session, data) {
+    const totals = recalculateRouteTotals(data);
+    const timeStats = calculateTimeStats(data, totals.elapsedTime);
+
+    return {
+      ...session,
+      data,
+      totalDistance: totals.totalDistance,
+      elapsedTime: totals.elapsedTime,
+      movingTime: timeStats.movingTime,
+      stoppedTime: timeStats.stoppedTime,
+      elevation: calculateElevationStats(data),
+      splits: calculateSplits(data, session.splits ? session.splits.unit : undefined),
+      quality: analyzeRouteQuality(data, { gpsFilterStats: session.gpsFilterStats }),
+      segmentCount: getSegmentCount(data),
+      dataSize: JSON.stringify(data).length,
+      editedAt: new Date().toISOString()
+    };
+  }
+
+  async save() {
+    if (!this.isEditing()) return;
+
+    try {
+      const updated = this.buildEditedSession(this.session, this.draft);
+      await this.appState.updateSession(updated);
+      await this.syncToCloud(updated);
+
+      if (window.toast) {
+        window.toast.success('Route Updated', `"${updated.name}" - ${updated.totalDistance.toFixed(2)} km`);
+      }
+      this.finish();
+    } catch (error) {
+      console.error('❌ Failed to save edited route:', error);
+      if (window.toast) {
+        window.toast.error('Save Failed', error.message);
+      }
+    }
+  }
+
+  async splitAtSelection() {
+    if (!this.isEditing()) return;
+
+    const index = this.selection.start;
+    const points = this.getPoints();
+    if (index < 1 || index > points.length - 2) {
+      if (window.toast) {
+        window.toast.warning('Cannot Split Here', 'Move the selection start away from the ends of the route');
+      }
+      return;
+    }
+
+    const splitTime = new Date(points[index].timestamp).toLocaleTimeString();
+    const confirmed = this.dependencies.dialogs
+      ? await this.dependencies.dialogs.showConfirmDialog('Split Route?', `"${this.session.name}" will become two routes, the second starting at ${splitTime}.`, 'Split', 'Cancel')
+      : confirm(`Split "${this.session.name}" at ${splitTime}?`);
+    if (!confirmed) return;
+
+    try {
+      const [firstData, secondData] = splitRoute(this.draft, index);
+      const first = this.buildEditedSession(this.session, firstData);
+
+      // The second part is a new local route; it isn't linked to the cloud copy
+      const second = this.buildEditedSession({
+        ...unlinkSession(this.session),
+        id: Date.now(),
+        name: `${this.session.name} (part 2)`,
+        date: new Date(getLocationPoints(secondData)[0].timestamp).toISOString()
+      }, secondData);
+
+      await this.appState.updateSession(first);
+      await this.appState.addSession(second);
+      await this.syncToCloud(first);
+
+      if (window.toast) {
+        window.toast.success('Route Split', `Created "${second.name}"`);
+      }
+      this.finish();
+    } catch (error) {
+      console.error('❌ Failed to split route:', error);
+      if (window.toast) {
+        window.toast.error('Split Failed', error.message);
+      }
+    }
+  }
+
+  // The saved session recorded right after this one
+  async findNextSession() {
+    const startTime = session => {
+      const first = getLocationPoints(session.data || [])[0];
+      return first ? first.timestamp : new Date(session.date).getTime();
+    };
+
+    const sessions = (await this.appState.getSessions())
+      .filter(session => session.id !== this.session.id)
+      .sort((a, b) => startTime(a) - startTime(b));
+
+    const ownStart = startTime(this.session);
+    return sessions.find(session => startTime(session) > ownStart) || null;
+  }
+
+  async mergeWithNext() {
+    if (!this.isEditing()) return;
+
+    const next = await this.findNextSession();
+    if (!next) {
+      if (window.toast) {
+        window.toast.info('Nothing to Merge', 'There is no saved route recorded after this one');
+      }
+      return;
+    }
+
+    const confirmed = this.dependencies.dialogs
+      ? await this.dependencies.dialogs.showConfirmDialog('Merge Routes?', `"${next.name}" will be appended to "${this.session.name}" and removed as a separate route.`, 'Merge', 'Cancel')
+      : confirm(`Append "${next.name}" to "${this.session.name}"?`);
+    if (!confirmed) return;
+
+    try {
+      const merged = this.buildEditedSession(this.session, mergeRoutes(this.draft, next.data || []));
+
+      await this.appState.updateSession(merged);
+      await this.appState.deleteSession(next.id);
+      await this.syncToCloud(merged);
+
+      if (window.toast) {
+        window.toast.success('Routes Merged', `"${merged.name}" - ${merged.totalDistance.toFixed(2)} km`);
+        if (next.cloudRouteId) {
+          window.toast.info('Cloud Copy Removed', `The cloud copy of "${next.name}" is deleted at the next sync`);
+        }
+      }
+      this.finish();
+    } catch (error) {
+      console.error('❌ Failed to merge routes:', error);
+      if (window.toast) {
+        window.toast.error('Merge Failed', error.message);
+      }
+    }
+  }
+
+  // Push the edit to the synced cloud route now; offline it goes with the next sync
+  async syncToCloud(session) {
+    const syncEngine = this.dependencies.syncEngine;
+    if (!syncEngine) return;
+
+    if (await syncEngine.syncSession(session) && window.toast) {
+      window.toast.success('Cloud Updated', `"${session.name}" synced ☁️`);
+    }
+  }
+
+  handleRangeInput() {
+    const startRange = document.getElementById('editorStartRange');
+    const endRange = document.getElementById('editorEndRange');
+    if (!startRange || !endRange) return;
+
+    let start = parseInt(startRange.value, 10);
+    let end = parseInt(endRange.value, 10);
+    if (start > end) {
+      [start, end] = [end, start];
+    }
+
+    this.selection = { start, end };
+    this.render(false);
+  }
+
+  // Tapping the map moves whichever selection handle is closer to the tapped point,
+  // or adds a point to the path while a gap fill is being traced
+  handleMapClick(event) {
+    const points = this.getPoints();
+    if (points.length === 0) return;
+
+    const tapped = { lat: event.latlng.lat, lng: event.latlng.lng };
+
+    if (this.gapDrawing) {
+      const { gap, path } = this.gapDrawing;
+      path.push(tapped);
+      if (this.dependencies.map) {
+        this.dependencies.map.showGapPath(gap.from.coords, path, gap.to.coords);
+      }
+      this.render(false);
+      return;
+    }
+
+    let nearest = 0;
+    let nearestDistance = Infinity;
+
+    points.forEach((point, index) => {
+      const distance = haversineDistance(tapped, point.coords);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    const { start, end } = this.selection;
+    if (Math.abs(nearest - start) <= Math.abs(nearest - end)) {
+      this.selection = { start: nearest, end: Math.max(nearest, end) };
+    } else {
+      this.selection = { start: Math.min(start, nearest), end: nearest };
+    }
+
+    this.render(false);
+  }
+
+  render(redrawRoute) {
+    const points = this.getPoints();
+    const { start, end } = this.selection;
+    const map = this.dependencies.map;
+
+    if (map) {
+      if (redrawRoute) {
+        map.showRouteData(this.draft);
+      }
+      map.showEditSelection(points, start, end);
+    }
+
+    const title = document.getElementById('routeEditorTitle');
+    if (title) {
+      title.textContent = `✂️ ${this.session.name}${this.history.length > 0 ? ' (edited)' : ''}`;
+    }
+
+    ['editorStartRange', 'editorEndRange'].forEach((id, i) => {
+      const range = document.getElementById(id);
+      if (range) {
+        range.max = String(points.length - 1);
+        range.value = String(i === 0 ? start : end);
+      }
+    });
+
+    const selectionInfo = document.getElementById('editorSelectionInfo');
+    if (selectionInfo && points.length > 0) {
+      const time = index => new Date(points[index].timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+      selectionInfo.textContent = `Points ${start + 1}-${end + 1} of ${points.length} (${time(start)} - ${time(end)})`;
+    }
+
+    const stats = document.getElementById('editorStats');
+    if (stats) {
+      const totals = recalculateRouteTotals(this.draft);
+      const minutes = Math.round(totals.elapsedTime / 60000);
+      const gapCount = findGaps(this.draft).length;
+      stats.textContent = `📏 ${totals.totalDistance.toFixed(2)} km · ⏱️ ${minutes} min · 📍 ${points.length} points` +
+        (gapCount > 0 ? ` · 🩹 ${gapCount} gap${gapCount === 1 ? '' : 's'}` : '');
+    }
+
+    const fillGapBtn = document.getElementById('editorFillGapBtn');
+    if (fillGapBtn) {
+      fillGapBtn.textContent = this.gapDrawing
+        ? `✅ Finish Path (${this.gapDrawing.path.length})`
+        : '🩹 Fill Gap';
+    }
+
+    const undoBtn = document.getElementById('editorUndoBtn');
+    if (undoBtn) {
+      undoBtn.disabled = this.history.length === 0;
+    }
+  }
+}
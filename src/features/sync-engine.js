@@ -0,0 +1,365 @@
+// sync-engine.js - Two-way sync between saved sessions and the user's Firestore routes
+import { EventEmitter } from '../utils/event-emitter.js';
+import {
+  SYNC_ACTIONS,
+  INITIAL_REVISION,
+  planSync,
+  matchLegacySessions,
+  getCloudRevision,
+  hasTrackChanges,
+  markSynced,
+  unlinkSession,
+  toMillis
+} from '../utils/sync-plan.js';
+import { getSegmentCount } from '../utils/segments.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+/**
+ * Runs on sign-in, when the connection returns and on demand. Edits made in
+ * the route editor are pushed straight away through syncSession().
+ * When both sides changed the user picks a version (or keeps both).
+ *
+ * Events:
+ *   sync-started   {}
+ *   sync-finished  { summary: { pushed, pulled, downloaded, deletedLocal, deletedCloud, conflicts, failed } }
+ *   session-changed { session }   a session was created, replaced or removed by sync
+ */
+export class SyncEngine extends EventEmitter {
+  constructor(appState) {
+    super();
+    this.appState = appState;
+    this.dependencies = {};
+    this.syncing = false;
+    this.lastSyncAt = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  async initialize() {
+    await this.appState.dbInitialized;
+
+    window.addEventListener('online', () => this.sync());
+
+    const auth = this.dependencies.auth;
+    if (auth && typeof auth.onAuthStateChange === 'function') {
+      auth.onAuthStateChange(user => {
+        if (user) this.sync();
+      });
+    }
+  }
+
+  canSync() {
+    const firebase = this.dependencies.firebase;
+    return !!firebase && navigator.onLine && !!firebase.getCurrentUser();
+  }
+
+  /**
+   * Full sync. Resolves with the summary, or null when it couldn't run.
+   */
+  async sync({ notify = false } = {}) {
+    if (this.syncing) return null;
+    if (!this.canSync()) {
+      if (notify && window.toast) {
+        window.toast.warning('Sync Unavailable', 'Sign in and go online to sync your routes');
+      }
+      return null;
+    }
+
+    this.syncing = true;
+    this.emit('sync-started', {});
+    const summary = { pushed: 0, pulled: 0, downloaded: 0, deletedLocal: 0, deletedCloud: 0, conflicts: 0, failed: 0 };
+
+    try {
+      const [storedSessions, cloudRoutes, tombstones] = await Promise.all([
+        this.appState.getSessions(),
+        this.dependencies.firebase.fetchMyRoutes(),
+        this.appState.getSyncTombstones()
+      ]);
+
+      const sessions = await this.linkLegacySessions(storedSessions, cloudRoutes);
+      const { actions, staleTombstones } = planSync(sessions, cloudRoutes, tombstones);
+      if (staleTombstones.length > 0) {
+        await this.appState.removeSyncTombstones(staleTombstones);
+      }
+
+      for (const step of actions) {
+        try {
+          await this.apply(step, summary);
+        } catch (error) {
+          summary.failed++;
+          console.warn(`⚠️ Sync ${step.action} failed:`, error);
+        }
+      }
+
+      this.lastSyncAt = Date.now();
+      console.log('🔄 Sync finished:', summary);
+      this.notifySummary(summary, notify);
+      return summary;
+    } catch (error) {
+      console.error('❌ Sync failed:', error);
+      if (window.toast) {
+        window.toast.error('Sync Failed', error.message);
+      }
+      return null;
+    } finally {
+      this.syncing = false;
+      this.emit('sync-finished', { summary });
+    }
+  }
+
+  /**
+   * Routes uploaded before sessions kept their cloud link would otherwise be
+   * downloaded again as duplicates. Link them first; planSync then adopts the
+   * cloud revision as their baseline. Resolves with the updated session list.
+   */
+  async linkLegacySessions(sessions, cloudRoutes) {
+    const matches = matchLegacySessions(sessions, cloudRoutes);
+    if (matches.length === 0) return sessions;
+
+    const linkedById = new Map();
+    for (const { session, cloudRoute } of matches) {
+      const linked = { ...session, cloudRouteId: cloudRoute.id };
+      await this.appState.updateSession(linked, { modified: false });
+      linkedById.set(session.id, linked);
+    }
+
+    console.log(`🔗 Linked ${matches.length} earlier upload(s) to their cloud routes`);
+    return sessions.map(session => linkedById.get(session.id) || session);
+  }
+
+  async apply({ action, session, cloudRoute, tombstone, reason }, summary) {
+    switch (action) {
+      case SYNC_ACTIONS.push:
+        summary[await this.push(session) ? 'pushed' : 'conflicts']++;
+        break;
+      case SYNC_ACTIONS.pull:
+        await this.pull(session, cloudRoute);
+        summary.pulled++;
+        break;
+      case SYNC_ACTIONS.download:
+        await this.download(cloudRoute);
+        summary.downloaded++;
+        break;
+      case SYNC_ACTIONS.deleteLocal:
+        await this.appState.deleteSession(session.id, { keepCloudCopy: true });
+        console.log(`🗑️ "${session.name}" was deleted in the cloud; removed here`);
+        this.emit('session-changed', { session: null });
+        summary.deletedLocal++;
+        break;
+      case SYNC_ACTIONS.deleteCloud:
+        await this.dependencies.firebase.deleteRoute(tombstone.cloudRouteId, { notify: false });
+        await this.appState.removeSyncTombstones([tombstone.cloudRouteId]);
+        summary.deletedCloud++;
+        break;
+      case SYNC_ACTIONS.baseline:
+        await this.appState.updateSession(markSynced(session, cloudRoute.id, getCloudRevision(cloudRoute)), { modified: false });
+        break;
+      case SYNC_ACTIONS.conflict:
+        summary.conflicts++;
+        await this.resolveConflict(session, cloudRoute, reason);
+        break;
+    }
+  }
+
+  /**
+   * Push one session's edits now if possible (route editor saves). Offline or
+   * signed out the edit simply waits for the next sync.
+   */
+  async syncSession(session) {
+    if (!session.cloudRouteId || !this.canSync()) return false;
+
+    try {
+      // Linked before sync existed: no common revision to compare, so the edit just wins
+      return await this.push(session, { force: !session.syncedAt });
+    } catch (error) {
+      console.warn('⚠️ Cloud route not updated:', error);
+      return false;
+    }
+  }
+
+  // Write local edits to the cloud route; a concurrent cloud edit becomes a
+  // conflict unless `force` overwrites it
+  async push(session, { force = false } = {}) {
+    try {
+      const revision = await this.dependencies.firebase.updateRouteData(session.cloudRouteId, session.data, {
+        name: session.name,
+        totalDistance: session.totalDistance,
+        elapsedTime: session.elapsedTime,
+        gpsFilterStats: session.gpsFilterStats,
+        expectedRevision: force ? null : session.cloudRevision || 0
+      });
+
+      await this.appState.updateSession(markSynced(session, session.cloudRouteId, revision), { modified: false });
+      console.log(`⬆️ Pushed "${session.name}" (revision ${revision})`);
+      return true;
+    } catch (error) {
+      if (error.code === 'sync-conflict') {
+        await this.resolveConflict(session, error.remote, 'both-changed');
+        return false;
+      }
+      if (error.code === 'not-found') {
+        await this.resolveConflict(session, null, 'deleted-in-cloud');
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Bring the cloud route's changes into the session. Cloud copies hold a
+   * simplified track, so when the newer revision left the track as it is
+   * (a rename) the session keeps its full-resolution points. A track edited
+   * on another device, or `replaceTrack`, replaces the data and totals.
+   */
+  async pull(session, cloudRoute, { replaceTrack = false } = {}) {
+    const hasTrack = (session.data || []).some(point => point && point.type === 'location');
+    const keepTrack = !replaceTrack && hasTrack && !hasTrackChanges(session, cloudRoute);
+    const fields = keepTrack
+      ? this.metadataFromCloud(cloudRoute)
+      : await this.sessionFieldsFromCloud(cloudRoute);
+
+    const pulled = markSynced({ ...session, ...fields }, cloudRoute.id, getCloudRevision(cloudRoute));
+
+    await this.appState.updateSession(pulled, { modified: false });
+    console.log(`⬇️ Pulled "${pulled.name}" (revision ${pulled.cloudRevision})`);
+    this.emit('session-changed', { session: pulled });
+    return pulled;
+  }
+
+  // Session ids are creation times; bump past any taken one
+  async nextSessionId() {
+    const existingIds = new Set((await this.appState.getSessions()).map(session => session.id));
+    let id = Date.now();
+    while (existingIds.has(id)) id++;
+    return id;
+  }
+
+  // Save a cloud route this device doesn't have as a new linked session
+  async download(cloudRoute) {
+    const session = markSynced({
+      id: await this.nextSessionId(),
+      ...(await this.sessionFieldsFromCloud(cloudRoute)),
+      version: '2.0',
+      modifiedAt: Date.now()
+    }, cloudRoute.id, getCloudRevision(cloudRoute));
+
+    await this.appState.addSession(session);
+    console.log(`⬇️ Downloaded "${session.name}" from the cloud`);
+    this.emit('session-changed', { session });
+    return session;
+  }
+
+  metadataFromCloud(cloudRoute) {
+    return { name: cloudRoute.name || 'Unnamed Route' };
+  }
+
+  // Cloud copies hold simplified tracks whose photos are Storage URLs (full
+  // size and thumbnail); inline photos from older uploads move to the media store
+  async sessionFieldsFromCloud(cloudRoute) {
+    const data = await this.appState.getMediaStore().extractInlinePhotos(cloudRoute.points || []);
+    const createdAt = toMillis(cloudRoute.createdAt) || toMillis(cloudRoute.startTime) || Date.now();
+
+    return {
+      ...this.metadataFromCloud(cloudRoute),
+      date: new Date(createdAt).toISOString(),
+      totalDistance: Number(cloudRoute.totalDistance) || 0,
+      elapsedTime: Number(cloudRoute.duration) || 0,
+      data,
+      dataSize: JSON.stringify(data).length,
+      segmentCount: getSegmentCount(data)
+    };
+  }
+
+  /**
+   * Ask which version wins. cloudRoute is null when the cloud copy was
+   * deleted. Dismissing the dialog leaves both sides as they are until the
+   * next sync.
+   */
+  async resolveConflict(session, cloudRoute, reason) {
+    const name = escapeHtml(session.name || 'Unnamed Route');
+    const deleted = reason === 'deleted-in-cloud' || !cloudRoute;
+
+    const message = deleted
+      ? `"${name}" was edited on this device but deleted from the cloud on another device.`
+      : `"${name}" was changed both on this device and in the cloud since the last sync.`;
+
+    const choices = deleted
+      ? [
+        { value: 'local', label: '⬆️ Upload Again', style: 'primary' },
+        { value: 'cloud', label: '🗑️ Delete Here', style: 'danger' }
+      ]
+      : [
+        { value: 'local', label: '📱 Keep This Device', style: 'primary' },
+        { value: 'cloud', label: '☁️ Keep Cloud', style: 'secondary' },
+        { value: 'both', label: '📑 Keep Both', style: 'secondary' }
+      ];
+
+    const dialogs = this.dependencies.dialogs;
+    const choice = dialogs
+      ? await dialogs.showChoiceDialog('Sync Conflict', message, choices)
+      : (confirm(`${message}\n\nOK keeps this device's version, Cancel keeps the cloud's.`) ? 'local' : 'cloud');
+
+    if (!choice) {
+      console.log(`⏭️ Conflict on "${session.name}" left for later`);
+      return null;
+    }
+
+    const { firebase } = this.dependencies;
+
+    if (deleted) {
+      if (choice === 'local') {
+        const cloudRouteId = await firebase.uploadRoute(session.data, {
+          name: session.name,
+          totalDistance: session.totalDistance,
+          elapsedTime: session.elapsedTime,
+          gpsFilterStats: session.gpsFilterStats
+        });
+        await this.appState.updateSession(markSynced(session, cloudRouteId, INITIAL_REVISION), { modified: false });
+      } else {
+        await this.appState.deleteSession(session.id, { keepCloudCopy: true });
+        this.emit('session-changed', { session: null });
+      }
+    } else if (choice === 'local') {
+      await this.push(session, { force: true });
+    } else if (choice === 'cloud') {
+      await this.pull(session, cloudRoute, { replaceTrack: true });
+    } else if (choice === 'both') {
+      // This device's version stays as a separate, unsynced route
+      const id = await this.nextSessionId();
+      await this.appState.addSession({ ...unlinkSession(session), id, name: `${session.name} (this device)` });
+      await this.pull(session, cloudRoute, { replaceTrack: true });
+    }
+
+    console.log(`🔀 Conflict on "${session.name}" resolved: ${choice}`);
+    return choice;
+  }
+
+  // The cloud route was deleted from this device's route list; keep the local copy unlinked
+  async forgetCloudRoute(cloudRouteId) {
+    const sessions = await this.appState.getSessions();
+    for (const session of sessions.filter(s => s.cloudRouteId === cloudRouteId)) {
+      await this.appState.updateSession(unlinkSession(session), { modified: false });
+    }
+  }
+
+  notifySummary(summary, always) {
+    const parts = [];
+    if (summary.downloaded) parts.push(`${summary.downloaded} downloaded`);
+    if (summary.pulled) parts.push(`${summary.pulled} updated from cloud`);
+    if (summary.pushed) parts.push(`${summary.pushed} uploaded`);
+    if (summary.deletedLocal + summary.deletedCloud) parts.push(`${summary.deletedLocal + summary.deletedCloud} deleted`);
+    if (summary.failed) parts.push(`${summary.failed} failed`);
+
+    if (!window.toast || (parts.length === 0 && !always)) return;
+
+    if (parts.length === 0) {
+      window.toast.success('Routes Synced', 'Everything is up to date');
+    } else if (summary.failed) {
+      window.toast.warning('Routes Synced', parts.join(', '));
+    } else {
+      window.toast.success('Routes Synced', parts.join(', '));
+    }
+  }
+}
@@ -0,0 +1,253 @@
+// sync-queue.js - Cloud uploads that survive going offline and closing the tab
+import { EventEmitter } from '../utils/event-emitter.js';
+import { INITIAL_REVISION, markSynced } from '../utils/sync-plan.js';
+
+export const SYNC_STATUSES = {
+  queued: { label: 'Queued', icon: '⏳' },
+  uploading: { label: 'Uploading', icon: '⬆️' },
+  failed: { label: 'Failed', icon: '⚠️' }
+};
+
+// Automatic retries back off from 30s to 30min; after MAX_ATTEMPTS only a manual retry helps
+const BASE_RETRY_DELAY = 30000;
+const MAX_RETRY_DELAY = 30 * 60000;
+const MAX_ATTEMPTS = 8;
+
+// Firestore error codes worth retrying later; anything else needs the user
+const RETRYABLE_CODES = ['unavailable', 'deadline-exceeded', 'resource-exhausted', 'aborted', 'internal', 'cancelled'];
+
+export function getRetryDelay(attempts) {
+  return Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, Math.max(0, attempts - 1)));
+}
+
+export function isRetryableError(error) {
+  if (typeof navigator !== 'undefined' && !navigator.onLine) return true;
+  return !!error && (RETRYABLE_CODES.includes(error.code) || error.name === 'TypeError');
+}
+
+/**
+ * Queue of route uploads kept in the `sync_queue` store. Items reference the
+ * local session when there is one, so the route isn't stored twice.
+ *
+ * Events:
+ *   changed   { items }
+ *   uploaded  { item, cloudRouteId }
+ *   failed    { item, error }
+ */
+export class SyncQueue extends EventEmitter {
+  constructor(appState) {
+    super();
+    this.appState = appState;
+    this.dependencies = {};
+    this.items = [];
+    this.processing = false;
+    this.retryTimer = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  async initialize() {
+    await this.appState.dbInitialized;
+    await this.load();
+
+    window.addEventListener('online', () => this.process());
+
+    const auth = this.dependencies.auth;
+    if (auth && typeof auth.onAuthStateChange === 'function') {
+      auth.onAuthStateChange(user => {
+        if (user) this.process();
+      });
+    }
+
+    this.process();
+  }
+
+  isPersistent() {
+    return this.appState.dbReady;
+  }
+
+  async load() {
+    if (!this.isPersistent()) return;
+
+    try {
+      const stored = await this.appState.routeDB.getSyncItems();
+
+      // An upload interrupted by closing the tab never finished; send it again
+      this.items = stored
+        .map(item => (item.status === 'uploading' ? { ...item, status: 'queued', nextAttemptAt: Date.now() } : item))
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      if (this.items.length > 0) {
+        console.log(`📤 ${this.items.length} upload(s) waiting in the sync queue`);
+      }
+      this.emitChange();
+    } catch (error) {
+      console.error('❌ Failed to load sync queue:', error);
+    }
+  }
+
+  getItems() {
+    return [...this.items];
+  }
+
+  getItem(id) {
+    return this.items.find(item => item.id === id) || null;
+  }
+
+  /**
+   * Queue a route upload. With a sessionId the route is read from the saved
+   * session at upload time; otherwise a self-contained copy is stored.
+   */
+  async enqueueRoute(routeData, metadata = {}, { sessionId = null } = {}) {
+    const now = Date.now();
+    const item = {
+      id: `sync-${now}-${Math.random().toString(36).slice(2, 8)}`,
+      type: 'save-route',
+      name: metadata.name || 'Unnamed Route',
+      sessionId,
+      routeData: sessionId ? null : await this.appState.getMediaStore().inlinePhotos(routeData),
+      metadata,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.items.push(item);
+    await this.persist(item);
+    console.log(`📤 Queued upload: ${item.name}`);
+    this.emitChange();
+    return item;
+  }
+
+  async retry(id) {
+    const item = this.getItem(id);
+    if (!item || item.status === 'uploading') return;
+
+    await this.update(item, { status: 'queued', attempts: 0, lastError: null, nextAttemptAt: Date.now() });
+    return this.process();
+  }
+
+  async cancel(id) {
+    const item = this.getItem(id);
+    if (!item || item.status === 'uploading') return false;
+
+    this.items = this.items.filter(entry => entry.id !== id);
+    if (this.isPersistent()) {
+      await this.appState.routeDB.deleteSyncItem(id);
+    }
+    console.log(`🗑️ Upload cancelled: ${item.name}`);
+    this.emitChange();
+    return true;
+  }
+
+  // Upload every item that is due, one at a time
+  async process() {
+    if (this.processing) return;
+
+    const firebase = this.dependencies.firebase;
+    if (!firebase || !navigator.onLine || !firebase.getCurrentUser()) {
+      this.scheduleNextAttempt();
+      return;
+    }
+
+    this.processing = true;
+    clearTimeout(this.retryTimer);
+
+    try {
+      let item;
+      while ((item = this.items.find(entry => entry.status === 'queued' && entry.nextAttemptAt <= Date.now()))) {
+        await this.upload(item);
+        if (!navigator.onLine) break;
+      }
+    } finally {
+      this.processing = false;
+      this.scheduleNextAttempt();
+    }
+  }
+
+  async upload(item) {
+    const { firebase } = this.dependencies;
+    await this.update(item, { status: 'uploading', attempts: item.attempts + 1 });
+
+    try {
+      const session = item.sessionId ? await this.findSession(item.sessionId) : null;
+      if (item.sessionId && !session) {
+        throw Object.assign(new Error('The route was deleted from this device'), { code: 'not-found' });
+      }
+
+      const routeData = session ? session.data : item.routeData;
+      const cloudRouteId = await firebase.uploadRoute(routeData, item.metadata);
+
+      // Link the session to its cloud copy so later edits are synced
+      if (session) {
+        await this.appState.updateSession(markSynced(session, cloudRouteId, INITIAL_REVISION), { modified: false });
+      }
+
+      this.items = this.items.filter(entry => entry.id !== item.id);
+      if (this.isPersistent()) {
+        await this.appState.routeDB.deleteSyncItem(item.id);
+      }
+
+      console.log(`✅ Queued upload sent: ${item.name} (${cloudRouteId})`);
+      if (window.toast) {
+        window.toast.success('Uploaded', `"${item.name}" saved to the cloud ☁️`);
+      }
+      this.emitChange();
+      this.emit('uploaded', { item, cloudRouteId });
+    } catch (error) {
+      const retryable = isRetryableError(error) && item.attempts < MAX_ATTEMPTS;
+      console.warn(`⚠️ Upload of "${item.name}" failed (attempt ${item.attempts}):`, error);
+
+      await this.update(item, retryable
+        ? { status: 'queued', lastError: error.message, nextAttemptAt: Date.now() + getRetryDelay(item.attempts) }
+        : { status: 'failed', lastError: error.message, nextAttemptAt: null });
+
+      if (!retryable) {
+        this.emit('failed', { item: this.getItem(item.id), error });
+      }
+    }
+  }
+
+  async findSession(id) {
+    const sessions = await this.appState.getSessions();
+    return sessions.find(session => session.id === id) || null;
+  }
+
+  // Wake up for the earliest pending retry
+  scheduleNextAttempt() {
+    clearTimeout(this.retryTimer);
+
+    const next = this.items
+      .filter(item => item.status === 'queued' && item.nextAttemptAt)
+      .reduce((earliest, item) => Math.min(earliest, item.nextAttemptAt), Infinity);
+
+    if (next !== Infinity) {
+      this.retryTimer = setTimeout(() => this.process(), Math.max(1000, next - Date.now()));
+    }
+  }
+
+  async update(item, changes) {
+    Object.assign(item, changes, { updatedAt: Date.now() });
+    await this.persist(item);
+    this.emitChange();
+  }
+
+  async persist(item) {
+    if (!this.isPersistent()) return;
+
+    try {
+      await this.appState.routeDB.saveSyncItem(item);
+    } catch (error) {
+      console.error('❌ Failed to persist sync item:', error);
+    }
+  }
+
+  emitChange() {
+    this.emit('changed', { items: this.getItems() });
+  }
+}
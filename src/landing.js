@@ -1,13 +1,41 @@
 // Landing page controller
 import { auth, db } from '../firebase-setup.js';
+import { fetchPage, PageCache } from './utils/pagination.js';
+import { fetchNear } from './utils/geohash.js';
+import { getCurrentPosition } from './utils/geolocation.js';
+import { TrailReviews } from './features/reviews.js';
+import { ReviewsPanel } from './ui/reviews-panel.js';
+import { formatStars } from './utils/review-stats.js';
+import { escapeHtml } from './utils/helpers.js';
+import { GuideStats } from './features/guide-stats.js';
+import { ModerationService } from './features/moderation.js';
+import { ReportDialog } from './ui/report-dialog.js';
+
+// Trail browser sort options -> guide field, highest first
+const TRAIL_SORTS = {
+  newest: 'generatedAt',
+  views: 'community.views',
+  downloads: 'community.downloads',
+  trending: 'community.trendingScore'
+};
 
 class LandingPageController {
   constructor() {
     this.authController = null;
     this.currentFilters = {};
     this.currentSearch = '';
-    this.lastVisible = null;
     this.isLoading = false;
+    this.pageCache = new PageCache();
+    this.searchKey = null;
+    this.searchPageSize = 12;
+    this.loadMoreObserver = null;
+    this.userPosition = null;
+    this.reviews = new TrailReviews(db, auth);
+    this.guideStats = new GuideStats(db, auth);
+    this.reportDialog = new ReportDialog(new ModerationService(db, auth));
+    this.reviewsPanel = new ReviewsPanel(this.reviews, {
+      onSummaryChange: (guideId, summary) => this.updateGuideRating(guideId, summary)
+    });
     this.featuredTrails = [];  
     this.displayedCount = 6;    // Number of featured trails to show initially
     this.batchSize = 6;
@@ -53,6 +81,11 @@ async initialize() {
     window.loadMoreFeatured = () => this.loadMoreFeatured();
     window.viewTrailGuide = (guideId) => this.viewTrailGuide(guideId);
     window.loadMyTrailGuides = () => this.loadMyTrailGuides();
+    window.openReviews = (guideId) => this.reviewsPanel.open(guideId);
+    window.downloadTrailGuide = (guideId) => this.downloadTrailGuideById(guideId);
+    window.reportTrail = (guideId) => this.reportDialog.open(guideId, this.findLoadedGuide(guideId)?.routeName);
+    this.reportDialog.initialize();
+    this.reviewsPanel.initialize();
     
     // Info functions
     window.showAbout = () => this.showAbout();
@@ -96,82 +129,83 @@ async initialize() {
     this.openTrailBrowser();
   }
 
-// UPDATED: Search with better error handling
+// UPDATED: Search one page at a time; pages of a repeated search come from the cache
 async searchTrails() {
   if (this.isLoading) return;
   
-  this.isLoading = true;
+  const searchInput = document.getElementById('trailSearch');
+  const searchTerm = searchInput?.value?.trim() || this.currentSearch;
+  this.searchKey = `guides:${JSON.stringify({ searchTerm, filters: this.currentFilters })}`;
+
+  console.log('Searching trails:', searchTerm || 'all trails');
+
+  if (this.pageCache.getPages(this.searchKey).length > 0) {
+    this.showSearchResults();
+    return;
+  }
+
   this.showLoading('trailResults');
+  await this.loadSearchPage(searchTerm);
+}
+
+// Fetch the next page of the current search and show everything loaded so far
+async loadSearchPage(searchTerm) {
+  this.isLoading = true;
+  const key = this.searchKey;
   
   try {
-    const searchInput = document.getElementById('trailSearch');
-    const searchTerm = searchInput?.value?.trim() || this.currentSearch;
-    
-    console.log('Searching trails:', searchTerm || 'all trails');
-    
-    const { collection, query, where, getDocs } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
-    
-    // Simple query without orderBy
-    let guidesQuery = query(
-      collection(db, 'trail_guides'),
-      where('isPublic', '==', true)
-    );
-    
-    const querySnapshot = await getDocs(guidesQuery);
-    const guides = [];
-    
-    querySnapshot.forEach(doc => {
-      const data = doc.data();
-      
-      // Apply text search filter on client side
-      if (searchTerm) {
-        const searchLower = searchTerm.toLowerCase();
-        const nameMatch = data.routeName?.toLowerCase().includes(searchLower);
-        const locationMatch = data.accessibility?.location?.toLowerCase().includes(searchLower);
-        const authorMatch = data.userEmail?.toLowerCase().includes(searchLower);
-        
-        if (!nameMatch && !locationMatch && !authorMatch) {
-          return; // Skip this result
-        }
-      }
-      
-      // Apply other filters on client side
-      if (this.currentFilters.wheelchairAccess && 
-          data.accessibility?.wheelchairAccess !== this.currentFilters.wheelchairAccess) {
-        return;
-      }
-      
-      if (this.currentFilters.difficulty && 
-          data.accessibility?.difficulty !== this.currentFilters.difficulty) {
-        return;
-      }
-      
-      if (this.currentFilters.distance) {
-        const distance = data.metadata?.totalDistance || 0;
-        const [min, max] = this.parseDistanceFilter(this.currentFilters.distance);
-        if (distance < min || (max && distance > max)) {
-          return;
-        }
-      }
-      
-      guides.push({
-        id: doc.id,
-        ...data
+    const { collection, query, where, orderBy } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const guides = collection(db, 'trail_guides');
+    const filter = guide => this.matchesSearch(guide, searchTerm);
+    const pages = this.pageCache.getPages(key);
+    let page;
+
+    if (this.currentFilters.nearKm) {
+      // Near me: everything within the radius in one page, nearest first
+      const position = await this.getUserPosition();
+      const nearby = await fetchNear(guides, position, Number(this.currentFilters.nearKm), [where('isPublic', '==', true)]);
+      page = { items: nearby.filter(filter), cursor: null, hasMore: false };
+    } else if (this.currentFilters.sort === 'trending') {
+      page = await this.fetchTrendingPage(guides, pages[pages.length - 1], filter);
+    } else {
+      // Newest first unless another sort is picked; text and accessibility
+      // filters are applied to each batch
+      const sortField = TRAIL_SORTS[this.currentFilters.sort] || TRAIL_SORTS.newest;
+      const guidesQuery = query(
+        guides,
+        where('isPublic', '==', true),
+        orderBy(sortField, 'desc')
+      );
+
+      const previous = pages[pages.length - 1];
+      page = await fetchPage(guidesQuery, {
+        pageSize: this.searchPageSize,
+        cursor: previous ? previous.cursor : null,
+        filter
       });
-    });
-    
-    // Sort client-side by creation date (newest first)
-    guides.sort((a, b) => new Date(b.generatedAt) - new Date(a.generatedAt));
-    
-    console.log(`Found ${guides.length} trails matching criteria`);
-    this.displayTrailResults(guides);
-    this.updateResultsCount(guides.length);
+    }
+
+    // A newer search started while this page was loading
+    if (key !== this.searchKey) return;
+
+    this.pageCache.addPage(key, pages.length, page);
+    console.log(`Found ${page.items.length} more trails matching criteria`);
+    this.showSearchResults();
     
   } catch (error) {
     console.error('Search failed:', error);
     
     const resultsContainer = document.getElementById('trailResults');
-    if (resultsContainer) {
+    if (resultsContainer && error.code === 'location-unavailable') {
+      resultsContainer.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-state-icon">📍</div>
+          <h3>Location unavailable</h3>
+          <p>Allow location access to find trails near you, or search by name instead.</p>
+          <button onclick="clearFilters()" class="nav-card-button primary">Clear Filters</button>
+        </div>
+      `;
+    } else if (resultsContainer) {
       resultsContainer.innerHTML = `
         <div class="empty-state">
           <div class="empty-state-icon">⚠️</div>
@@ -186,12 +220,130 @@ async searchTrails() {
   }
 }
 
+/**
+ * Trending pages: guides by trending score, then the guides from before
+ * scores existed (Firestore leaves them out of a trendingScore ordering)
+ * by views. `phase` on each page tells which query its cursor belongs to.
+ */
+async fetchTrendingPage(guides, previous, filter) {
+  const { query, where, orderBy } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+  const byField = field => query(guides, where('isPublic', '==', true), orderBy(field, 'desc'));
+  let items = [];
+
+  if (!previous || previous.phase === 'scored') {
+    const scored = await fetchPage(byField(TRAIL_SORTS.trending), {
+      pageSize: this.searchPageSize,
+      cursor: previous ? previous.cursor : null,
+      filter
+    });
+    if (scored.hasMore) return { ...scored, phase: 'scored' };
+
+    // Scored guides ran out: fill the page from the unscored ones
+    items = scored.items;
+    previous = null;
+  }
+
+  const remaining = this.searchPageSize - items.length;
+  if (remaining === 0) {
+    return { items, cursor: null, hasMore: true, phase: 'unscored' };
+  }
+
+  const hasScore = guide => typeof guide.community?.trendingScore === 'number';
+  const unscored = await fetchPage(byField(TRAIL_SORTS.views), {
+    pageSize: remaining,
+    cursor: previous ? previous.cursor : null,
+    filter: guide => !hasScore(guide) && filter(guide)
+  });
+  return { ...unscored, items: [...items, ...unscored.items], phase: 'unscored' };
+}
+
+// Current position for "near me", asked for once per visit
+async getUserPosition() {
+  if (this.userPosition) return this.userPosition;
+
+  try {
+    const position = await getCurrentPosition({ enableHighAccuracy: false, maximumAge: 300000 });
+    this.userPosition = { lat: position.coords.latitude, lng: position.coords.longitude };
+    console.log('📍 Searching near', this.userPosition);
+    return this.userPosition;
+  } catch (error) {
+    throw Object.assign(new Error(`Location unavailable: ${error.message}`), { code: 'location-unavailable' });
+  }
+}
+
+// Client-side conditions Firestore can't express (substring search, distance ranges)
+matchesSearch(data, searchTerm) {
+  if (searchTerm) {
+    const searchLower = searchTerm.toLowerCase();
+    const nameMatch = data.routeName?.toLowerCase().includes(searchLower);
+    const locationMatch = data.accessibility?.location?.toLowerCase().includes(searchLower);
+    const authorMatch = data.userEmail?.toLowerCase().includes(searchLower);
+    
+    if (!nameMatch && !locationMatch && !authorMatch) {
+      return false;
+    }
+  }
+  
+  if (this.currentFilters.wheelchairAccess && 
+      data.accessibility?.wheelchairAccess !== this.currentFilters.wheelchairAccess) {
+    return false;
+  }
+  
+  if (this.currentFilters.difficulty && 
+      data.accessibility?.difficulty !== this.currentFilters.difficulty) {
+    return false;
+  }
+  
+  if (this.currentFilters.distance) {
+    const distance = data.metadata?.totalDistance || 0;
+    const [min, max] = this.parseDistanceFilter(this.currentFilters.distance);
+    if (distance < min || (max && distance > max)) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+showSearchResults() {
+  const guides = this.pageCache.getItems(this.searchKey);
+  const hasMore = this.pageCache.hasMore(this.searchKey);
+
+  this.displayTrailResults(guides);
+  this.updateResultsCount(guides.length, hasMore);
+
+  const loadMoreBtn = document.getElementById('loadMoreBtn');
+  if (loadMoreBtn) {
+    loadMoreBtn.classList.toggle('hidden', !hasMore);
+    this.observeLoadMore(hasMore ? loadMoreBtn : null);
+  }
+}
+
+// Infinite scroll: the next page loads when the "load more" button comes into view
+observeLoadMore(button) {
+  if (!this.loadMoreObserver && 'IntersectionObserver' in window) {
+    this.loadMoreObserver = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadMoreResults();
+      }
+    });
+  }
+  if (!this.loadMoreObserver) return;
+
+  this.loadMoreObserver.disconnect();
+  if (button) {
+    this.loadMoreObserver.observe(button);
+  }
+}
+
   applyFilters() {
     // Collect filter values
     this.currentFilters = {
       wheelchairAccess: document.getElementById('wheelchairFilter')?.value || '',
       difficulty: document.getElementById('difficultyFilter')?.value || '',
-      distance: document.getElementById('distanceFilter')?.value || ''
+      distance: document.getElementById('distanceFilter')?.value || '',
+      nearKm: document.getElementById('nearFilter')?.value || '',
+      sort: document.getElementById('sortFilter')?.value || ''
     };
     
     console.log('🎯 Applying filters:', this.currentFilters);
@@ -242,6 +394,11 @@ async searchTrails() {
               <span class="trail-stat-value">${metadata.locationCount || 0}</span>
               <span class="trail-stat-label">GPS Points</span>
             </div>
+            ${typeof guide.distanceKm === 'number' ? `
+            <div class="trail-stat">
+              <span class="trail-stat-value">${guide.distanceKm.toFixed(1)}</span>
+              <span class="trail-stat-label">km away</span>
+            </div>` : ''}
           </div>
           
           <div class="trail-accessibility-tags">
@@ -252,14 +409,55 @@ async searchTrails() {
           
           <div class="trail-community-stats">
             <span>👁️ ${community.views || 0} views</span>
+            <span>📥 ${community.downloads || 0} downloads</span>
             <span>📷 ${metadata.photoCount || 0} photos</span>
             <span>📝 ${metadata.noteCount || 0} notes</span>
           </div>
+          
+          <div class="trail-rating-row">
+            ${this.renderRating(community)}
+            <button class="trail-action-btn" onclick="event.stopPropagation(); downloadTrailGuide('${guide.id}')">📥 Download</button>
+            <button class="trail-action-btn" onclick="event.stopPropagation(); openReviews('${guide.id}')">⭐ Reviews</button>
+            <button class="trail-action-btn" onclick="event.stopPropagation(); reportTrail('${guide.id}')" title="Report this trail">🚩</button>
+          </div>
         </div>
       </div>
     `;
   }
 
+  // "★★★★☆ 4.2 (7)" from a guide's community totals
+  renderRating(community = {}) {
+    const count = community.reviewCount || 0;
+    if (count === 0) {
+      return '<span class="trail-rating trail-rating-none">No ratings yet</span>';
+    }
+    const average = community.averageRating || 0;
+    return `<span class="trail-rating" title="${average.toFixed(1)} of 5 from ${count} review${count !== 1 ? 's' : ''}"><span class="review-stars">${formatStars(average)}</span> ${average.toFixed(1)} (${count})</span>`;
+  }
+
+  // Guides currently shown in the featured list and trail browser
+  getLoadedGuides() {
+    return [...this.featuredTrails, ...(this.searchKey ? this.pageCache.getItems(this.searchKey) : [])];
+  }
+
+  findLoadedGuide(guideId) {
+    return this.getLoadedGuides().find(guide => guide.id === guideId) || null;
+  }
+
+  // A review was saved or deleted: update the guide wherever it's listed
+  updateGuideRating(guideId, summary) {
+    this.getLoadedGuides()
+      .filter(guide => guide.id === guideId)
+      .forEach(guide => {
+        guide.community = { ...guide.community, ...summary };
+      });
+
+    this.displayFeaturedTrails(this.featuredTrails.slice(0, this.displayedCount));
+    if (this.searchKey && !document.getElementById('trailBrowserModal')?.classList.contains('hidden')) {
+      this.showSearchResults();
+    }
+  }
+
   async viewTrailGuide(guideId) {
     try {
       console.log('👁️ Viewing trail guide:', guideId);
@@ -473,6 +671,11 @@ updateLoadMoreButton() {
             <span>👁️ ${community.views || 0} views</span>
             <span>📷 ${metadata.photoCount || 0} photos</span>
           </div>
+          <div class="trail-rating-row">
+            ${this.renderRating(community)}
+            <button class="trail-action-btn" onclick="openReviews('${trail.id}')">⭐ Reviews</button>
+            <button class="trail-action-btn" onclick="reportTrail('${trail.id}')" title="Report this trail">🚩</button>
+          </div>
           <button class="view-trail-btn" onclick="viewTrailGuide('${trail.id}')">
             View Trail Guide
           </button>
@@ -569,10 +772,10 @@ loadLocalStats() {
     }
   }
 
-  updateResultsCount(count) {
+  updateResultsCount(count, hasMore = false) {
     const element = document.getElementById('resultsCount');
     if (element) {
-      element.textContent = `${count} trail${count !== 1 ? 's' : ''} found`;
+      element.textContent = `${count}${hasMore ? '+' : ''} trail${count !== 1 || hasMore ? 's' : ''} found`;
     }
   }
 
@@ -701,9 +904,11 @@ Happy trail mapping! 🥾`);
 
   // Additional utility functions
   async loadMoreResults() {
-    // Implement pagination for search results
+    if (this.isLoading || !this.searchKey || !this.pageCache.hasMore(this.searchKey)) return;
+
     console.log('📄 Loading more results...');
-    // This would extend the current search with more results
+    const searchTerm = document.getElementById('trailSearch')?.value?.trim() || this.currentSearch;
+    await this.loadSearchPage(searchTerm);
   }
 
 
@@ -713,6 +918,10 @@ Happy trail mapping! 🥾`);
     document.getElementById('difficultyFilter').value = '';
     document.getElementById('distanceFilter').value = '';
     document.getElementById('trailSearch').value = '';
+    const nearFilter = document.getElementById('nearFilter');
+    if (nearFilter) nearFilter.value = '';
+    const sortFilter = document.getElementById('sortFilter');
+    if (sortFilter) sortFilter.value = '';
     
     this.currentFilters = {};
     this.currentSearch = '';
@@ -812,7 +1021,7 @@ async viewTrailGuide(guideId) {
     console.log('👁️ Viewing trail guide:', guideId);
     
     // Import Firestore functions
-    const { doc, getDoc, updateDoc, increment } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const { doc, getDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
     
     // Get the trail guide document
     const guideRef = doc(db, 'trail_guides', guideId);
@@ -836,22 +1045,15 @@ async viewTrailGuide(guideId) {
       return;
     }
     
-    // Increment view count (only for public guides and if not the owner)
-    if (guideData.isPublic && (!currentUser || currentUser.uid !== guideData.userId)) {
-      try {
-        await updateDoc(guideRef, {
-          'community.views': increment(1)
-        });
-        console.log('📈 View count incremented');
-      } catch (error) {
-        console.warn('Failed to increment view count:', error);
-        // Don't fail the whole operation for this
-      }
-    }
+    // Counted once per viewer per day, never for the owner; failures don't stop the viewer
+    this.guideStats.recordView(guideId, guideData);
     
     // Show the HTML content
     if (guideData.htmlContent) {
-      this.displayTrailGuideHTML(guideData.htmlContent, guideData.routeName);
+      const htmlContent = guideData.isPublic
+        ? await this.withReviewsSection(guideId, guideData.htmlContent, guideData.community)
+        : guideData.htmlContent;
+      this.displayTrailGuideHTML(htmlContent, guideData.routeName, guideId);
     } else {
       alert('❌ Trail guide content not available');
     }
@@ -862,8 +1064,70 @@ async viewTrailGuide(guideId) {
   }
 }
 
+// Append the rating summary and latest reviews to a public guide's HTML
+async withReviewsSection(guideId, htmlContent, community = {}) {
+  let reviews = [];
+  try {
+    reviews = (await this.reviews.getReviews(guideId, { pageSize: 5 })).items;
+  } catch (error) {
+    console.warn('Could not load reviews for the guide:', error);
+  }
+
+  const count = community.reviewCount || 0;
+  const aspects = Object.entries(community.aspectAverages || {})
+    .filter(([, average]) => typeof average === 'number')
+    .map(([aspect, average]) => `${aspect}: ${average.toFixed(1)}`)
+    .join(' · ');
+
+  const items = reviews.map(review => `
+    <div style="border-top: 1px solid #eee; padding: 10px 0;">
+      <div><span style="color: #f5a623;">${formatStars(review.ratings?.overall)}</span>
+        <strong>${escapeHtml(review.userName || 'Anonymous')}</strong></div>
+      ${review.text ? `<p style="margin: 6px 0 0;">${escapeHtml(review.text)}</p>` : ''}
+    </div>
+  `).join('');
+
+  const section = `
+    <section style="max-width: 900px; margin: 30px auto; padding: 20px; font-family: sans-serif; border: 1px solid #ddd; border-radius: 12px;">
+      <h2 style="margin-top: 0;">⭐ Community Reviews</h2>
+      ${count > 0 ? `
+        <p><span style="color: #f5a623; font-size: 1.3em;">${formatStars(community.averageRating)}</span>
+          <strong>${(community.averageRating || 0).toFixed(1)}</strong> / 5 from ${count} review${count !== 1 ? 's' : ''}</p>
+        ${aspects ? `<p style="color: #666;">${aspects}</p>` : ''}
+        ${items}
+      ` : '<p style="color: #666;">No reviews yet.</p>'}
+      <p style="color: #666; font-size: 0.9em;">Rate and review this trail from the Access Nature trail browser.</p>
+    </section>
+  `;
+
+  const bodyEnd = htmlContent.lastIndexOf('</body>');
+  return bodyEnd === -1
+    ? htmlContent + section
+    : htmlContent.slice(0, bodyEnd) + section + htmlContent.slice(bodyEnd);
+}
+
+// Download a guide straight from the trail browser
+async downloadTrailGuideById(guideId) {
+  try {
+    const { doc, getDoc } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const guideSnap = await getDoc(doc(db, 'trail_guides', guideId));
+    
+    if (!guideSnap.exists() || !guideSnap.data().htmlContent) {
+      alert('❌ Trail guide content not available');
+      return;
+    }
+    
+    const guideData = guideSnap.data();
+    this.downloadTrailGuide(guideData.htmlContent, guideData.routeName, guideId);
+    
+  } catch (error) {
+    console.error('❌ Failed to download trail guide:', error);
+    alert('❌ Failed to download trail guide: ' + error.message);
+  }
+}
+
 // NEW: Display trail guide HTML in new window
-displayTrailGuideHTML(htmlContent, routeName) {
+displayTrailGuideHTML(htmlContent, routeName, guideId = null) {
   try {
     // Create blob and open in new tab
     const blob = new Blob([htmlContent], { type: 'text/html' });
@@ -876,7 +1140,7 @@ displayTrailGuideHTML(htmlContent, routeName) {
       // Popup blocked, offer download instead
       const downloadConfirm = confirm('Popup blocked! Would you like to download the trail guide instead?');
       if (downloadConfirm) {
-        this.downloadTrailGuide(htmlContent, routeName);
+        this.downloadTrailGuide(htmlContent, routeName, guideId);
       }
     } else {
       // Set window title
@@ -893,7 +1157,7 @@ displayTrailGuideHTML(htmlContent, routeName) {
 }
 
 // NEW: Download trail guide as HTML file
-downloadTrailGuide(htmlContent, routeName) {
+downloadTrailGuide(htmlContent, routeName, guideId = null) {
   try {
     const blob = new Blob([htmlContent], { type: 'text/html' });
     const url = URL.createObjectURL(blob);
@@ -910,6 +1174,9 @@ downloadTrailGuide(htmlContent, routeName) {
     setTimeout(() => URL.revokeObjectURL(url), 100);
     
     console.log('✅ Trail guide downloaded');
+    if (guideId) {
+      this.guideStats.recordDownload(guideId);
+    }
     
   } catch (error) {
     console.error('❌ Failed to download trail guide:', error);
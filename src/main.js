@@ -5,8 +5,18 @@ import { authController } from './features/auth.js';
    authController.initialize();
 import { DialogSystem } from './ui/dialogs.js';
 import { AppState } from './core/storage.js';
+import { formatMigrationReport } from './core/db-migrations.js';
 import { MapController } from './core/map.js';
 import { TrackingController } from './core/tracking.js';
+import { TrackingUI } from './ui/tracking-ui.js';
+import { SplitsPanel } from './ui/splits-panel.js';
+import { SyncQueuePanel } from './ui/sync-queue-panel.js';
+import { AuthorDashboard } from './ui/author-dashboard.js';
+import { ModerationPanel } from './ui/moderation-panel.js';
+import { GPS_FILTER_PROFILES } from './core/gps-filters.js';
+import { TRACKING_PROFILES } from './core/tracking-profiles.js';
+import { SIMPLIFY_TOLERANCES, getSimplifyTolerance, setSimplifyTolerance } from './utils/simplify.js';
+import { ReplayProvider, ManualProvider } from './core/position-providers.js';
 import { TimerController } from './core/timer.js';
 import { NavigationController } from './ui/navigation.js';
 import { CompassController } from './ui/compass.js';
@@ -14,6 +24,13 @@ import { AccessibilityForm } from './features/accessibility.js';
 import { MediaController } from './features/media.js';
 import { ExportController } from './features/export.js';
 import { FirebaseController } from './features/firebase.js';
+import { SyncQueue } from './features/sync-queue.js';
+import { SyncEngine } from './features/sync-engine.js';
+import { FollowRouteController, OFF_ROUTE_DISTANCES } from './features/follow-route.js';
+import { BarrierController } from './features/barriers.js';
+import { RouteEditorController } from './features/route-editor.js';
+import { formatQualityScore, formatQualityReport, isLowQuality } from './utils/gps-quality.js';
+import { canPublish, getModerationStatus, MODERATION_STATUSES } from './utils/moderation.js';
 
 
 class AccessNatureApp {
@@ -39,12 +56,22 @@ async initialize() {
     // Initialize UI controllers
     this.controllers.navigation = new NavigationController();
     this.controllers.compass = new CompassController();
+    this.controllers.trackingUI = new TrackingUI(this.controllers.state);
+    this.controllers.splits = new SplitsPanel(this.controllers.state);
+    this.controllers.syncQueuePanel = new SyncQueuePanel();
+    this.controllers.authorDashboard = new AuthorDashboard();
+    this.controllers.moderationPanel = new ModerationPanel();
 
     // Initialize feature controllers
     this.controllers.accessibility = new AccessibilityForm();
     this.controllers.media = new MediaController(this.controllers.state);
     this.controllers.export = new ExportController(this.controllers.state);
+    this.controllers.follow = new FollowRouteController();
+    this.controllers.barriers = new BarrierController(this.controllers.state);
+    this.controllers.routeEditor = new RouteEditorController(this.controllers.state);
     this.controllers.firebase = new FirebaseController();  // CREATE INSTANCE
+    this.controllers.syncQueue = new SyncQueue(this.controllers.state);
+    this.controllers.syncEngine = new SyncEngine(this.controllers.state);
     this.controllers.auth = authController;
 
     this.controllers.firebase.initialize(
@@ -160,6 +187,7 @@ async showRestoreDialog(backupData) {
       const locationPoints = routeData.filter(p => p && p.type === 'location').length;
       const photos = routeData.filter(p => p && p.type === 'photo').length;
       const notes = routeData.filter(p => p && p.type === 'text').length;
+      const barriers = routeData.filter(p => p && p.type === 'barrier').length;
       
       // Calculate time since backup
       const backupTime = backupData.backupTime || Date.now();
@@ -185,6 +213,7 @@ async showRestoreDialog(backupData) {
 📍 GPS Points: ${locationPoints}
 📷 Photos: ${photos}
 📝 Notes: ${notes}
+🚧 Barriers: ${barriers}
 📋 Total Data: ${pointCount} entries
 
 This route was not saved before the app was closed.
@@ -294,7 +323,7 @@ continueRestoredRoute() {
     // Update tracking buttons but don't auto-start
     const trackingController = this.controllers.tracking;
     if (trackingController) {
-      trackingController.updateTrackingButtons();
+      trackingController.emitStateChange();
     }
     
     this.showSuccessMessage('🚀 Ready to continue! Click ▶ to resume tracking.');
@@ -326,9 +355,9 @@ async saveRestoredRoute() {
   try {
     console.log('💾 Saving restored route...');
     
-    const trackingController = this.controllers.tracking;
-    if (trackingController && typeof trackingController.saveRoute === 'function') {
-      await trackingController.saveRoute();
+    const trackingUI = this.controllers.trackingUI;
+    if (trackingUI && typeof trackingUI.saveRoute === 'function') {
+      await trackingUI.saveRoute();
     } else {
       // Fallback manual save
       const routeName = prompt('Enter a name for this restored route:') || `Restored Route ${new Date().toLocaleDateString()}`;
@@ -479,15 +508,7 @@ setupMainEventListeners() {
     loadRoutesBtn.addEventListener('click', async () => {
       console.log('☁️ Load My Routes clicked');
       try {
-        const routes = await this.controllers.firebase.loadMyRoutes();
-        console.log(`✅ Loaded ${routes.length} routes:`, routes);
-        
-        if (routes.length === 0) {
-          alert('No routes found in cloud. Save some routes first!');
-        } else {
-          // Display routes list
-          this.displayRoutesList(routes);
-        }
+        await this.openRoutesList();
       } catch (error) {
         console.error('❌ Failed to load routes:', error);
         alert('Failed to load routes: ' + error.message);
@@ -495,6 +516,20 @@ setupMainEventListeners() {
     });
   }
 
+  // NEW: Sync Now button
+  const syncNowBtn = document.getElementById('syncNowBtn');
+  if (syncNowBtn) {
+    syncNowBtn.addEventListener('click', async () => {
+      console.log('🔄 Sync Now clicked');
+      syncNowBtn.disabled = true;
+      try {
+        await this.controllers.syncEngine.sync({ notify: true });
+      } finally {
+        syncNowBtn.disabled = false;
+      }
+    });
+  }
+
   // Load My Guides button
   const loadGuidesBtn = document.getElementById('loadMyGuidesBtn');
   if (loadGuidesBtn) {
@@ -526,12 +561,251 @@ setupMainEventListeners() {
     });
   }
 
+  // GPS filter selector (Tools panel)
+  const gpsFilterSelect = document.getElementById('gpsFilterSelect');
+  if (gpsFilterSelect) {
+    gpsFilterSelect.innerHTML = Object.entries(GPS_FILTER_PROFILES)
+      .map(([key, profile]) => `<option value="${key}">${profile.label}</option>`)
+      .join('');
+    gpsFilterSelect.value = this.controllers.tracking.getGPSFilter();
+
+    gpsFilterSelect.addEventListener('change', () => {
+      console.log('🧮 GPS filter changed:', gpsFilterSelect.value);
+      if (!this.controllers.tracking.setGPSFilter(gpsFilterSelect.value)) {
+        gpsFilterSelect.value = this.controllers.tracking.getGPSFilter();
+      }
+    });
+  }
+
+  // Tracking profile selector (accuracy vs. battery, Tools panel)
+  const trackingProfileSelect = document.getElementById('trackingProfileSelect');
+  if (trackingProfileSelect) {
+    trackingProfileSelect.innerHTML = Object.entries(TRACKING_PROFILES)
+      .map(([key, profile]) => `<option value="${key}">${profile.label}</option>`)
+      .join('');
+    trackingProfileSelect.value = this.controllers.tracking.getTrackingProfile();
+
+    trackingProfileSelect.addEventListener('change', () => {
+      console.log('🔋 Tracking profile changed:', trackingProfileSelect.value);
+      if (!this.controllers.tracking.setTrackingProfile(trackingProfileSelect.value)) {
+        trackingProfileSelect.value = this.controllers.tracking.getTrackingProfile();
+      }
+    });
+  }
+
+  // Auto-pause toggle (Tools panel)
+  const autoPauseToggle = document.getElementById('autoPauseToggle');
+  if (autoPauseToggle) {
+    autoPauseToggle.checked = this.controllers.tracking.isAutoPauseEnabled();
+    autoPauseToggle.addEventListener('change', () => {
+      console.log('⏯️ Auto-pause toggled:', autoPauseToggle.checked);
+      this.controllers.tracking.setAutoPause(autoPauseToggle.checked);
+    });
+  }
+
+  // Track simplification tolerance (map, cloud upload, trail guides)
+  const simplifySelect = document.getElementById('simplifyToleranceSelect');
+  if (simplifySelect) {
+    simplifySelect.innerHTML = SIMPLIFY_TOLERANCES
+      .map(meters => `<option value="${meters}">${meters === 0 ? 'Off (full detail)' : `±${meters} m`}</option>`)
+      .join('');
+    simplifySelect.value = String(getSimplifyTolerance());
+
+    simplifySelect.addEventListener('change', () => {
+      console.log('📉 Simplification tolerance changed:', simplifySelect.value);
+      if (!setSimplifyTolerance(simplifySelect.value)) {
+        simplifySelect.value = String(getSimplifyTolerance());
+      }
+    });
+  }
+
+  this.setupPositionSourceControls();
+  this.setupFollowRouteControls();
+
   console.log('✅ Main event listeners set up');
 }
 
+// NEW: Follow a saved route (Tools panel)
+setupFollowRouteControls() {
+  const follow = this.controllers.follow;
+
+  const followBtn = document.getElementById('followRouteBtn');
+  if (followBtn) {
+    followBtn.addEventListener('click', async () => {
+      if (follow.isFollowing()) {
+        follow.stop();
+      } else {
+        await this.chooseLocalRouteToFollow();
+      }
+    });
+  }
+
+  const distanceSelect = document.getElementById('offRouteDistanceSelect');
+  if (distanceSelect) {
+    distanceSelect.innerHTML = OFF_ROUTE_DISTANCES
+      .map(meters => `<option value="${meters}">${meters} m</option>`)
+      .join('');
+    distanceSelect.value = String(follow.getOffRouteDistance());
+
+    distanceSelect.addEventListener('change', () => {
+      if (!follow.setOffRouteDistance(distanceSelect.value)) {
+        distanceSelect.value = String(follow.getOffRouteDistance());
+      }
+    });
+  }
+}
+
+async chooseLocalRouteToFollow() {
+  const sessions = await this.controllers.state.getSessions();
+  if (!sessions || sessions.length === 0) {
+    if (window.toast) {
+      window.toast.info('No Saved Routes', 'Save a route first, or follow one from ☁️ My Routes');
+    }
+    return;
+  }
+
+  let message = '🧭 Select a route to follow:\n\n';
+  sessions.forEach((session, index) => {
+    const date = new Date(session.date).toLocaleDateString();
+    const distance = session.totalDistance ? `${session.totalDistance.toFixed(2)} km` : '0 km';
+    message += `${index + 1}. ${session.name}\n`;
+    message += `   📅 ${date} | 📏 ${distance}\n\n`;
+  });
+  message += `Enter route number (1-${sessions.length}):`;
+
+  const choiceNum = parseInt(prompt(message));
+  if (choiceNum >= 1 && choiceNum <= sessions.length) {
+    const session = sessions[choiceNum - 1];
+    this.controllers.follow.start(session.data || [], session.name);
+  }
+}
+
+// NEW: Position source selector (device GPS, replay file, tap on map)
+setupPositionSourceControls() {
+  const sourceSelect = document.getElementById('positionSourceSelect');
+  const replayFile = document.getElementById('replayFile');
+  const replayOptions = document.getElementById('replayOptions');
+  const speedSelect = document.getElementById('replaySpeedSelect');
+  const noiseToggle = document.getElementById('replayNoiseToggle');
+
+  if (!sourceSelect) return;
+
+  const tracking = this.controllers.tracking;
+  const providers = {
+    geolocation: tracking.getPositionProvider(),
+    replay: new ReplayProvider(),
+    manual: new ManualProvider(this.controllers.map)
+  };
+
+  providers.replay.onFinished = () => {
+    if (window.toast) {
+      window.toast.info('Replay Finished', 'Stop tracking to save the simulated route');
+    }
+  };
+
+  const useProvider = (name) => {
+    if (tracking.setPositionProvider(providers[name])) {
+      replayOptions?.classList.toggle('hidden', name !== 'replay');
+      if (name === 'manual' && window.toast) {
+        window.toast.info('Tap on Map', 'Each tap on the map is recorded as a position');
+      }
+    }
+    sourceSelect.value = tracking.getPositionProvider().name;
+  };
+
+  sourceSelect.addEventListener('change', () => {
+    console.log('🛰️ Position source changed:', sourceSelect.value);
+
+    if (sourceSelect.value === 'replay') {
+      // Keep the current source until a file is actually loaded
+      sourceSelect.value = tracking.getPositionProvider().name;
+      replayFile?.click();
+      return;
+    }
+
+    useProvider(sourceSelect.value);
+  });
+
+  replayFile?.addEventListener('change', async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const text = await file.text();
+      const points = file.name.toLowerCase().endsWith('.gpx')
+        ? ReplayProvider.parseGPX(text)
+        : ReplayProvider.parseRouteJSON(text);
+
+      if (points.length === 0) {
+        throw new Error('No GPS points found in file');
+      }
+
+      providers.replay.load(points, file.name);
+      useProvider('replay');
+
+      if (window.toast) {
+        window.toast.success('Replay Loaded', `${points.length} points from ${file.name} - press start to play`);
+      }
+    } catch (error) {
+      console.error('❌ Failed to load replay file:', error);
+      if (window.toast) {
+        window.toast.error('Replay Failed', error.message);
+      }
+    }
+
+    event.target.value = '';
+  });
+
+  speedSelect?.addEventListener('change', () => {
+    providers.replay.configure({ speed: parseFloat(speedSelect.value) || 1 });
+  });
+
+  noiseToggle?.addEventListener('change', () => {
+    // Simulated poor signal: jitter, occasional accuracy drops and timeouts
+    providers.replay.configure(noiseToggle.checked
+      ? { noiseMeters: 8, accuracyDropRate: 0.05, timeoutRate: 0.02 }
+      : { noiseMeters: 0, accuracyDropRate: 0, timeoutRate: 0 });
+  });
+}
+
 // Add these methods to your AccessNatureApp class in main.js
 
-displayRoutesList(routes) {
+// NEW: Routes modal shows the pages already loaded (no query when reopened), then pages in on demand
+async openRoutesList({ refresh = false } = {}) {
+  const firebase = this.controllers.firebase;
+  let pages = refresh ? [] : firebase.getCachedMyRoutesPages();
+  if (pages.length === 0) {
+    pages = [await firebase.loadMyRoutesPage(0, { refresh: true })];
+  }
+
+  const routes = pages.flatMap(page => page.items);
+  console.log(`✅ Showing ${routes.length} routes`);
+
+  if (routes.length === 0) {
+    alert('No routes found in cloud. Save some routes first!');
+  } else {
+    this.displayRoutesList(routes, { hasMore: pages[pages.length - 1].hasMore });
+  }
+}
+
+async loadMoreRoutes() {
+  const firebase = this.controllers.firebase;
+  const pages = firebase.getCachedMyRoutesPages();
+  if (this.loadingMoreRoutes || pages.length === 0 || !pages[pages.length - 1].hasMore) return;
+
+  this.loadingMoreRoutes = true;
+  try {
+    await firebase.loadMyRoutesPage(pages.length);
+    const loaded = firebase.getCachedMyRoutesPages();
+    this.displayRoutesList(loaded.flatMap(page => page.items), { hasMore: loaded[loaded.length - 1].hasMore });
+  } catch (error) {
+    console.error('❌ Failed to load more routes:', error);
+  } finally {
+    this.loadingMoreRoutes = false;
+  }
+}
+
+displayRoutesList(routes, { hasMore = false } = {}) {
   const modal = document.getElementById('routesListModal');
   const container = document.getElementById('routesListContainer');
   
@@ -552,6 +826,7 @@ displayRoutesList(routes) {
     `;
   } else {
     let html = '';
+    this.displayedRoutes = routes;
     
     routes.forEach(route => {
       const date = route.createdAt ? new Date(route.createdAt).toLocaleDateString() : 'Unknown date';
@@ -561,6 +836,7 @@ displayRoutesList(routes) {
       const points = route.stats?.locationPoints || route.points?.length || 0;
       const photos = route.stats?.photos || 0;
       const visibility = route.isPublic ? '🌍 Public' : '🔒 Private';
+      const quality = route.stats?.quality;
       
       html += `
         <div class="list-item" data-route-id="${route.id}">
@@ -572,11 +848,20 @@ displayRoutesList(routes) {
             <span>📍 ${points} points</span>
             ${photos > 0 ? `<span>📷 ${photos}</span>` : ''}
             <span>${visibility}</span>
+            ${quality ? `<span title="GPS quality">${formatQualityScore(quality)}</span>` : ''}
           </div>
           <div class="list-item-actions">
             <button class="list-item-btn list-item-btn-primary" onclick="window.AccessNatureApp.loadRouteOnMap('${route.id}')">
               🗺️ View on Map
             </button>
+            ${quality ? `
+              <button class="list-item-btn list-item-btn-secondary" onclick="window.AccessNatureApp.showRouteQuality('${route.id}')">
+                🎯 Quality
+              </button>
+            ` : ''}
+            <button class="list-item-btn list-item-btn-secondary" onclick="window.AccessNatureApp.followCloudRoute('${route.id}')">
+              🧭 Follow
+            </button>
             <button class="list-item-btn list-item-btn-secondary" onclick="window.AccessNatureApp.downloadRoute('${route.id}')">
               📥 Download
             </button>
@@ -587,13 +872,38 @@ displayRoutesList(routes) {
         </div>
       `;
     });
+
+    if (hasMore) {
+      html += `
+        <button id="routesLoadMoreBtn" class="list-item-btn list-item-btn-secondary list-load-more" onclick="window.AccessNatureApp.loadMoreRoutes()">
+          ⬇️ Load More Routes
+        </button>
+      `;
+    }
     
     container.innerHTML = html;
+    this.observeLoadMore(document.getElementById('routesLoadMoreBtn'), () => this.loadMoreRoutes());
   }
 
   modal.classList.remove('hidden');
 }
 
+// Infinite scroll: load the next page when the "load more" button scrolls into view
+observeLoadMore(button, loadMore) {
+  if (this.loadMoreObserver) {
+    this.loadMoreObserver.disconnect();
+    this.loadMoreObserver = null;
+  }
+  if (!button || !('IntersectionObserver' in window)) return;
+
+  this.loadMoreObserver = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      loadMore();
+    }
+  });
+  this.loadMoreObserver.observe(button);
+}
+
 displayGuidesList(guides) {
   const modal = document.getElementById('guidesListModal');
   const container = document.getElementById('guidesListContainer');
@@ -624,6 +934,8 @@ displayGuidesList(guides) {
       const points = guide.metadata?.locationCount || 0;
       const photos = guide.metadata?.photoCount || 0;
       const visibility = guide.isPublic ? '🌍 Public' : '🔒 Private';
+      const moderationStatus = getModerationStatus(guide);
+      const moderation = moderationStatus !== 'ok' ? MODERATION_STATUSES[moderationStatus] : null;
       const wheelchairAccess = guide.accessibility?.wheelchairAccess || 'Unknown';
       
       html += `
@@ -636,6 +948,7 @@ displayGuidesList(guides) {
             <span>📍 ${points} points</span>
             ${photos > 0 ? `<span>📷 ${photos}</span>` : ''}
             <span>${visibility}</span>
+            ${moderation ? `<span>${moderation.icon} ${moderation.label}</span>` : ''}
             <span>♿ ${wheelchairAccess}</span>
           </div>
           <div class="list-item-actions">
@@ -645,7 +958,7 @@ displayGuidesList(guides) {
             <button class="list-item-btn list-item-btn-secondary" onclick="window.AccessNatureApp.downloadGuide('${guide.id}')">
               📥 Download HTML
             </button>
-            ${!guide.isPublic ? `
+            ${!guide.isPublic && canPublish(guide) ? `
               <button class="list-item-btn list-item-btn-secondary" onclick="window.AccessNatureApp.makeGuidePublic('${guide.id}')">
                 🌍 Make Public
               </button>
@@ -676,6 +989,20 @@ formatDuration(milliseconds) {
   }
 }
 
+// NEW: GPS quality report of a listed cloud route
+async showRouteQuality(routeId) {
+  const route = (this.displayedRoutes || []).find(r => r.id === routeId);
+  const quality = route?.stats?.quality;
+  if (!quality) return;
+
+  const report = formatQualityReport(quality);
+  const issues = quality.issues.length > 0
+    ? `<br><br><strong>Issues:</strong><br>${quality.issues.map(issue => `• ${issue}`).join('<br>')}`
+    : '';
+
+  await this.controllers.dialogs.showAlert(`🎯 GPS Quality - ${route.name || 'Route'}`, report.join('<br>') + issues);
+}
+
 // Action methods
 async loadRouteOnMap(routeId) {
   console.log('📍 Loading route on map:', routeId);
@@ -724,6 +1051,19 @@ async loadRouteOnMap(routeId) {
   }
 }
 
+async followCloudRoute(routeId) {
+  console.log('🧭 Following cloud route:', routeId);
+
+  try {
+    this.closeRoutesModal();
+
+    const route = await this.controllers.firebase.loadRoute(routeId);
+    this.controllers.follow.start(route.points || [], route.name || route.routeName || 'Unnamed Route');
+  } catch (error) {
+    console.error('❌ Failed to follow route:', error);
+  }
+}
+
 async downloadRoute(routeId) {
   console.log('📥 Downloading route:', routeId);
   
@@ -775,15 +1115,15 @@ async deleteRoute(routeId) {
   console.log('🗑️ Deleting route:', routeId);
   
   try {
-    // Delete from Firebase
+    // Delete from Firebase; a synced local copy stays on this device, unlinked
     await this.controllers.firebase.deleteRoute(routeId);
+    await this.controllers.syncEngine.forgetCloudRoute(routeId);
     console.log('✅ Route deleted');
     
     alert('✅ Route deleted successfully!');
     
     // Reload and refresh the routes list
-    const routes = await this.controllers.firebase.loadMyRoutes();
-    this.displayRoutesList(routes);
+    await this.openRoutesList({ refresh: true });
     
   } catch (error) {
     console.error('❌ Failed to delete route:', error);
@@ -817,6 +1157,9 @@ async viewGuide(guideId) {
       return;
     }
     
+    // NEW: Counted once per viewer per day (never for the author)
+    this.controllers.firebase.getGuideStats().recordView(guideId, guide);
+    
     // Open in new window
     const newWindow = window.open('', '_blank');
     if (!newWindow) {
@@ -858,6 +1201,8 @@ async downloadGuide(guideId) {
       return;
     }
     
+    this.controllers.firebase.getGuideStats().recordDownload(guideId, guide);
+    
     // Create blob and download
     const blob = new Blob([guide.htmlContent], { type: 'text/html' });
     const url = URL.createObjectURL(blob);
@@ -879,20 +1224,39 @@ async downloadGuide(guideId) {
 }
 
 async makeGuidePublic(guideId) {
-  // Confirm making public
-  if (!confirm('🌍 Make this trail guide public?\n\nIt will be visible to everyone on the community page.\n\nYou can change it back to private later if needed.')) {
-    return;
-  }
-  
-  console.log('🌍 Making guide public:', guideId);
-  
   try {
-    // Update in Firebase
-    const { doc, updateDoc, serverTimestamp } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
+    const { doc, getDoc, updateDoc, serverTimestamp } = await import("https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js");
     const db = this.controllers.firebase.db;
     
     const guideRef = doc(db, 'trail_guides', guideId);
+
+    // Warn when the route's GPS track is not trustworthy
+    const guideSnap = await getDoc(guideRef);
+    const metadata = guideSnap.exists() ? guideSnap.data().metadata || {} : {};
+
+    // NEW: A guide hidden after reports stays private until a moderator reviews it;
+    // one a moderator unpublished stays private
+    if (guideSnap.exists() && !canPublish(guideSnap.data())) {
+      alert(getModerationStatus(guideSnap.data()) === 'unpublished'
+        ? '⛔ This trail guide was unpublished by a moderator and can\'t be made public again.'
+        : '🙈 This trail guide was hidden after reports from other users.\n\nIt can be published again once a moderator has reviewed it.');
+      return;
+    }
+    const quality = typeof metadata.qualityScore === 'number'
+      ? { score: metadata.qualityScore, grade: metadata.qualityGrade }
+      : null;
+    const qualityWarning = isLowQuality(quality)
+      ? `\n\n⚠️ GPS quality of this route is low: ${formatQualityScore(quality)}\nOthers may rely on this track - consider checking it first.`
+      : '';
+
+    // Confirm making public
+    if (!confirm(`🌍 Make this trail guide public?\n\nIt will be visible to everyone on the community page.\n\nYou can change it back to private later if needed.${qualityWarning}`)) {
+      return;
+    }
+    
+    console.log('🌍 Making guide public:', guideId);
     
+    // Update in Firebase
     await updateDoc(guideRef, {
       isPublic: true,
       publishedAt: serverTimestamp()
@@ -973,7 +1337,6 @@ closeGuidesModal() {
   // Tracking controller - ALL dependencies in ONE call
   this.controllers.tracking.setDependencies({
     state: this.controllers.state,
-    map: this.controllers.map,
     timer: this.controllers.timer,
     media: this.controllers.media,      // Add media here
     firebase: this.controllers.firebase,
@@ -981,12 +1344,90 @@ closeGuidesModal() {
     dialogs: this.controllers.dialogs
   });
 
+  // NEW: Tracker page UI subscribes to tracking events (the core never touches the DOM)
+  this.controllers.trackingUI.setDependencies({
+    tracking: this.controllers.tracking,
+    map: this.controllers.map,
+    firebase: this.controllers.firebase,
+    auth: this.controllers.auth
+  });
+
+  // Live splits panel (recalculated from tracking events)
+  this.controllers.splits.setDependencies({
+    tracking: this.controllers.tracking
+  });
+
+  // Follow route controller (reference line on the map, progress from tracking)
+  this.controllers.follow.setDependencies({
+    map: this.controllers.map,
+    tracking: this.controllers.tracking
+  });
+
   // Export controller
   this.controllers.export.setDependencies({
     map: this.controllers.map,
     accessibility: this.controllers.accessibility
   });
 
+  // Barrier capture (photos compressed by the media controller)
+  this.controllers.barriers.setDependencies({
+    media: this.controllers.media,
+    dialogs: this.controllers.dialogs
+  });
+
+  // Route editor (writes edits back locally and to the synced cloud route)
+  this.controllers.routeEditor.setDependencies({
+    map: this.controllers.map,
+    syncEngine: this.controllers.syncEngine,
+    dialogs: this.controllers.dialogs
+  });
+
+  // Accessibility form (slope suggestion from the recorded track)
+  this.controllers.accessibility.setDependencies({
+    state: this.controllers.state
+  });
+
+  // NEW: Photo popups on the map and cloud uploads read Blobs from the media store
+  this.controllers.map.setDependencies({
+    mediaStore: this.controllers.state.getMediaStore()
+  });
+
+  this.controllers.firebase.setDependencies({
+    mediaStore: this.controllers.state.getMediaStore(),
+    syncQueue: this.controllers.syncQueue
+  });
+
+  // NEW: Uploads queued while offline are kept in IndexedDB and replayed when possible
+  this.controllers.syncQueue.setDependencies({
+    firebase: this.controllers.firebase,
+    auth: this.controllers.auth
+  });
+
+  // NEW: Two-way sync of saved sessions with the user's cloud routes
+  this.controllers.syncEngine.setDependencies({
+    firebase: this.controllers.firebase,
+    auth: this.controllers.auth,
+    dialogs: this.controllers.dialogs
+  });
+
+  this.controllers.syncQueuePanel.setDependencies({
+    syncQueue: this.controllers.syncQueue,
+    photoUploader: this.controllers.firebase.getPhotoUploader(),
+    dialogs: this.controllers.dialogs
+  });
+
+  // NEW: Views, downloads and ratings of the author's trail guides
+  this.controllers.authorDashboard.setDependencies({
+    firebase: this.controllers.firebase
+  });
+
+  // NEW: Moderation queue for reported and hidden guides (moderators only)
+  this.controllers.moderationPanel.setDependencies({
+    firebase: this.controllers.firebase,
+    auth: this.controllers.auth,
+    dialogs: this.controllers.dialogs
+  });
+
   // Compass controller
   this.controllers.compass.setDependencies({
     map: this.controllers.map
@@ -1134,6 +1575,19 @@ window.showStorageMonitor = () => {
   app?.getController('navigation')?.showStorageMonitor();
 };
 
+// NEW: Database migration dry run + history, for support and before shipping schema changes
+window.checkDatabaseMigrations = async (fromVersion = null) => {
+  const status = await app?.getController('state')?.getMigrationStatus(fromVersion);
+  if (!status) {
+    console.warn('💾 IndexedDB not available');
+    return null;
+  }
+
+  console.log(formatMigrationReport(status.preview).join('\n'));
+  console.table(status.history.map(({ failedRecords, ...entry }) => ({ ...entry, failedRecords: failedRecords.length })));
+  return status;
+};
+
 window.triggerImport = () => {
   console.log('📥 Triggering import');
   app?.getController('export')?.triggerImport();
@@ -0,0 +1,139 @@
+// author-dashboard.js - Views, downloads and ratings of the signed-in author's trail guides
+import { escapeHtml, formatDate } from '../utils/helpers.js';
+
+const SERIES_DAYS = 30;
+
+export class AuthorDashboard {
+  constructor() {
+    this.dependencies = {};
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const button = document.getElementById('guideStatsBtn');
+    if (button) {
+      button.addEventListener('click', () => this.open());
+    }
+
+    const modal = document.getElementById('guideStatsModal');
+    if (modal) {
+      modal.addEventListener('click', event => {
+        if (event.target.closest('[data-dashboard-action="close"]')) {
+          modal.classList.add('hidden');
+        }
+      });
+    }
+  }
+
+  async open() {
+    const modal = document.getElementById('guideStatsModal');
+    const container = document.getElementById('guideStatsContainer');
+    if (!modal || !container) return;
+
+    const firebase = this.dependencies.firebase;
+    if (!firebase.getCurrentUser()) {
+      if (window.toast) {
+        window.toast.warning('Not Signed In', 'Sign in to see your trail guide statistics');
+      }
+      return;
+    }
+
+    modal.classList.remove('hidden');
+    container.innerHTML = '<div class="loading">Loading statistics</div>';
+
+    try {
+      const guides = await firebase.loadMyGuides();
+      const series = await firebase.getGuideStats().getDailySeries(guides.map(guide => guide.id), SERIES_DAYS);
+      container.innerHTML = this.render(guides, series);
+    } catch (error) {
+      console.error('❌ Failed to load guide statistics:', error);
+      container.innerHTML = `<div class="empty-state"><h3>Statistics unavailable</h3><p>${escapeHtml(error.message)}</p></div>`;
+    }
+  }
+
+  render(guides, series) {
+    if (guides.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state-icon">📊</div>
+          <h3>No Trail Guides Yet</h3>
+          <p>Publish a trail guide to start collecting views and downloads.</p>
+        </div>
+      `;
+    }
+
+    const totals = guides.reduce((sum, guide) => ({
+      views: sum.views + (guide.community?.views || 0),
+      downloads: sum.downloads + (guide.community?.downloads || 0),
+      reviews: sum.reviews + (guide.community?.reviewCount || 0)
+    }), { views: 0, downloads: 0, reviews: 0 });
+
+    const recent = series.total.reduce((sum, day) => ({
+      views: sum.views + day.views,
+      downloads: sum.downloads + day.downloads
+    }), { views: 0, downloads: 0 });
+
+    const rows = [...guides]
+      .sort((a, b) => (b.community?.views || 0) - (a.community?.views || 0))
+      .map(guide => this.renderGuideRow(guide, series.byGuide[guide.id] || []))
+      .join('');
+
+    return `
+      <div class="dashboard-totals">
+        <div class="dashboard-total"><strong>${totals.views}</strong><span>👁️ Views</span></div>
+        <div class="dashboard-total"><strong>${totals.downloads}</strong><span>📥 Downloads</span></div>
+        <div class="dashboard-total"><strong>${totals.reviews}</strong><span>⭐ Reviews</span></div>
+        <div class="dashboard-total"><strong>${guides.length}</strong><span>🌐 Guides</span></div>
+      </div>
+
+      <h3 class="dashboard-heading">Last ${SERIES_DAYS} days: ${recent.views} views, ${recent.downloads} downloads</h3>
+      ${this.renderChart(series.total)}
+      <div class="dashboard-legend"><span class="legend-views">Views</span><span class="legend-downloads">Downloads</span></div>
+
+      <h3 class="dashboard-heading">Guides</h3>
+      ${rows}
+    `;
+  }
+
+  renderGuideRow(guide, guideSeries) {
+    const community = guide.community || {};
+    const recentViews = guideSeries.reduce((sum, day) => sum + day.views, 0);
+    const rating = community.reviewCount
+      ? `⭐ ${(community.averageRating || 0).toFixed(1)} (${community.reviewCount})`
+      : '⭐ No ratings';
+
+    return `
+      <div class="list-item">
+        <div class="list-item-title">${escapeHtml(guide.routeName || 'Unnamed Guide')}</div>
+        <div class="list-item-meta">
+          <span>${guide.isPublic ? '🌍 Public' : '🔒 Private'}</span>
+          <span>👁️ ${community.views || 0} views</span>
+          <span>📥 ${community.downloads || 0} downloads</span>
+          <span>${rating}</span>
+          <span>📈 ${recentViews} views in ${SERIES_DAYS} days</span>
+        </div>
+        ${this.renderChart(guideSeries, { compact: true })}
+      </div>
+    `;
+  }
+
+  // One bar per day: views with downloads stacked on top
+  renderChart(series, { compact = false } = {}) {
+    const max = Math.max(1, ...series.map(day => day.views + day.downloads));
+
+    const bars = series.map(day => {
+      const title = `${formatDate(`${day.date}T12:00:00Z`)}: ${day.views} views, ${day.downloads} downloads`;
+      return `
+        <div class="dashboard-bar" title="${title}">
+          <div class="bar-downloads" style="height: ${day.downloads / max * 100}%"></div>
+          <div class="bar-views" style="height: ${day.views / max * 100}%"></div>
+        </div>
+      `;
+    }).join('');
+
+    return `<div class="dashboard-chart ${compact ? 'compact' : ''}">${bars}</div>`;
+  }
+}
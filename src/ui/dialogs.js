@@ -441,6 +441,55 @@ export class DialogSystem {
     });
   }
 
+  /**
+   * Show a dialog with several choices ([{ value, label, style }], style
+   * 'primary' | 'secondary' | 'danger'). Resolves with the chosen value,
+   * or null when dismissed.
+   */
+  showChoiceDialog(title, message, choices = []) {
+    return new Promise((resolve) => {
+      const overlay = document.createElement('div');
+      overlay.className = 'dialog-overlay';
+
+      overlay.innerHTML = `
+        <div class="dialog-container">
+          <div class="dialog-header">
+            <h2 class="dialog-title">${title}</h2>
+          </div>
+
+          <div class="dialog-body">
+            <p style="font-size: 16px; line-height: 1.6;">${message}</p>
+          </div>
+
+          <div class="dialog-footer">
+            ${choices.map((choice, index) => `
+              <button class="dialog-button dialog-button-${choice.style || 'secondary'}" data-choice="${index}">
+                ${choice.label}
+              </button>
+            `).join('')}
+          </div>
+        </div>
+      `;
+
+      overlay.querySelectorAll('[data-choice]').forEach(button => {
+        button.addEventListener('click', () => {
+          this.closeDialog(overlay);
+          resolve(choices[Number(button.dataset.choice)].value);
+        });
+      });
+
+      overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+          this.closeDialog(overlay);
+          resolve(null);
+        }
+      });
+
+      document.body.appendChild(overlay);
+      this.activeDialog = overlay;
+    });
+  }
+
   /**
    * Show alert dialog
    */
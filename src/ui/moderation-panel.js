@@ -0,0 +1,211 @@
+// moderation-panel.js - Moderator queue: reported and hidden guides, their reports, history and actions
+import {
+  REPORT_REASONS,
+  MODERATION_STATUSES,
+  MODERATION_ACTIONS,
+  getModerationStatus
+} from '../utils/moderation.js';
+import { toMillis } from '../utils/sync-plan.js';
+import { escapeHtml, formatTimestamp } from '../utils/helpers.js';
+
+// Actions offered for each status in the queue
+const ACTIONS_BY_STATUS = {
+  flagged: ['hide', 'dismiss', 'unpublish'],
+  hidden: ['restore', 'unpublish']
+};
+
+const HISTORY_LABELS = {
+  reported: '🚩 Reported',
+  'auto-hidden': '🙈 Hidden automatically',
+  hide: '🙈 Hidden by moderator',
+  restore: '✅ Restored',
+  dismiss: '👍 Reports dismissed',
+  unpublish: '⛔ Unpublished'
+};
+
+export class ModerationPanel {
+  constructor() {
+    this.dependencies = {};
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const { auth } = this.dependencies;
+    const button = document.getElementById('moderationBtn');
+    if (button) {
+      button.addEventListener('click', () => this.open());
+    }
+
+    // Only moderators see the queue button
+    if (auth && typeof auth.onAuthStateChange === 'function') {
+      auth.onAuthStateChange(async () => {
+        const isModerator = await this.getModeration().isModerator();
+        button?.classList.toggle('hidden', !isModerator);
+      });
+    }
+
+    const modal = document.getElementById('moderationModal');
+    if (!modal) return;
+
+    modal.addEventListener('click', event => {
+      const target = event.target.closest('[data-moderation-action]');
+      if (!target) return;
+
+      const { moderationAction, guideId } = target.dataset;
+      if (moderationAction === 'close') {
+        modal.classList.add('hidden');
+      } else if (moderationAction === 'details') {
+        this.toggleDetails(guideId);
+      } else if (MODERATION_ACTIONS[moderationAction]) {
+        this.applyAction(guideId, moderationAction);
+      }
+    });
+  }
+
+  getModeration() {
+    return this.dependencies.firebase.getModeration();
+  }
+
+  async open() {
+    const modal = document.getElementById('moderationModal');
+    const container = document.getElementById('moderationContainer');
+    if (!modal || !container) return;
+
+    modal.classList.remove('hidden');
+    container.innerHTML = '<div class="loading">Loading moderation queue</div>';
+
+    try {
+      const queue = await this.getModeration().getQueue();
+      container.innerHTML = queue.length > 0
+        ? queue.map(guide => this.renderGuide(guide)).join('')
+        : `
+          <div class="empty-state">
+            <div class="empty-state-icon">🛡️</div>
+            <h3>Nothing to Review</h3>
+            <p>No trail guides are reported or hidden right now.</p>
+          </div>
+        `;
+    } catch (error) {
+      console.error('❌ Failed to load moderation queue:', error);
+      container.innerHTML = `<div class="empty-state"><h3>Queue unavailable</h3><p>${escapeHtml(error.message)}</p></div>`;
+    }
+  }
+
+  renderGuide(guide) {
+    const status = getModerationStatus(guide);
+    const { label, icon } = MODERATION_STATUSES[status] || MODERATION_STATUSES.flagged;
+    const actions = (ACTIONS_BY_STATUS[status] || [])
+      .map(action => `
+        <button class="list-item-btn ${action === 'unpublish' ? 'list-item-btn-secondary' : 'list-item-btn-primary'}"
+          data-moderation-action="${action}" data-guide-id="${guide.id}">
+          ${MODERATION_ACTIONS[action].label}
+        </button>
+      `).join('');
+
+    return `
+      <div class="list-item moderation-item" data-guide-id="${guide.id}">
+        <div class="list-item-title">${escapeHtml(guide.routeName || 'Unnamed Guide')}</div>
+        <div class="list-item-meta">
+          <span>${icon} ${label}</span>
+          <span>🚩 ${guide.moderation?.openReports || 0} open report(s)</span>
+          <span>👤 ${escapeHtml(guide.userName || guide.userEmail || 'Unknown author')}</span>
+          <span>🕒 Last report ${formatTimestamp(toMillis(guide.moderation?.lastReportedAt))}</span>
+        </div>
+        <input type="text" class="moderation-note" maxlength="500" placeholder="Note for the history (optional)">
+        <div class="list-item-actions">
+          <button class="list-item-btn list-item-btn-secondary" onclick="window.AccessNatureApp.viewGuide('${guide.id}')">📖 View</button>
+          <button class="list-item-btn list-item-btn-secondary" data-moderation-action="details" data-guide-id="${guide.id}">📋 Reports & History</button>
+          ${actions}
+        </div>
+        <div class="moderation-details hidden"></div>
+      </div>
+    `;
+  }
+
+  async toggleDetails(guideId) {
+    const item = this.findItem(guideId);
+    const details = item?.querySelector('.moderation-details');
+    if (!details) return;
+
+    if (!details.classList.contains('hidden')) {
+      details.classList.add('hidden');
+      return;
+    }
+
+    details.classList.remove('hidden');
+    details.innerHTML = '<div class="loading">Loading</div>';
+
+    try {
+      const moderation = this.getModeration();
+      const [reports, history] = await Promise.all([
+        moderation.getOpenReports(guideId),
+        moderation.getHistory(guideId)
+      ]);
+      details.innerHTML = this.renderDetails(reports, history);
+    } catch (error) {
+      details.innerHTML = `<div class="moderation-entry">Could not load details: ${escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  renderDetails(reports, history) {
+    const reportItems = reports.map(report => `
+      <div class="moderation-entry">
+        <strong>${escapeHtml(REPORT_REASONS[report.reason] || report.reason)}</strong>
+        - ${escapeHtml(report.reporterName || 'Unknown')}, ${formatTimestamp(toMillis(report.createdAt))}
+        ${report.details ? `<div class="moderation-note-text">${escapeHtml(report.details)}</div>` : ''}
+      </div>
+    `).join('') || '<div class="moderation-entry">No open reports</div>';
+
+    const historyItems = history.map(entry => `
+      <div class="moderation-entry">
+        ${HISTORY_LABELS[entry.action] || escapeHtml(entry.action)}
+        ${entry.reason ? `(${escapeHtml(REPORT_REASONS[entry.reason] || entry.reason)})` : ''}
+        - ${formatTimestamp(toMillis(entry.at))}${entry.by === 'system' ? ' · automatic' : ''}
+        ${entry.note ? `<div class="moderation-note-text">${escapeHtml(entry.note)}</div>` : ''}
+      </div>
+    `).join('') || '<div class="moderation-entry">No history</div>';
+
+    return `
+      <h4>Open Reports</h4>
+      ${reportItems}
+      <h4>History</h4>
+      ${historyItems}
+    `;
+  }
+
+  async applyAction(guideId, action) {
+    const { dialogs } = this.dependencies;
+    const { label, isPublic } = MODERATION_ACTIONS[action];
+    const item = this.findItem(guideId);
+    const note = item?.querySelector('.moderation-note')?.value || '';
+
+    const message = isPublic
+      ? 'The guide will be public again and its open reports closed.'
+      : 'The guide will be removed from public listings. Its author keeps a private copy.';
+    const confirmed = dialogs
+      ? await dialogs.showConfirmDialog(label, message, label, 'Cancel', !isPublic)
+      : confirm(message);
+    if (!confirmed) return;
+
+    try {
+      await this.getModeration().moderate(guideId, action, note);
+      if (window.toast) {
+        window.toast.success('Moderation', HISTORY_LABELS[action]);
+      }
+      await this.open();
+    } catch (error) {
+      console.error('❌ Moderation action failed:', error);
+      if (window.toast) {
+        window.toast.error('Moderation Failed', error.message);
+      }
+    }
+  }
+
+  findItem(guideId) {
+    return [...document.querySelectorAll('#moderationContainer .moderation-item')]
+      .find(item => item.dataset.guideId === guideId) || null;
+  }
+}
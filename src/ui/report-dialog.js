@@ -0,0 +1,104 @@
+// report-dialog.js - "Report this trail" form on the landing page
+import { REPORT_REASONS, MAX_REPORT_DETAILS } from '../utils/moderation.js';
+import { escapeHtml } from '../utils/helpers.js';
+
+export class ReportDialog {
+  constructor(moderation) {
+    this.moderation = moderation;
+    this.guideId = null;
+  }
+
+  initialize() {
+    const modal = document.getElementById('reportModal');
+    if (!modal) return;
+
+    modal.addEventListener('click', event => {
+      const target = event.target.closest('[data-report-action]');
+      if (!target) return;
+
+      if (target.dataset.reportAction === 'close') {
+        this.close();
+      } else if (target.dataset.reportAction === 'sign-in') {
+        window.landingAuth?.showAuthModal();
+      }
+    });
+
+    modal.addEventListener('submit', event => {
+      if (event.target.id !== 'reportForm') return;
+      event.preventDefault();
+      this.submit(new FormData(event.target));
+    });
+  }
+
+  open(guideId, routeName = '') {
+    const modal = document.getElementById('reportModal');
+    const container = document.getElementById('reportFormContainer');
+    if (!modal || !container) return;
+
+    this.guideId = guideId;
+    document.getElementById('reportTitle').textContent = routeName ? `🚩 Report "${routeName}"` : '🚩 Report Trail';
+
+    if (!this.moderation.getCurrentUser()) {
+      container.innerHTML = `
+        <div class="review-signin">
+          Sign in to report a problem with this trail
+          <button type="button" class="nav-card-button primary" data-report-action="sign-in">Sign In</button>
+        </div>
+      `;
+    } else {
+      const reasons = Object.entries(REPORT_REASONS).map(([value, label]) => `
+        <label class="report-reason">
+          <input type="radio" name="reason" value="${value}" required> ${escapeHtml(label)}
+        </label>
+      `).join('');
+
+      container.innerHTML = `
+        <form id="reportForm" class="review-form">
+          <p>What's wrong with this trail guide? A moderator will review your report.</p>
+          <div class="report-reasons">${reasons}</div>
+          <textarea name="details" maxlength="${MAX_REPORT_DETAILS}" rows="3"
+            placeholder="Details that help the moderator (optional, required for 'Something else')"></textarea>
+          <div class="review-form-actions">
+            <button type="submit" class="nav-card-button primary">Send Report</button>
+            <button type="button" class="nav-card-button secondary" data-report-action="close">Cancel</button>
+          </div>
+          <div id="reportFormError" class="review-error hidden"></div>
+        </form>
+      `;
+    }
+
+    modal.classList.remove('hidden');
+  }
+
+  close() {
+    document.getElementById('reportModal')?.classList.add('hidden');
+    this.guideId = null;
+  }
+
+  async submit(formData) {
+    const error = document.getElementById('reportFormError');
+    error?.classList.add('hidden');
+
+    try {
+      const { autoHidden } = await this.moderation.reportGuide(this.guideId, {
+        reason: formData.get('reason'),
+        details: formData.get('details')
+      });
+
+      document.getElementById('reportFormContainer').innerHTML = `
+        <div class="review-signin">
+          ${autoHidden
+            ? 'Thank you. Several people reported this trail, so it is hidden until a moderator reviews it.'
+            : 'Thank you. A moderator will review your report.'}
+          <button type="button" class="nav-card-button primary" data-report-action="close">Close</button>
+        </div>
+      `;
+    } catch (reportError) {
+      console.error('❌ Report not sent:', reportError);
+      if (error) {
+        error.textContent = reportError.message;
+        error.classList.remove('hidden');
+      }
+    }
+  }
+}
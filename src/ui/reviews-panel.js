@@ -0,0 +1,252 @@
+// reviews-panel.js - Reviews modal: rating summary, the user's own review form and everyone's reviews
+import { RATING_ASPECTS, MAX_RATING, MAX_REVIEW_LENGTH, formatStars } from '../utils/review-stats.js';
+import { toMillis } from '../utils/sync-plan.js';
+import { escapeHtml, formatDate } from '../utils/helpers.js';
+
+export class ReviewsPanel {
+  /**
+   * onSummaryChange(guideId, summary) runs after the user saves or deletes a
+   * review, so lists showing the guide can update its rating.
+   */
+  constructor(reviews, { onSummaryChange = () => {} } = {}) {
+    this.reviews = reviews;
+    this.onSummaryChange = onSummaryChange;
+    this.guide = null;
+    this.myReview = null;
+    this.cursor = null;
+    this.busy = false;
+  }
+
+  initialize() {
+    const modal = document.getElementById('reviewsModal');
+    if (!modal) return;
+
+    modal.addEventListener('click', event => {
+      const target = event.target.closest('[data-review-action]');
+      if (!target) return;
+
+      switch (target.dataset.reviewAction) {
+        case 'close': this.close(); break;
+        case 'delete': this.deleteReview(); break;
+        case 'more': this.loadReviews(); break;
+        case 'sign-in': window.landingAuth?.showAuthModal(); break;
+      }
+    });
+
+    modal.addEventListener('submit', event => {
+      if (event.target.id !== 'reviewForm') return;
+      event.preventDefault();
+      this.saveReview(new FormData(event.target));
+    });
+
+    // Signing in or out with the panel open swaps the sign-in prompt and the form
+    this.reviews.onAuthChange(async () => {
+      if (!this.guide) return;
+      this.myReview = await this.reviews.getMyReview(this.guide.id);
+      this.renderForm();
+    });
+  }
+
+  async open(guideId) {
+    const modal = document.getElementById('reviewsModal');
+    if (!modal) return;
+
+    modal.classList.remove('hidden');
+    this.setHTML('reviewsSummary', '<div class="loading">Loading reviews</div>');
+    this.setHTML('reviewFormContainer', '');
+    this.setHTML('reviewsList', '');
+
+    try {
+      const [guide, myReview] = await Promise.all([
+        this.reviews.getGuideSummary(guideId),
+        this.reviews.getMyReview(guideId)
+      ]);
+      this.guide = guide;
+      this.myReview = myReview;
+      this.cursor = null;
+
+      document.getElementById('reviewsTitle').textContent = `⭐ ${guide.routeName}`;
+      this.renderSummary();
+      this.renderForm();
+      await this.loadReviews({ reset: true });
+    } catch (error) {
+      console.error('❌ Failed to load reviews:', error);
+      this.setHTML('reviewsSummary', `<div class="review-error">Could not load reviews: ${escapeHtml(error.message)}</div>`);
+    }
+  }
+
+  close() {
+    document.getElementById('reviewsModal')?.classList.add('hidden');
+    this.guide = null;
+  }
+
+  renderSummary() {
+    const { averageRating, aspectAverages, reviewCount } = this.guide;
+
+    if (reviewCount === 0) {
+      this.setHTML('reviewsSummary', '<div class="reviews-summary-empty">No ratings yet - be the first to review this trail</div>');
+      return;
+    }
+
+    const aspects = Object.entries(aspectAverages)
+      .filter(([, average]) => average !== null)
+      .map(([aspect, average]) => `
+        <span class="review-aspect">${RATING_ASPECTS[aspect].icon} ${RATING_ASPECTS[aspect].label} ${average.toFixed(1)}</span>
+      `).join('');
+
+    this.setHTML('reviewsSummary', `
+      <div class="reviews-average">
+        <span class="review-stars" aria-hidden="true">${formatStars(averageRating)}</span>
+        <strong>${averageRating.toFixed(1)}</strong> / ${MAX_RATING}
+        <span class="reviews-count">(${reviewCount} review${reviewCount !== 1 ? 's' : ''})</span>
+      </div>
+      <div class="review-aspects">${aspects}</div>
+    `);
+  }
+
+  renderForm() {
+    const user = this.reviews.getCurrentUser();
+
+    if (!user) {
+      this.setHTML('reviewFormContainer', `
+        <div class="review-signin">
+          Sign in to rate and review this trail
+          <button type="button" class="nav-card-button primary" data-review-action="sign-in">Sign In</button>
+        </div>
+      `);
+      return;
+    }
+    if (user.uid === this.guide.userId) {
+      this.setHTML('reviewFormContainer', '<div class="review-signin">This is your trail guide - reviews come from other visitors</div>');
+      return;
+    }
+
+    const ratings = this.myReview?.ratings || {};
+    const selects = Object.entries(RATING_ASPECTS).map(([aspect, { label, icon, required }]) => {
+      const options = Array.from({ length: MAX_RATING }, (_, i) => MAX_RATING - i)
+        .map(stars => `<option value="${stars}" ${ratings[aspect] === stars ? 'selected' : ''}>${formatStars(stars)} (${stars})</option>`)
+        .join('');
+      return `
+        <label class="review-rating-field">
+          <span>${icon} ${label}${required ? ' *' : ''}</span>
+          <select name="${aspect}" ${required ? 'required' : ''}>
+            <option value="">${required ? 'Choose a rating' : 'Not rated'}</option>
+            ${options}
+          </select>
+        </label>
+      `;
+    }).join('');
+
+    this.setHTML('reviewFormContainer', `
+      <form id="reviewForm" class="review-form">
+        <h4>${this.myReview ? '✏️ Edit your review' : '✍️ Rate this trail'}</h4>
+        <div class="review-rating-grid">${selects}</div>
+        <textarea name="text" maxlength="${MAX_REVIEW_LENGTH}" rows="4"
+          placeholder="How accessible was it? Surface, slopes, benches, toilets...">${escapeHtml(this.myReview?.text || '')}</textarea>
+        <div class="review-form-actions">
+          <button type="submit" class="nav-card-button primary">${this.myReview ? 'Update Review' : 'Post Review'}</button>
+          ${this.myReview ? '<button type="button" class="nav-card-button secondary" data-review-action="delete">Delete Review</button>' : ''}
+        </div>
+        <div id="reviewFormError" class="review-error hidden"></div>
+      </form>
+    `);
+  }
+
+  async loadReviews({ reset = false } = {}) {
+    if (!this.guide || this.busy) return;
+    this.busy = true;
+
+    try {
+      const page = await this.reviews.getReviews(this.guide.id, { cursor: reset ? null : this.cursor });
+      this.cursor = page.cursor;
+
+      const list = document.getElementById('reviewsList');
+      if (!list) return;
+
+      const html = page.items.map(review => this.renderReview(review)).join('');
+      if (reset) {
+        list.innerHTML = html || '<div class="reviews-summary-empty">No reviews yet</div>';
+      } else {
+        list.querySelector('[data-review-action="more"]')?.remove();
+        list.insertAdjacentHTML('beforeend', html);
+      }
+
+      if (page.hasMore) {
+        list.insertAdjacentHTML('beforeend',
+          '<button type="button" class="load-more-btn btn" data-review-action="more">More Reviews</button>');
+      }
+    } catch (error) {
+      console.error('❌ Failed to load reviews:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  renderReview(review) {
+    const ratings = review.ratings || {};
+    const mine = review.userId === this.reviews.getCurrentUser()?.uid;
+    const aspects = Object.entries(ratings)
+      .filter(([aspect]) => aspect !== 'overall' && RATING_ASPECTS[aspect])
+      .map(([aspect, stars]) => `<span class="review-aspect">${RATING_ASPECTS[aspect].icon} ${stars}/${MAX_RATING}</span>`)
+      .join('');
+
+    return `
+      <div class="review-item ${mine ? 'review-mine' : ''}">
+        <div class="review-header">
+          <span class="review-stars" title="${ratings.overall} of ${MAX_RATING}">${formatStars(ratings.overall)}</span>
+          <span class="review-author">${escapeHtml(review.userName || 'Anonymous')}${mine ? ' (you)' : ''}</span>
+          <span class="review-date">${formatDate(toMillis(review.updatedAt))}</span>
+        </div>
+        ${aspects ? `<div class="review-aspects">${aspects}</div>` : ''}
+        ${review.text ? `<p class="review-text">${escapeHtml(review.text)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  async saveReview(formData) {
+    const ratings = {};
+    Object.keys(RATING_ASPECTS).forEach(aspect => {
+      ratings[aspect] = formData.get(aspect);
+    });
+
+    await this.write(() => this.reviews.saveReview(this.guide.id, { ratings, text: formData.get('text') }));
+  }
+
+  async deleteReview() {
+    if (!confirm('Delete your review of this trail?')) return;
+    await this.write(() => this.reviews.deleteReview(this.guide.id));
+  }
+
+  // Save or delete, then refresh everything that depends on the review
+  async write(action) {
+    if (!this.guide || this.busy) return;
+    const guideId = this.guide.id;
+    this.showFormError('');
+
+    try {
+      const summary = await action();
+      this.guide = { ...this.guide, ...summary };
+      this.myReview = await this.reviews.getMyReview(guideId);
+      this.onSummaryChange(guideId, summary);
+
+      this.renderSummary();
+      this.renderForm();
+      await this.loadReviews({ reset: true });
+    } catch (error) {
+      console.error('❌ Review not saved:', error);
+      this.showFormError(error.message);
+    }
+  }
+
+  showFormError(message) {
+    const element = document.getElementById('reviewFormError');
+    if (!element) return;
+    element.textContent = message;
+    element.classList.toggle('hidden', !message);
+  }
+
+  setHTML(id, html) {
+    const element = document.getElementById(id);
+    if (element) element.innerHTML = html;
+  }
+}
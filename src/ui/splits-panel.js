@@ -0,0 +1,73 @@
+// splits-panel.js - Live per-kilometre / per-mile splits while tracking
+import { calculateSplits, formatSplit, getSplitUnit, setSplitUnit, SPLIT_UNITS } from '../utils/splits.js';
+import { throttle } from '../utils/helpers.js';
+
+export class SplitsPanel {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.unit = getSplitUnit();
+
+    // Recalculating walks the whole track, so don't do it on every fix
+    this.throttledRender = throttle(() => this.render(), 2000);
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const unitSelect = document.getElementById('splitUnitSelect');
+    if (unitSelect) {
+      unitSelect.innerHTML = Object.entries(SPLIT_UNITS)
+        .map(([key, unit]) => `<option value="${key}">Per ${unit.label}</option>`)
+        .join('');
+      unitSelect.value = this.unit;
+
+      unitSelect.addEventListener('change', () => {
+        if (setSplitUnit(unitSelect.value)) {
+          this.unit = unitSelect.value;
+          this.render();
+        } else {
+          unitSelect.value = this.unit;
+        }
+      });
+    }
+
+    const tracking = this.dependencies.tracking;
+    if (tracking) {
+      tracking.on('point-accepted', () => this.throttledRender());
+      tracking.on('started', () => this.render());
+      tracking.on('stopped', () => this.render());
+    }
+
+    this.render();
+  }
+
+  render() {
+    const container = document.getElementById('splitsTable');
+    if (!container) return;
+
+    const { unit, splits } = calculateSplits(this.appState.getRouteData(), this.unit);
+
+    if (splits.length === 0) {
+      container.innerHTML = `<div class="splits-empty">Splits appear after the first ${SPLIT_UNITS[unit].label}</div>`;
+      return;
+    }
+
+    // Most recent split first, so the running one stays in view
+    container.innerHTML = `
+      <table class="splits-table">
+        <thead>
+          <tr><th>${SPLIT_UNITS[unit].label}</th><th>Time</th><th>Speed</th><th>Elev.</th><th>Stops</th></tr>
+        </thead>
+        <tbody>
+          ${[...splits].reverse().map(split => {
+            const row = formatSplit(split, unit);
+            return `<tr class="${split.partial ? 'split-partial' : ''}"><td>${row.label}</td><td>${row.time}</td><td>${row.speed}</td><td>${row.elevation}</td><td>${row.stops}</td></tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+}
@@ -0,0 +1,125 @@
+// sync-queue-panel.js - Pending cloud uploads with their status, retry and cancel
+import { SYNC_STATUSES } from '../features/sync-queue.js';
+import { escapeHtml, formatTime } from '../utils/helpers.js';
+
+export class SyncQueuePanel {
+  constructor() {
+    this.dependencies = {};
+    this.photoProgress = null;
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const syncQueue = this.dependencies.syncQueue;
+    if (!syncQueue) return;
+
+    syncQueue.on('changed', () => this.render());
+
+    const photoUploader = this.dependencies.photoUploader;
+    if (photoUploader) {
+      photoUploader.on('progress', progress => {
+        this.photoProgress = progress;
+        this.updateIndicators(syncQueue.getItems());
+      });
+      photoUploader.on('finished', () => {
+        this.photoProgress = null;
+        this.updateIndicators(syncQueue.getItems());
+      });
+    }
+    syncQueue.on('failed', ({ item }) => {
+      if (window.toast && item) {
+        window.toast.error('Upload Failed', `"${item.name}": ${item.lastError}`);
+      }
+    });
+
+    const list = document.getElementById('syncQueueList');
+    if (list) {
+      list.addEventListener('click', event => {
+        const button = event.target.closest('[data-sync-action]');
+        if (!button) return;
+
+        if (button.dataset.syncAction === 'retry') {
+          syncQueue.retry(button.dataset.id);
+        } else if (button.dataset.syncAction === 'cancel') {
+          this.confirmCancel(button.dataset.id);
+        }
+      });
+    }
+
+    this.render();
+  }
+
+  async confirmCancel(id) {
+    const { syncQueue, dialogs } = this.dependencies;
+    const item = syncQueue.getItem(id);
+    if (!item) return;
+
+    const confirmed = dialogs
+      ? await dialogs.showConfirmDialog('Cancel Upload', `Stop uploading "${item.name}"? It stays saved on this device.`, 'Cancel Upload', 'Keep', true)
+      : confirm(`Stop uploading "${item.name}"?`);
+
+    if (confirmed) {
+      await syncQueue.cancel(id);
+    }
+  }
+
+  render() {
+    const items = this.dependencies.syncQueue.getItems();
+    this.updateIndicators(items);
+
+    const list = document.getElementById('syncQueueList');
+    if (!list) return;
+
+    if (items.length === 0) {
+      list.innerHTML = '<div class="sync-queue-empty">All routes are uploaded</div>';
+      return;
+    }
+
+    list.innerHTML = items.map(item => {
+      const status = SYNC_STATUSES[item.status] || SYNC_STATUSES.queued;
+      let detail = '';
+      if (item.status === 'failed') {
+        detail = escapeHtml(item.lastError || 'Unknown error');
+      } else if (item.status === 'queued' && item.lastError) {
+        detail = `${escapeHtml(item.lastError)} · next try ${formatTime(item.nextAttemptAt)}`;
+      } else if (item.status === 'queued') {
+        detail = navigator.onLine ? 'Waiting to upload' : 'Waiting for a connection';
+      }
+
+      const busy = item.status === 'uploading';
+      return `
+        <div class="sync-queue-item sync-${item.status}">
+          <div class="sync-queue-info">
+            <div class="sync-queue-name">${status.icon} ${escapeHtml(item.name)}</div>
+            <div class="sync-queue-detail">${status.label}${detail ? ` - ${detail}` : ''}</div>
+          </div>
+          <button class="btn" data-sync-action="retry" data-id="${item.id}" ${busy ? 'disabled' : ''}>🔄 Retry</button>
+          <button class="btn" data-sync-action="cancel" data-id="${item.id}" ${busy ? 'disabled' : ''}>✖ Cancel</button>
+        </div>
+      `;
+    }).join('');
+  }
+
+  updateIndicators(items) {
+    const count = document.getElementById('syncQueueCount');
+    if (count) {
+      count.textContent = items.length > 0 ? ` (${items.length})` : '';
+    }
+
+    const indicator = document.getElementById('cloudSyncIndicator');
+    if (indicator) {
+      const progress = this.photoProgress;
+      indicator.classList.toggle('hidden', !progress && !items.some(item => item.status === 'uploading'));
+
+      const text = indicator.querySelector('.sync-text');
+      if (text) {
+        text.textContent = progress
+          ? `Uploading photos ${Math.min(progress.done + 1, progress.total)}/${progress.total} (${progress.percent}%)`
+          : 'Syncing...';
+      }
+    }
+  }
+}
@@ -0,0 +1,321 @@
+// tracking-ui.js - Tracker page view of the tracking core: buttons, status bar, map and toasts
+import { haversineDistance } from '../utils/calculations.js';
+import { isLowQuality, formatQualityScore } from '../utils/gps-quality.js';
+
+export class TrackingUI {
+  constructor(appState) {
+    this.appState = appState;
+    this.dependencies = {};
+    this.unsubscribers = [];
+  }
+
+  setDependencies(deps) {
+    this.dependencies = deps;
+  }
+
+  initialize() {
+    const tracking = this.dependencies.tracking;
+    if (!tracking) {
+      console.warn('⚠️ TrackingUI has no tracking controller to listen to');
+      return;
+    }
+
+    this.unsubscribers = [
+      tracking.on('state-changed', state => this.updateTrackingButtons(state)),
+      tracking.on('started', ({ resumed }) => this.handleStarted(resumed)),
+      tracking.on('paused', () => this.showToast('info', 'Tracking Paused', 'Resume when ready')),
+      tracking.on('resumed', () => this.showToast('success', 'Tracking Resumed', 'Recording continues')),
+      tracking.on('auto-paused', () => this.showToast('info', 'Auto-Paused', 'No movement detected - timer paused')),
+      tracking.on('auto-resumed', ({ restartTimer }) => {
+        if (restartTimer) {
+          this.showToast('success', 'Auto-Resumed', 'Movement detected - recording continues');
+        }
+      }),
+      tracking.on('point-accepted', payload => this.handlePointAccepted(payload)),
+      tracking.on('point-rejected', payload => this.handlePointRejected(payload)),
+      tracking.on('distance-changed', ({ totalDistance }) => this.updateDistanceDisplay(totalDistance)),
+      tracking.on('elevation-changed', ({ gain }) => this.updateElevationGain(gain)),
+      tracking.on('stopped', () => this.handleStopped()),
+      tracking.on('saved', payload => this.handleSaved(payload)),
+      tracking.on('notice', ({ level, title, message }) => this.showToast(level, title, message)),
+      tracking.on('error', ({ title, message }) => this.showError(title, message))
+    ];
+
+    console.log('🖥️ Tracking UI listening to tracking events');
+  }
+
+  showToast(level, title, message) {
+    if (window.toast && typeof window.toast[level] === 'function') {
+      window.toast[level](title, message);
+    }
+  }
+
+  showError(title, message) {
+    if (window.toast) {
+      window.toast.error(title, message);
+    } else {
+      alert(title + ': ' + message);
+    }
+  }
+
+  handleStarted(resumed) {
+    const indicator = document.getElementById('recordingIndicator');
+    if (indicator) {
+      indicator.classList.add('active');
+    }
+
+    if (resumed) {
+      this.showToast('success', 'Tracking Resumed', 'Continuing your trail recording');
+    } else {
+      this.showToast('success', 'Tracking Started', 'Recording your trail');
+    }
+  }
+
+  handleStopped() {
+    const indicator = document.getElementById('recordingIndicator');
+    if (indicator) {
+      indicator.classList.remove('active');
+    }
+
+    this.showToast('info', 'Tracking Stopped', 'You can now save your route');
+    this.promptForSave();
+  }
+
+  handlePointAccepted({ point, previousCoords }) {
+    const map = this.dependencies.map;
+    if (map) {
+      if (previousCoords) {
+        map.addRouteSegment(previousCoords, point.coords);
+      }
+      map.updateMarkerPosition(point.coords);
+    }
+
+    this.updateStatusBar();
+  }
+
+  handlePointRejected({ reason, fix }) {
+    if (reason === 'low_accuracy') {
+      this.showToast('warning', 'GPS Accuracy Low', `Accuracy: ${Math.round(fix.accuracy)}m - Waiting for better signal`);
+    }
+  }
+
+  updateTrackingButtons(state = this.dependencies.tracking.getTrackingStats()) {
+    const startBtn = document.getElementById('startBtn');
+    const pauseBtn = document.getElementById('pauseBtn');
+    const stopBtn = document.getElementById('stopBtn');
+
+    // Reflect auto-pause on the recording indicator
+    const indicator = document.getElementById('recordingIndicator');
+    if (indicator) {
+      indicator.classList.toggle('auto-paused', state.isAutoPaused);
+      const label = indicator.querySelector('.recording-label');
+      if (label) {
+        label.textContent = state.isAutoPaused ? 'Auto-Paused' : 'Recording';
+      }
+    }
+
+    if (!startBtn || !pauseBtn || !stopBtn) return;
+
+    if (!state.isTracking) {
+      startBtn.style.display = 'inline-block';
+      pauseBtn.style.display = 'none';
+      stopBtn.style.display = 'none';
+    } else if (state.isPaused) {
+      startBtn.style.display = 'none';
+      pauseBtn.style.display = 'inline-block';
+      pauseBtn.textContent = '▶';
+      pauseBtn.title = 'Resume';
+      stopBtn.style.display = 'inline-block';
+    } else {
+      startBtn.style.display = 'none';
+      pauseBtn.style.display = 'inline-block';
+      pauseBtn.textContent = '⏸';
+      pauseBtn.title = 'Pause';
+      stopBtn.style.display = 'inline-block';
+    }
+  }
+
+  updateDistanceDisplay(distance) {
+    const distanceElement = document.getElementById('distance');
+    if (distanceElement) {
+      distanceElement.textContent = `${distance.toFixed(2)} km`;
+    }
+
+    const statusDistanceElement = document.getElementById('statusDistance');
+    if (statusDistanceElement) {
+      statusDistanceElement.textContent = distance.toFixed(2);
+    }
+  }
+
+  updateStatusBar() {
+    const routeData = this.appState.getRouteData();
+    const locationPoints = routeData.filter(p => p.type === 'location');
+
+    const statusPoints = document.getElementById('statusPoints');
+    if (statusPoints) {
+      statusPoints.textContent = locationPoints.length;
+    }
+
+    const lastPoint = locationPoints[locationPoints.length - 1];
+    const prevPoint = locationPoints[locationPoints.length - 2];
+
+    const statusSpeed = document.getElementById('statusSpeed');
+
+    if (lastPoint && lastPoint.speed !== null && lastPoint.speed !== undefined) {
+      // Prefer the device-reported speed (m/s) when available
+      if (statusSpeed) {
+        statusSpeed.textContent = (lastPoint.speed * 3.6).toFixed(1);
+      }
+    } else if (locationPoints.length >= 2 && lastPoint.segment === prevPoint.segment) {
+      // Speed across a segment break (pause or GPS gap) is meaningless
+      const timeDiff = (lastPoint.timestamp - prevPoint.timestamp) / 1000 / 3600; // hours
+      const distance = haversineDistance(prevPoint.coords, lastPoint.coords);
+      const speed = timeDiff > 0 ? distance / timeDiff : 0;
+
+      if (statusSpeed) {
+        statusSpeed.textContent = speed.toFixed(1);
+      }
+    }
+
+    // Update current altitude (cumulative ascent comes with elevation-changed)
+    const statusElevation = document.getElementById('statusElevation');
+    if (statusElevation && lastPoint && lastPoint.altitude !== null && lastPoint.altitude !== undefined) {
+      statusElevation.textContent = Math.round(lastPoint.altitude);
+    }
+  }
+
+  updateElevationGain(gain) {
+    const statusGain = document.getElementById('statusElevationGain');
+    if (statusGain) {
+      statusGain.textContent = gain;
+    }
+  }
+
+  promptForSave() {
+    const routeData = this.appState.getRouteData();
+
+    if (!routeData || routeData.length === 0) {
+      console.log('No route data to save');
+      return;
+    }
+
+    const saveBtn = document.getElementById('saveBtn');
+    if (saveBtn) {
+      saveBtn.style.display = 'inline-block';
+      saveBtn.onclick = () => this.saveRoute();
+    } else {
+      // Fallback to prompt
+      if (confirm('Would you like to save this route?')) {
+        this.saveRoute();
+      }
+    }
+  }
+
+  /**
+   * Ask for a name (and cloud visibility when signed in), then let the core save
+   */
+  async saveRoute() {
+    const routeData = this.appState.getRouteData();
+    if (!routeData || routeData.length === 0) {
+      this.showToast('error', 'No Data', 'No route data to save');
+      return;
+    }
+
+    const routeName = prompt('Enter route name:', `Trail ${new Date().toLocaleDateString()}`);
+    if (!routeName) {
+      console.log('❌ Save cancelled - no route name');
+      return;
+    }
+
+    const auth = this.dependencies.auth;
+    const signedIn = !!(auth && auth.getCurrentUser());
+    let visibility = signedIn && this.dependencies.firebase
+      ? this.askCloudSaveOptions(routeName)
+      : 'skip';
+
+    if (visibility === 'public') {
+      visibility = this.confirmPublicQuality(this.dependencies.tracking.getRouteQuality());
+    }
+
+    await this.dependencies.tracking.saveRoute({ name: routeName, visibility });
+  }
+
+  askCloudSaveOptions(routeName) {
+    console.log('❓ Asking user for cloud save options...');
+
+    const message = `Saving "${routeName}" on this device.
+
+☁️ Would you like to save to cloud and create a trail guide?
+
+🔒 PRIVATE: Only you can see it (you can make it public later)
+🌍 PUBLIC: Share with the community immediately
+❌ SKIP: Keep local only
+
+Choose an option:`;
+
+    const choice = prompt(message + "\n\nType: 'private', 'public', or 'skip'");
+
+    if (!choice) return 'skip';
+
+    const cleanChoice = choice.toLowerCase().trim();
+
+    if (cleanChoice === 'private' || cleanChoice === 'p') {
+      console.log('✅ User chose: private');
+      return 'private';
+    } else if (cleanChoice === 'public' || cleanChoice === 'pub') {
+      console.log('✅ User chose: public');
+      return 'public';
+    } else if (cleanChoice === 'skip' || cleanChoice === 's') {
+      console.log('✅ User chose: skip');
+      return 'skip';
+    } else {
+      console.log('❓ Invalid choice, showing simple confirm...');
+      const simpleChoice = confirm('Save to cloud?\n\n✅ OK = Private trail guide\n❌ Cancel = Skip cloud save');
+      const result = simpleChoice ? 'private' : 'skip';
+      console.log('✅ User chose:', result);
+      return result;
+    }
+  }
+
+  // Low-quality geometry shouldn't reach the community page without a second look
+  confirmPublicQuality(quality) {
+    if (!isLowQuality(quality)) return 'public';
+
+    const publishAnyway = confirm(`⚠️ GPS quality of this route is low: ${formatQualityScore(quality)}
+
+${quality.issues.map(issue => `• ${issue}`).join('\n')}
+
+Others may rely on this track. Publish it publicly anyway?
+
+✅ OK = Public
+❌ Cancel = Save as private`);
+
+    console.log(`🎯 Low-quality route, user chose: ${publishAnyway ? 'public' : 'private'}`);
+    return publishAnyway ? 'public' : 'private';
+  }
+
+  // Signed-out users are offered to sign in so the next route can go to the cloud
+  handleSaved({ signedIn }) {
+    if (signedIn) return;
+
+    const wantsToSignIn = confirm('Route saved locally!\n\n💡 Sign in to save routes to the cloud and create shareable trail guides.\n\nWould you like to sign in now?');
+    if (!wantsToSignIn) return;
+
+    const signInBtn = document.getElementById('showAuthBtn') ||
+                     document.getElementById('googleLoginBtn') ||
+                     document.getElementById('signInBtn');
+
+    if (signInBtn) {
+      console.log('✅ Found sign in button, clicking...');
+      signInBtn.click();
+    } else {
+      console.error('❌ No sign in button found');
+      this.showToast('info', 'Sign In', 'Please use the sign in button in the menu');
+    }
+  }
+
+  cleanup() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+}
@@ -0,0 +1,62 @@
+// barrier-catalogue.js - Typed accessibility barriers recorded along a route
+
+// Measurement fields each barrier type can carry (all optional)
+const MEASUREMENTS = {
+  count: { label: 'Number of steps', unit: '' },
+  heightCm: { label: 'Height', unit: 'cm' },
+  widthCm: { label: 'Clear width', unit: 'cm' },
+  gradePercent: { label: 'Grade', unit: '%' },
+  lengthM: { label: 'Length', unit: 'm' }
+};
+
+export const BARRIER_TYPES = {
+  steps: { label: 'Steps', icon: '🪜', measurements: ['count', 'heightCm'] },
+  kerb: { label: 'Kerb', icon: '🧱', measurements: ['heightCm'] },
+  narrow: { label: 'Narrow passage', icon: '↔️', measurements: ['widthCm', 'lengthM'] },
+  gate: { label: 'Gate / stile', icon: '🚪', measurements: ['widthCm'] },
+  steep: { label: 'Steep section', icon: '⛰️', measurements: ['gradePercent', 'lengthM'] },
+  loose: { label: 'Loose surface', icon: '🪨', measurements: ['lengthM'] },
+  handrail: { label: 'Missing handrail', icon: '🤚', measurements: ['lengthM'] },
+  obstacle: { label: 'Obstacle on path', icon: '🌳', measurements: ['widthCm'] },
+  water: { label: 'Mud / water', icon: '💧', measurements: ['lengthM'] },
+  other: { label: 'Other', icon: '⚠️', measurements: [] }
+};
+
+export const BARRIER_SEVERITIES = {
+  minor: { label: 'Minor', description: 'Passable with care', color: '#FFC107' },
+  major: { label: 'Major', description: 'Assistance needed', color: '#FF9800' },
+  impassable: { label: 'Impassable', description: 'Not passable for wheelchair users', color: '#F44336' }
+};
+
+export const DEFAULT_BARRIER_SEVERITY = 'major';
+
+export function getBarrierType(key) {
+  return BARRIER_TYPES[key] || BARRIER_TYPES.other;
+}
+
+export function getBarrierSeverity(key) {
+  return BARRIER_SEVERITIES[key] || BARRIER_SEVERITIES[DEFAULT_BARRIER_SEVERITY];
+}
+
+export function getMeasurementFields(typeKey) {
+  return getBarrierType(typeKey).measurements.map(key => ({ key, ...MEASUREMENTS[key] }));
+}
+
+// "Number of steps: 4, Height: 15 cm"
+export function formatBarrierMeasurements(barrier) {
+  const measurements = barrier.measurements || {};
+
+  return Object.entries(measurements)
+    .filter(([key, value]) => MEASUREMENTS[key] && value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${MEASUREMENTS[key].label}: ${value}${MEASUREMENTS[key].unit ? ` ${MEASUREMENTS[key].unit}` : ''}`)
+    .join(', ');
+}
+
+// One-line description for lists, popups and exports
+export function describeBarrier(barrier) {
+  const type = getBarrierType(barrier.barrierType);
+  const severity = getBarrierSeverity(barrier.severity);
+  const measurements = formatBarrierMeasurements(barrier);
+
+  return `${type.icon} ${type.label} (${severity.label})${measurements ? ` - ${measurements}` : ''}${barrier.content ? ` - ${barrier.content}` : ''}`;
+}
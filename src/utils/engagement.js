@@ -0,0 +1,63 @@
+// engagement.js - Trail guide view/download counting: day keys, trending scores, daily series
+
+export const ENGAGEMENT_TYPES = {
+  view: { field: 'views', weight: 1 },
+  download: { field: 'downloads', weight: 3 }
+};
+
+// Trending interest halves every week without new views or downloads
+export const TRENDING_HALF_LIFE_DAYS = 7;
+
+const DAY_MS = 86400000;
+
+// UTC calendar day, so every visitor's events land on the same day document
+export function dayKey(time = Date.now()) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Add weight to a trending score kept in log2 units of "weight at now",
+ * where the unit grows 2x every half-life. Scores of guides last touched at
+ * different times stay comparable without rewriting them as they decay, so
+ * Firestore can sort by the stored number.
+ */
+export function addToTrendingScore(score, weight, now = Date.now()) {
+  const added = now / DAY_MS / TRENDING_HALF_LIFE_DAYS + Math.log2(weight);
+  if (typeof score !== 'number' || !isFinite(score) || score <= 0) {
+    return added;
+  }
+
+  // log2(2^score + 2^added) without overflowing
+  const high = Math.max(score, added);
+  const low = Math.min(score, added);
+  return high + Math.log2(1 + 2 ** (low - high));
+}
+
+/**
+ * The last `days` days, oldest first, as [{ date, views, downloads }];
+ * days without a daily document count zero. dailyDocs may come from several
+ * guides and are added together.
+ */
+export function buildDailySeries(dailyDocs = [], days = 30, now = Date.now()) {
+  const series = [];
+  const byDate = new Map();
+
+  for (let i = days - 1; i >= 0; i--) {
+    const entry = { date: dayKey(now - i * DAY_MS), views: 0, downloads: 0 };
+    series.push(entry);
+    byDate.set(entry.date, entry);
+  }
+
+  dailyDocs.forEach(daily => {
+    const entry = byDate.get(daily.date);
+    if (!entry) return;
+    entry.views += Number(daily.views) || 0;
+    entry.downloads += Number(daily.downloads) || 0;
+  });
+
+  return series;
+}
+
+export function getSeriesStartDate(days = 30, now = Date.now()) {
+  return dayKey(now - (days - 1) * DAY_MS);
+}
@@ -0,0 +1,51 @@
+// event-emitter.js - Minimal event emitter for controllers that other modules subscribe to
+
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  /**
+   * Subscribe to an event. Returns a function that removes the listener.
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  once(event, listener) {
+    const wrapper = (payload) => {
+      this.off(event, wrapper);
+      listener(payload);
+    };
+    return this.on(event, wrapper);
+  }
+
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+    }
+  }
+
+  /**
+   * Call every listener of an event. A failing listener is logged and
+   * never stops the others (or the emitter) from running.
+   */
+  emit(event, payload = {}) {
+    const listeners = this.listeners.get(event);
+    if (!listeners || listeners.size === 0) return false;
+
+    [...listeners].forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`❌ "${event}" listener failed:`, error);
+      }
+    });
+    return true;
+  }
+}
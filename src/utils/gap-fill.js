@@ -0,0 +1,160 @@
+// gap-fill.js - Find holes in a recorded track and fill them with synthetic points
+// Filled points carry `synthetic: true` so they can be drawn differently and
+// left out of accuracy statistics. Functions never modify their input.
+import { haversineDistance } from './calculations.js';
+import { getLocationPoints, renumberSegments } from './route-editing.js';
+
+export const GAP_FILL_METHODS = {
+  interpolated: { label: 'Straight line', icon: '📏' },
+  drawn: { label: 'Drawn path', icon: '✏️' }
+};
+
+const segmentOf = entry => (typeof entry.segment === 'number' ? entry.segment : 0);
+const altitudeOf = point => (typeof point.altitude === 'number' && !isNaN(point.altitude) ? point.altitude : null);
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Gaps in the location series. Inside a segment a gap is a step longer than
+ * minSeconds (or three typical intervals on sparse tracks); between segments
+ * only a break the tracker tagged as lost signal (`gapBefore`) counts, since
+ * the others are pauses. Stretches shorter than minMeters aren't worth filling.
+ *
+ * Returns [{ fromIndex, toIndex (location point indices), from, to, seconds,
+ * meters, acrossSegments }]
+ */
+export function findGaps(routeData = [], { minSeconds = 30, minMeters = 30 } = {}) {
+  const points = getLocationPoints(routeData);
+  const intervals = [];
+
+  for (let i = 1; i < points.length; i++) {
+    if (segmentOf(points[i]) === segmentOf(points[i - 1])) {
+      intervals.push((points[i].timestamp - points[i - 1].timestamp) / 1000);
+    }
+  }
+
+  const threshold = Math.max(minSeconds, (median(intervals) || 0) * 3);
+  const gaps = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const from = points[i - 1];
+    const to = points[i];
+    const acrossSegments = segmentOf(to) !== segmentOf(from);
+    const seconds = Math.max(0, (to.timestamp - from.timestamp) / 1000);
+    const meters = haversineDistance(from.coords, to.coords) * 1000;
+
+    const isGap = acrossSegments ? !!to.gapBefore : seconds > threshold;
+    if (isGap && meters >= minMeters) {
+      gaps.push({
+        fromIndex: i - 1,
+        toIndex: i,
+        from,
+        to,
+        seconds: Math.round(seconds),
+        meters: Math.round(meters),
+        acrossSegments
+      });
+    }
+  }
+
+  return gaps;
+}
+
+/**
+ * Points every spacingMeters along a line of coords from gap.from to gap.to
+ * (both excluded). Time and altitude are spread in proportion to distance.
+ */
+function resampleAlong(gap, line, spacingMeters, fillMethod) {
+  const legs = [];
+  let totalMeters = 0;
+  for (let i = 1; i < line.length; i++) {
+    const meters = haversineDistance(line[i - 1], line[i]) * 1000;
+    legs.push({ start: line[i - 1], end: line[i], offset: totalMeters, meters });
+    totalMeters += meters;
+  }
+  if (totalMeters === 0) return [];
+
+  const count = Math.max(1, Math.floor(totalMeters / spacingMeters));
+  const step = totalMeters / (count + 1);
+  const duration = gap.to.timestamp - gap.from.timestamp;
+  const fromAltitude = altitudeOf(gap.from);
+  const toAltitude = altitudeOf(gap.to);
+  const points = [];
+  let legIndex = 0;
+
+  for (let n = 1; n <= count; n++) {
+    const along = step * n;
+    while (legIndex < legs.length - 1 && legs[legIndex].offset + legs[legIndex].meters < along) {
+      legIndex++;
+    }
+
+    const leg = legs[legIndex];
+    const t = leg.meters > 0 ? (along - leg.offset) / leg.meters : 0;
+    const fraction = along / totalMeters;
+
+    points.push({
+      type: 'location',
+      coords: {
+        lat: leg.start.lat + (leg.end.lat - leg.start.lat) * t,
+        lng: leg.start.lng + (leg.end.lng - leg.start.lng) * t
+      },
+      timestamp: Math.round(gap.from.timestamp + duration * fraction),
+      accuracy: null,
+      altitude: fromAltitude !== null && toAltitude !== null
+        ? fromAltitude + (toAltitude - fromAltitude) * fraction
+        : null,
+      altitudeAccuracy: null,
+      heading: null,
+      speed: null,
+      segment: segmentOf(gap.from),
+      synthetic: true,
+      fillMethod
+    });
+  }
+
+  return points;
+}
+
+// Straight-line fill between the two ends of a gap
+export function interpolateGap(gap, spacingMeters = 10) {
+  return resampleAlong(gap, [gap.from.coords, gap.to.coords], spacingMeters, 'interpolated');
+}
+
+// Fill along a path the user traced on the map ([{ lat, lng }, ...])
+export function traceGapAlongPath(gap, pathCoords = [], spacingMeters = 10) {
+  return resampleAlong(gap, [gap.from.coords, ...pathCoords, gap.to.coords], spacingMeters, 'drawn');
+}
+
+/**
+ * Insert filled points after gap.from. A gap between segments is closed:
+ * the following segment joins the previous one and later segments move up.
+ */
+export function fillGap(routeData, gap, filledPoints) {
+  const insertAt = routeData.indexOf(gap.from);
+  if (insertAt === -1 || filledPoints.length === 0) return [...routeData];
+
+  const joinedSegment = gap.acrossSegments ? segmentOf(gap.to) : null;
+
+  const rest = routeData.slice(insertAt + 1).map(entry => {
+    if (entry.type !== 'location') return entry;
+
+    if (entry === gap.to) {
+      const { gapBefore, ...point } = entry;
+      return gap.acrossSegments ? { ...point, segment: segmentOf(gap.from) } : point;
+    }
+    if (joinedSegment !== null && segmentOf(entry) === joinedSegment) {
+      return { ...entry, segment: segmentOf(gap.from) };
+    }
+    return entry;
+  });
+
+  return renumberSegments([...routeData.slice(0, insertAt + 1), ...filledPoints, ...rest]);
+}
+
+export function countSyntheticPoints(routeData = []) {
+  return getLocationPoints(routeData).filter(point => point.synthetic).length;
+}
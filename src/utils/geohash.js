@@ -0,0 +1,139 @@
+// geohash.js - Geohashes and bounding boxes for routes, and "near a point" Firestore queries
+import { query, where, getDocs } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+import { haversineDistance } from './calculations.js';
+
+const BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const KM_PER_DEG_LAT = 110.574;
+
+// Precision stored on documents (~5 m cells)
+export const GEOHASH_PRECISION = 9;
+
+export function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    // Bits alternate longitude / latitude, starting with longitude
+    const range = evenBit ? lngRange : latRange;
+    const coord = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    if (++bits === 5) {
+      hash += BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+
+  return hash;
+}
+
+// Size in degrees of a geohash cell with `precision` characters
+function cellSize(precision) {
+  const totalBits = precision * 5;
+  return {
+    lat: 180 / 2 ** Math.floor(totalBits / 2),
+    lng: 360 / 2 ** Math.ceil(totalBits / 2)
+  };
+}
+
+/**
+ * Geohash prefixes whose cells together cover the circle around center:
+ * the longest precision where a cell is at least as large as the circle's
+ * bounding box, so its four corners fall in at most four cells.
+ * Each range is [start, end] for a `>= start` / `<= end` query.
+ */
+export function geohashQueryRanges(center, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEG_LAT;
+  const dLng = radiusKm / (111.32 * Math.max(Math.cos(center.lat * Math.PI / 180), 0.01));
+
+  let precision = GEOHASH_PRECISION;
+  while (precision > 1) {
+    const size = cellSize(precision);
+    if (size.lat >= 2 * dLat && size.lng >= 2 * dLng) break;
+    precision--;
+  }
+
+  const clampLat = lat => Math.max(-90, Math.min(90, lat));
+  const wrapLng = lng => ((lng + 540) % 360) - 180;
+
+  const prefixes = new Set([
+    [center.lat - dLat, center.lng - dLng],
+    [center.lat - dLat, center.lng + dLng],
+    [center.lat + dLat, center.lng - dLng],
+    [center.lat + dLat, center.lng + dLng]
+  ].map(([lat, lng]) => encodeGeohash(clampLat(lat), wrapLng(lng), precision)));
+
+  // '~' sorts after every geohash character
+  return [...prefixes].map(prefix => [prefix, `${prefix}~`]);
+}
+
+/**
+ * Where a route is: geohash of the trailhead (first GPS point), the
+ * trailhead itself and the bounding box of the track. null without GPS points.
+ */
+export function getRouteGeo(routeData = []) {
+  const points = routeData
+    .filter(p => p.type === 'location' && p.coords &&
+      typeof p.coords.lat === 'number' && typeof p.coords.lng === 'number')
+    .map(p => p.coords);
+
+  if (points.length === 0) return null;
+
+  const trailhead = { lat: points[0].lat, lng: points[0].lng };
+  const bounds = points.reduce((box, { lat, lng }) => ({
+    north: Math.max(box.north, lat),
+    south: Math.min(box.south, lat),
+    east: Math.max(box.east, lng),
+    west: Math.min(box.west, lng)
+  }), { north: trailhead.lat, south: trailhead.lat, east: trailhead.lng, west: trailhead.lng });
+
+  return {
+    geohash: encodeGeohash(trailhead.lat, trailhead.lng),
+    trailhead,
+    bounds
+  };
+}
+
+/**
+ * Documents of collectionRef whose trailhead is within radiusKm of center,
+ * nearest first, each with `distanceKm`. Extra where() constraints narrow
+ * every range query (they need a composite index with `geohash`).
+ * Cell corners reach past the circle, so results are checked by distance.
+ */
+export async function fetchNear(collectionRef, center, radiusKm, constraints = []) {
+  const snapshots = await Promise.all(
+    geohashQueryRanges(center, radiusKm).map(([start, end]) => getDocs(query(
+      collectionRef,
+      ...constraints,
+      where('geohash', '>=', start),
+      where('geohash', '<=', end)
+    )))
+  );
+
+  const found = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+    const data = doc.data();
+    if (found.has(doc.id) || !data.trailhead) return;
+
+    const distanceKm = haversineDistance(center, data.trailhead);
+    if (distanceKm <= radiusKm) {
+      found.set(doc.id, { id: doc.id, ...data, distanceKm });
+    }
+  }));
+
+  return [...found.values()].sort((a, b) => a.distanceKm - b.distanceKm);
+}
@@ -0,0 +1,198 @@
+// gps-quality.js - How trustworthy a recorded track's geometry is
+import { haversineDistance } from './calculations.js';
+import { splitIntoSegments } from './segments.js';
+
+// Below this score a route should not be published without a second look
+export const LOW_QUALITY_SCORE = 50;
+
+export const QUALITY_GRADES = {
+  good: { label: 'Good', icon: '🟢', minScore: 75 },
+  fair: { label: 'Fair', icon: '🟡', minScore: LOW_QUALITY_SCORE },
+  poor: { label: 'Poor', icon: '🔴', minScore: 0 }
+};
+
+function percentile(sortedValues, fraction) {
+  if (sortedValues.length === 0) return null;
+  const index = Math.min(sortedValues.length - 1, Math.floor(fraction * sortedValues.length));
+  return sortedValues[index];
+}
+
+const round1 = value => Math.round(value * 10) / 10;
+
+/**
+ * Quality analysis over the location points of a route.
+ * gpsFilterStats (from the GPS pipeline) adds the rejected fix count; without
+ * it only what was stored can be judged. A gap is a step longer than
+ * gapSeconds, or three typical intervals on sparsely sampled tracks.
+ * Synthetic points (filled gaps) are left out entirely, so a filled gap
+ * still counts as one; they are only reported in syntheticPoints.
+ *
+ * Returns { score 0-100, grade, pointCount, syntheticPoints, accuracy, gaps,
+ * rejectedFixes, rejectionRate, implausibleSpeeds, density, issues[] }
+ */
+export function analyzeRouteQuality(routeData = [], {
+  gpsFilterStats = null,
+  gapSeconds = 30,
+  maxSpeedKmh = 40,
+  minPointsPerKm = 20
+} = {}) {
+  const recorded = routeData.filter(p => p && !p.synthetic);
+  const points = recorded.filter(p => p && p.type === 'location' && p.coords);
+  const syntheticPoints = routeData.filter(p => p && p.type === 'location' && p.synthetic).length;
+
+  // Accuracy distribution (m)
+  const accuracies = points
+    .map(p => p.accuracy)
+    .filter(value => typeof value === 'number' && !isNaN(value))
+    .sort((a, b) => a - b);
+
+  const accuracy = {
+    median: accuracies.length ? round1(percentile(accuracies, 0.5)) : null,
+    p90: accuracies.length ? round1(percentile(accuracies, 0.9)) : null,
+    max: accuracies.length ? round1(accuracies[accuracies.length - 1]) : null,
+    buckets: {
+      under5: accuracies.filter(value => value <= 5).length,
+      under10: accuracies.filter(value => value > 5 && value <= 10).length,
+      under20: accuracies.filter(value => value > 10 && value <= 20).length,
+      over20: accuracies.filter(value => value > 20).length
+    }
+  };
+
+  // Steps between consecutive points inside segments; pauses are not faults
+  const steps = [];
+  splitIntoSegments(recorded).forEach(segment => {
+    for (let i = 1; i < segment.length; i++) {
+      steps.push({
+        seconds: Math.max(0, (segment[i].timestamp - segment[i - 1].timestamp) / 1000),
+        km: haversineDistance(segment[i - 1].coords, segment[i].coords)
+      });
+    }
+  });
+
+  const sortedIntervals = steps.map(step => step.seconds).sort((a, b) => a - b);
+  const medianInterval = percentile(sortedIntervals, 0.5);
+  const distanceKm = steps.reduce((total, step) => total + step.km, 0);
+  const trackedSeconds = sortedIntervals.reduce((total, seconds) => total + seconds, 0);
+
+  // Sparse sampling profiles store a point every 30s or so; that is not a gap
+  const gapThreshold = Math.max(gapSeconds, (medianInterval || 0) * 3);
+  const gapSteps = steps.filter(step => step.seconds > gapThreshold);
+  const gaps = {
+    count: gapSteps.length,
+    longestSeconds: Math.round(gapSteps.reduce((longest, step) => Math.max(longest, step.seconds), 0)),
+    totalSeconds: Math.round(gapSteps.reduce((total, step) => total + step.seconds, 0))
+  };
+
+  const implausibleSpeeds = steps.filter(step => step.seconds > 0 && step.km / (step.seconds / 3600) > maxSpeedKmh).length;
+
+  const density = {
+    pointsPerKm: distanceKm > 0 ? round1(points.length / distanceKm) : null,
+    medianIntervalSeconds: medianInterval !== null ? round1(medianInterval) : null
+  };
+
+  const rejectedFixes = gpsFilterStats ? gpsFilterStats.rejectedTotal || 0 : null;
+  const receivedFixes = gpsFilterStats ? (gpsFilterStats.accepted || 0) + (rejectedFixes || 0) : 0;
+  const rejectionRate = receivedFixes > 0 ? round1(rejectedFixes / receivedFixes * 100) : null;
+
+  // Score: start from 100 and take off capped penalties per problem
+  const issues = [];
+  let score = 100;
+
+  if (points.length < 2) {
+    score = 0;
+    issues.push('Too few GPS points to judge the track');
+  }
+
+  if (accuracy.median !== null && accuracy.median > 10) {
+    score -= Math.min(30, (accuracy.median - 10) * 2);
+    issues.push(`Typical accuracy is ±${accuracy.median} m`);
+  }
+
+  if (accuracy.p90 !== null && accuracy.p90 > 30) {
+    score -= 10;
+    issues.push(`1 in 10 points is worse than ±${accuracy.p90} m`);
+  }
+
+  if (gaps.count > 0 && trackedSeconds > 0) {
+    const gapShare = gaps.totalSeconds / trackedSeconds;
+    score -= Math.min(25, gapShare * 100);
+    issues.push(`${gaps.count} gap${gaps.count === 1 ? '' : 's'} over ${Math.round(gapThreshold)}s (longest ${gaps.longestSeconds}s)`);
+  }
+
+  if (rejectionRate !== null && rejectionRate > 10) {
+    score -= Math.min(15, rejectionRate / 2);
+    issues.push(`${rejectionRate}% of GPS fixes were rejected`);
+  }
+
+  if (implausibleSpeeds > 0) {
+    score -= Math.min(15, implausibleSpeeds * 3);
+    issues.push(`${implausibleSpeeds} jump${implausibleSpeeds === 1 ? '' : 's'} faster than ${maxSpeedKmh} km/h`);
+  }
+
+  if (density.pointsPerKm !== null && density.pointsPerKm < minPointsPerKm) {
+    score -= Math.min(15, minPointsPerKm - density.pointsPerKm);
+    issues.push(`Sparse track: ${density.pointsPerKm} points per km`);
+  }
+
+  if (syntheticPoints > 0) {
+    issues.push(`${syntheticPoints} point${syntheticPoints === 1 ? '' : 's'} filled in where GPS was lost`);
+  }
+
+  score = Math.max(0, Math.round(score));
+
+  return {
+    score,
+    grade: getQualityGrade(score),
+    pointCount: points.length,
+    syntheticPoints,
+    accuracy,
+    gaps,
+    rejectedFixes,
+    rejectionRate,
+    implausibleSpeeds,
+    density,
+    issues
+  };
+}
+
+export function getQualityGrade(score) {
+  if (score >= QUALITY_GRADES.good.minScore) return 'good';
+  if (score >= QUALITY_GRADES.fair.minScore) return 'fair';
+  return 'poor';
+}
+
+export function isLowQuality(quality) {
+  return !!quality && quality.score < LOW_QUALITY_SCORE;
+}
+
+// "🟢 Good (86/100)"
+export function formatQualityScore(quality) {
+  const grade = QUALITY_GRADES[quality.grade] || QUALITY_GRADES[getQualityGrade(quality.score)];
+  return `${grade.icon} ${grade.label} (${quality.score}/100)`;
+}
+
+// Report lines for dialogs and confirmations
+export function formatQualityReport(quality) {
+  const lines = [
+    `Score: ${formatQualityScore(quality)}`,
+    `GPS points: ${quality.pointCount}`
+  ];
+
+  if (quality.syntheticPoints) {
+    lines.push(`Filled-in points: ${quality.syntheticPoints} (not counted)`);
+  }
+
+  if (quality.accuracy.median !== null) {
+    lines.push(`Accuracy: median ±${quality.accuracy.median} m, 90% within ±${quality.accuracy.p90} m`);
+  }
+  lines.push(`Gaps over threshold: ${quality.gaps.count}`);
+  if (quality.rejectedFixes !== null) {
+    lines.push(`Rejected fixes: ${quality.rejectedFixes} (${quality.rejectionRate || 0}%)`);
+  }
+  lines.push(`Implausible speeds: ${quality.implausibleSpeeds}`);
+  if (quality.density.pointsPerKm !== null) {
+    lines.push(`Density: ${quality.density.pointsPerKm} points/km, one every ${quality.density.medianIntervalSeconds}s`);
+  }
+
+  return lines;
+}
@@ -0,0 +1,83 @@
+// moderation.js - Report reasons, moderation states and what each moderator action does
+// A guide's `moderation` field is { status, openReports, lastReportedAt, updatedAt }.
+
+export const REPORT_REASONS = {
+  inaccurate: 'Wrong accessibility information',
+  unsafe: 'Unsafe or dangerous route',
+  offensive: 'Offensive or abusive content',
+  spam: 'Spam or advertising',
+  privacy: 'Shares private information',
+  other: 'Something else'
+};
+
+export const MODERATION_STATUSES = {
+  ok: { label: 'Published', icon: '✅' },
+  flagged: { label: 'Reported', icon: '🚩' },
+  hidden: { label: 'Hidden pending review', icon: '🙈' },
+  unpublished: { label: 'Unpublished by a moderator', icon: '⛔' }
+};
+
+// Open reports from different users that hide a guide until a moderator looks at it
+export const AUTO_HIDE_REPORTS = 3;
+
+export const MAX_REPORT_DETAILS = 1000;
+
+/**
+ * Moderator actions: the status and visibility they leave the guide in, and
+ * whether they close the open reports.
+ */
+export const MODERATION_ACTIONS = {
+  hide: { label: '🙈 Hide', status: 'hidden', isPublic: false, resolvesReports: false },
+  restore: { label: '✅ Restore', status: 'ok', isPublic: true, resolvesReports: true },
+  dismiss: { label: '👍 Dismiss Reports', status: 'ok', isPublic: true, resolvesReports: true },
+  unpublish: { label: '⛔ Unpublish', status: 'unpublished', isPublic: false, resolvesReports: true }
+};
+
+export function getModerationStatus(guide) {
+  return guide?.moderation?.status || 'ok';
+}
+
+// Authors can't make a guide public again while it waits for a moderator,
+// or after a moderator unpublished it
+export function canPublish(guide) {
+  return !['hidden', 'unpublished'].includes(getModerationStatus(guide));
+}
+
+/**
+ * Clean up a report from the form. Throws when it can't be sent.
+ */
+export function normalizeReport({ reason, details = '' } = {}) {
+  if (!REPORT_REASONS[reason]) {
+    throw new Error('Please choose a reason for the report');
+  }
+
+  const trimmed = String(details || '').trim();
+  if (reason === 'other' && !trimmed) {
+    throw new Error('Please describe the problem');
+  }
+  if (trimmed.length > MAX_REPORT_DETAILS) {
+    throw new Error(`Details are limited to ${MAX_REPORT_DETAILS} characters`);
+  }
+
+  return { reason, details: trimmed };
+}
+
+/**
+ * Moderation field after one more report: { moderation, autoHidden }.
+ * A published guide becomes flagged, and hidden once AUTO_HIDE_REPORTS
+ * reports are open.
+ */
+export function applyReport(moderation = {}) {
+  const openReports = (Number(moderation.openReports) || 0) + 1;
+  const status = moderation.status || 'ok';
+
+  let next = status;
+  if (status === 'ok' || status === 'flagged') {
+    next = openReports >= AUTO_HIDE_REPORTS ? 'hidden' : 'flagged';
+  }
+
+  return {
+    moderation: { ...moderation, status: next, openReports },
+    autoHidden: next === 'hidden' && status !== 'hidden'
+  };
+}
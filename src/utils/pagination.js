@@ -0,0 +1,101 @@
+// pagination.js - Cursor pages over Firestore queries, and a cache of the pages already seen
+import { query, limit, startAfter, getDocs } from 'https://www.gstatic.com/firebasejs/10.5.0/firebase-firestore.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * One page of an ordered query, continuing after `cursor` (the last document
+ * snapshot of the previous page). One extra document is read to know whether
+ * another page exists.
+ *
+ * With `filter` (for conditions Firestore can't express, like text search)
+ * further batches are read until the page is full, at most maxBatches of them,
+ * so a page can come back short while hasMore is still true.
+ *
+ * Returns { items: [{ id, ...data }], cursor, hasMore }
+ */
+export async function fetchPage(baseQuery, { pageSize = DEFAULT_PAGE_SIZE, cursor = null, filter = null, maxBatches = 5 } = {}) {
+  const items = [];
+  let hasMore = true;
+  let batches = 0;
+
+  while (hasMore && items.length < pageSize && batches < (filter ? maxBatches : 1)) {
+    batches++;
+    const constraints = cursor ? [startAfter(cursor), limit(pageSize + 1)] : [limit(pageSize + 1)];
+    const snapshot = await getDocs(query(baseQuery, ...constraints));
+
+    hasMore = snapshot.docs.length > pageSize;
+    const docs = snapshot.docs.slice(0, pageSize);
+
+    for (const [index, doc] of docs.entries()) {
+      const item = { id: doc.id, ...doc.data() };
+      cursor = doc;
+      if (!filter || filter(item)) {
+        items.push(item);
+      }
+
+      // Stop where the page fills up; the rest of the batch starts the next page
+      if (items.length === pageSize) {
+        hasMore = hasMore || index < docs.length - 1;
+        break;
+      }
+    }
+  }
+
+  return { items, cursor, hasMore };
+}
+
+/**
+ * Pages already loaded per listing (key), so reopening a list or repeating a
+ * search shows them without querying again. Entries expire after maxAge.
+ */
+export class PageCache {
+  constructor({ maxAge = 5 * 60000 } = {}) {
+    this.maxAge = maxAge;
+    this.entries = new Map();
+  }
+
+  // Loaded pages in order, or [] when nothing (fresh) is cached
+  getPages(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return [];
+
+    if (Date.now() - entry.storedAt > this.maxAge) {
+      this.entries.delete(key);
+      return [];
+    }
+    return entry.pages;
+  }
+
+  getPage(key, index) {
+    return this.getPages(key)[index] || null;
+  }
+
+  // Pages are appended in order; the first page (re)starts the listing
+  addPage(key, index, page) {
+    if (index === 0 || !this.entries.has(key)) {
+      this.entries.set(key, { pages: [], storedAt: Date.now() });
+    }
+    this.entries.get(key).pages[index] = page;
+  }
+
+  getItems(key) {
+    return this.getPages(key).flatMap(page => page.items);
+  }
+
+  hasMore(key) {
+    const pages = this.getPages(key);
+    return pages.length === 0 || pages[pages.length - 1].hasMore;
+  }
+
+  // Forget one listing, every listing whose key starts with prefix + ':', or everything
+  clear(prefix = null) {
+    if (prefix === null) {
+      this.entries.clear();
+      return;
+    }
+    [...this.entries.keys()]
+      .filter(key => key === prefix || key.startsWith(`${prefix}:`))
+      .forEach(key => this.entries.delete(key));
+  }
+}
@@ -0,0 +1,88 @@
+// review-stats.js - Trail guide ratings: validation and running totals
+// A guide keeps community.ratings = { [aspect]: { sum, count } }, so one
+// review can be added, changed or removed without reading all the others.
+
+export const RATING_ASPECTS = {
+  overall: { label: 'Overall', icon: '⭐', required: true },
+  surface: { label: 'Surface', icon: '🛤️', required: false },
+  slope: { label: 'Slope', icon: '⛰️', required: false },
+  facilities: { label: 'Facilities', icon: '🚻', required: false }
+};
+
+export const MAX_RATING = 5;
+export const MAX_REVIEW_LENGTH = 2000;
+
+/**
+ * Clean up a review from the form: ratings are whole stars 1-5 (optional
+ * aspects may be left out), text is trimmed. Throws when it can't be saved.
+ */
+export function normalizeReview({ ratings = {}, text = '' } = {}) {
+  const clean = {};
+
+  Object.entries(RATING_ASPECTS).forEach(([aspect, { label, required }]) => {
+    const value = Number(ratings[aspect]);
+    if (!value) {
+      if (required) throw new Error(`Please give an ${label.toLowerCase()} rating`);
+      return;
+    }
+    if (!Number.isInteger(value) || value < 1 || value > MAX_RATING) {
+      throw new Error(`${label} rating must be 1 to ${MAX_RATING} stars`);
+    }
+    clean[aspect] = value;
+  });
+
+  const trimmed = String(text || '').trim();
+  if (trimmed.length > MAX_REVIEW_LENGTH) {
+    throw new Error(`Reviews are limited to ${MAX_REVIEW_LENGTH} characters`);
+  }
+
+  return { ratings: clean, text: trimmed };
+}
+
+/**
+ * Totals with one review's ratings swapped: `before` is the review's old
+ * ratings (null for a new review), `after` the new ones (null when deleted).
+ */
+export function updateRatingTotals(totals, before = null, after = null) {
+  // Guides created before reviews existed hold an empty array here
+  const next = {};
+  Object.keys(RATING_ASPECTS).forEach(aspect => {
+    const current = totals && !Array.isArray(totals) && totals[aspect];
+    next[aspect] = { sum: Number(current?.sum) || 0, count: Number(current?.count) || 0 };
+  });
+
+  const apply = (ratings, sign) => Object.entries(ratings || {}).forEach(([aspect, value]) => {
+    if (!next[aspect] || !value) return;
+    next[aspect].sum += sign * value;
+    next[aspect].count = Math.max(0, next[aspect].count + sign);
+  });
+
+  apply(before, -1);
+  apply(after, 1);
+  return next;
+}
+
+// { averageRating, aspectAverages: { [aspect]: average | null }, reviewCount }
+export function summarizeRatings(totals) {
+  const normalized = updateRatingTotals(totals);
+  const average = ({ sum, count }) => count > 0 ? Math.round(sum / count * 10) / 10 : null;
+
+  const aspectAverages = {};
+  Object.keys(RATING_ASPECTS)
+    .filter(aspect => aspect !== 'overall')
+    .forEach(aspect => {
+      aspectAverages[aspect] = average(normalized[aspect]);
+    });
+
+  return {
+    averageRating: average(normalized.overall) || 0,
+    aspectAverages,
+    reviewCount: normalized.overall.count
+  };
+}
+
+// "★★★★☆" for a 0-5 rating, rounded to whole stars
+export function formatStars(rating) {
+  const stars = Math.round(Math.max(0, Math.min(MAX_RATING, Number(rating) || 0)));
+  return '★'.repeat(stars) + '☆'.repeat(MAX_RATING - stars);
+}
@@ -0,0 +1,148 @@
+// route-editing.js - Trim, delete, split and merge saved route data
+// All functions return new arrays and never modify their input.
+import { haversineDistance } from './calculations.js';
+import { splitIntoSegments, getLastSegmentIndex } from './segments.js';
+
+// Entries the user captured on purpose; kept when only GPS points are removed
+const CAPTURED_TYPES = ['photo', 'text', 'barrier'];
+
+const segmentOf = entry => (typeof entry.segment === 'number' ? entry.segment : 0);
+
+export function getLocationPoints(routeData = []) {
+  return routeData.filter(entry => entry && entry.type === 'location' && entry.coords);
+}
+
+function byTimestamp(a, b) {
+  return (a.timestamp || 0) - (b.timestamp || 0);
+}
+
+/**
+ * Renumber segments 0..n in order. A point flagged in `breakBefore` starts a new
+ * segment even if it shared one with the previous point.
+ */
+export function renumberSegments(routeData, breakBefore = new Set()) {
+  let previousOriginal = null;
+  let current = -1;
+
+  return routeData.map(entry => {
+    if (entry.type !== 'location') return entry;
+
+    const original = segmentOf(entry);
+    if (current < 0 || original !== previousOriginal || breakBefore.has(entry)) {
+      current++;
+    }
+    previousOriginal = original;
+
+    return { ...entry, segment: current };
+  });
+}
+
+/**
+ * Keep location points startIndex..endIndex (indices into the location points)
+ * and every other entry recorded inside that time window.
+ */
+export function trimRoute(routeData, startIndex, endIndex) {
+  const points = getLocationPoints(routeData);
+  if (points.length === 0) return [...routeData];
+
+  const first = points[Math.max(0, startIndex)];
+  const last = points[Math.min(points.length - 1, endIndex)];
+  const keptPoints = new Set(points.slice(Math.max(0, startIndex), endIndex + 1));
+
+  const trimmed = routeData.filter(entry => {
+    if (entry.type === 'location') return keptPoints.has(entry);
+    return entry.timestamp >= first.timestamp && entry.timestamp <= last.timestamp;
+  });
+
+  return renumberSegments(trimmed);
+}
+
+/**
+ * Remove location points fromIndex..toIndex and the stops recorded in between.
+ * Photos, notes and barriers are kept. The track is not bridged over the hole:
+ * the point after it starts a new segment.
+ */
+export function deletePointRange(routeData, fromIndex, toIndex) {
+  const points = getLocationPoints(routeData);
+  if (points.length === 0) return [...routeData];
+
+  const removedPoints = new Set(points.slice(fromIndex, toIndex + 1));
+  if (removedPoints.size === 0) return [...routeData];
+
+  const fromTime = points[fromIndex].timestamp;
+  const toTime = points[Math.min(points.length - 1, toIndex)].timestamp;
+  const nextPoint = points[toIndex + 1];
+
+  const remaining = routeData.filter(entry => {
+    if (entry.type === 'location') return !removedPoints.has(entry);
+    if (CAPTURED_TYPES.includes(entry.type)) return true;
+    return entry.timestamp < fromTime || entry.timestamp > toTime;
+  });
+
+  return renumberSegments(remaining, new Set(nextPoint && fromIndex > 0 ? [nextPoint] : []));
+}
+
+/**
+ * Split at a location point: the first part ends before it, the second starts with it.
+ * Returns [firstPart, secondPart].
+ */
+export function splitRoute(routeData, atIndex) {
+  const points = getLocationPoints(routeData);
+  const splitPoint = points[atIndex];
+  if (!splitPoint || atIndex === 0) return [[...routeData], []];
+
+  const secondPoints = new Set(points.slice(atIndex));
+  const first = [];
+  const second = [];
+
+  routeData.forEach(entry => {
+    const inSecond = entry.type === 'location'
+      ? secondPoints.has(entry)
+      : entry.timestamp >= splitPoint.timestamp;
+    (inSecond ? second : first).push(entry);
+  });
+
+  return [renumberSegments(first), renumberSegments(second)];
+}
+
+/**
+ * Merge two routes into one, ordered by time. The second route's segments
+ * follow the first's so the gap between the recordings is never bridged.
+ */
+export function mergeRoutes(firstData, secondData) {
+  const offset = getLocationPoints(firstData).length > 0 ? getLastSegmentIndex(firstData) + 1 : 0;
+
+  const shifted = secondData.map(entry => (entry.type === 'location'
+    ? { ...entry, segment: segmentOf(entry) + offset }
+    : entry));
+
+  return [...firstData, ...shifted].sort(byTimestamp);
+}
+
+/**
+ * Distance (km) and duration (ms) recalculated from the data itself.
+ * Duration counts time within segments minus auto-pause stops, matching
+ * what the timer measures while recording.
+ */
+export function recalculateRouteTotals(routeData = []) {
+  let totalDistance = 0;
+  let segmentTime = 0;
+
+  splitIntoSegments(routeData).forEach(segment => {
+    for (let i = 1; i < segment.length; i++) {
+      totalDistance += haversineDistance(segment[i - 1].coords, segment[i].coords);
+    }
+    if (segment.length > 1) {
+      segmentTime += segment[segment.length - 1].timestamp - segment[0].timestamp;
+    }
+  });
+
+  const stoppedTime = routeData
+    .filter(entry => entry.type === 'stop')
+    .reduce((total, stop) => total + (stop.duration || 0), 0);
+
+  return {
+    totalDistance,
+    elapsedTime: Math.max(0, segmentTime - stoppedTime)
+  };
+}
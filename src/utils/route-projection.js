@@ -0,0 +1,110 @@
+// route-projection.js - Snap a position onto a reference route line
+import { splitIntoSegments } from './segments.js';
+
+// Local flat-earth approximation, accurate enough over a few hundred meters
+const METERS_PER_DEG_LAT = 111320;
+
+function toLocalMeters(origin, coords) {
+  const metersPerDegLng = METERS_PER_DEG_LAT * Math.cos(origin.lat * Math.PI / 180);
+  return {
+    x: (coords.lng - origin.lng) * metersPerDegLng,
+    y: (coords.lat - origin.lat) * METERS_PER_DEG_LAT
+  };
+}
+
+/**
+ * Build a reference line from route data: the location points in order,
+ * with cumulative distance (m) along the line at each vertex.
+ * Track segments (split at pauses and GPS gaps) stay apart: `segmentIds[i]`
+ * tells which one vertex i belongs to, and no distance is counted between them.
+ */
+export function buildReferenceLine(routeData = []) {
+  const segments = splitIntoSegments(routeData)
+    .map(segmentPoints => segmentPoints
+      .map(p => p.coords)
+      .filter(coords => typeof coords.lat === 'number' && typeof coords.lng === 'number'))
+    .filter(segment => segment.length > 0);
+
+  const points = [];
+  const segmentIds = [];
+  const cumulative = [];
+
+  segments.forEach((segment, segmentId) => {
+    segment.forEach((coords, i) => {
+      let step = 0;
+      if (i > 0) {
+        const { x, y } = toLocalMeters(segment[i - 1], coords);
+        step = Math.sqrt(x * x + y * y);
+      }
+      cumulative.push((cumulative[cumulative.length - 1] || 0) + step);
+      points.push(coords);
+      segmentIds.push(segmentId);
+    });
+  });
+
+  return {
+    points,
+    segments,
+    segmentIds,
+    cumulative,
+    totalLength: cumulative[cumulative.length - 1] || 0
+  };
+}
+
+// Closest point on one line segment (a -> b) to coords
+function projectOntoSegment(a, b, coords) {
+  const end = toLocalMeters(a, b);
+  const pos = toLocalMeters(a, coords);
+  const lengthSq = end.x * end.x + end.y * end.y;
+
+  const t = lengthSq > 0
+    ? Math.max(0, Math.min(1, (pos.x * end.x + pos.y * end.y) / lengthSq))
+    : 0;
+
+  const dx = pos.x - t * end.x;
+  const dy = pos.y - t * end.y;
+
+  return {
+    t,
+    distance: Math.sqrt(dx * dx + dy * dy),
+    along: t * Math.sqrt(lengthSq)
+  };
+}
+
+/**
+ * Project coords onto the reference line.
+ * `fromDistance`/`toDistance` (m along the line) restrict the search, which keeps
+ * out-and-back or looping trails from snapping onto the wrong pass.
+ * Positions never snap onto the gap between two track segments.
+ * Returns { distance, progress, index, coords } or null for an empty line.
+ */
+export function projectOntoLine(line, coords, { fromDistance = 0, toDistance = Infinity } = {}) {
+  if (!line || line.points.length === 0) return null;
+
+  const sameSegment = (i, j) => !line.segmentIds || line.segmentIds[i] === line.segmentIds[j];
+  let best = null;
+
+  for (let i = 0; i < line.points.length; i++) {
+    // Each vertex pairs with the next one in its segment; a lone point pairs with itself
+    const next = i + 1 < line.points.length && sameSegment(i, i + 1) ? i + 1 : i;
+    if (next === i && i > 0 && sameSegment(i - 1, i)) continue;
+    if (line.cumulative[next] < fromDistance || line.cumulative[i] > toDistance) continue;
+
+    const result = projectOntoSegment(line.points[i], line.points[next], coords);
+    if (!best || result.distance < best.distance) {
+      const a = line.points[i];
+      const b = line.points[next];
+      best = {
+        distance: result.distance,
+        progress: line.cumulative[i] + result.along,
+        index: i,
+        coords: {
+          lat: a.lat + result.t * (b.lat - a.lat),
+          lng: a.lng + result.t * (b.lng - a.lng)
+        }
+      };
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,98 @@
+// route-stats.js - Derived statistics for recorded routes
+
+/**
+ * Moving vs stopped time from the recorded stop intervals.
+ * The timer is paused during auto-pause stops, so elapsedTime is the moving time.
+ */
+export function calculateTimeStats(routeData = [], elapsedTime = 0) {
+  const stops = routeData.filter(p => p && p.type === 'stop');
+  const stoppedTime = stops.reduce((total, stop) => total + (stop.duration || 0), 0);
+  const movingTime = Math.max(0, elapsedTime || 0);
+
+  return {
+    movingTime,
+    stoppedTime,
+    totalTime: movingTime + stoppedTime,
+    stopCount: stops.length
+  };
+}
+
+// Running ascent/descent, fed one altitude at a time with addElevationSample
+export function createElevationTotals() {
+  return { gain: 0, loss: 0, reference: null };
+}
+
+/**
+ * Add one altitude (meters) to running totals, in place. GPS altitude is
+ * noisy, so climbs only count once they exceed the threshold (hysteresis)
+ * instead of summing every small up-and-down.
+ */
+export function addElevationSample(totals, altitude, thresholdMeters = 3) {
+  if (typeof altitude !== 'number' || isNaN(altitude)) return totals;
+
+  if (totals.reference === null) {
+    totals.reference = altitude;
+    return totals;
+  }
+
+  const delta = altitude - totals.reference;
+  if (delta >= thresholdMeters) {
+    totals.gain += delta;
+    totals.reference = altitude;
+  } else if (delta <= -thresholdMeters) {
+    totals.loss -= delta;
+    totals.reference = altitude;
+  }
+  return totals;
+}
+
+/**
+ * Ascent/descent and min/max elevation from point altitudes (meters).
+ */
+export function calculateElevationStats(routeData = [], thresholdMeters = 3) {
+  const altitudes = routeData
+    .filter(p => p && p.type === 'location' && typeof p.altitude === 'number' && !isNaN(p.altitude))
+    .map(p => p.altitude);
+
+  if (altitudes.length === 0) {
+    return { gain: 0, loss: 0, min: null, max: null, hasElevation: false };
+  }
+
+  const totals = createElevationTotals();
+  altitudes.forEach(altitude => addElevationSample(totals, altitude, thresholdMeters));
+
+  return {
+    gain: Math.round(totals.gain),
+    loss: Math.round(totals.loss),
+    min: Math.round(altitudes.reduce((min, altitude) => Math.min(min, altitude), Infinity)),
+    max: Math.round(altitudes.reduce((max, altitude) => Math.max(max, altitude), -Infinity)),
+    hasElevation: true
+  };
+}
+
+// Barrier counts by type and severity
+export function calculateBarrierStats(routeData = []) {
+  const barriers = routeData.filter(p => p && p.type === 'barrier');
+  const byType = {};
+  const bySeverity = {};
+
+  barriers.forEach(barrier => {
+    byType[barrier.barrierType] = (byType[barrier.barrierType] || 0) + 1;
+    bySeverity[barrier.severity] = (bySeverity[barrier.severity] || 0) + 1;
+  });
+
+  return {
+    total: barriers.length,
+    byType,
+    bySeverity
+  };
+}
+
+// All derived route statistics in one object (sessions, cloud docs, exports)
+export function calculateRouteStats(routeData = [], elapsedTime = 0) {
+  return {
+    ...calculateTimeStats(routeData, elapsedTime),
+    elevation: calculateElevationStats(routeData),
+    barriers: calculateBarrierStats(routeData)
+  };
+}
\ No newline at end of file
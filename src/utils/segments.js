@@ -0,0 +1,39 @@
+// segments.js - Track segment helpers (pauses and GPS gaps split a route)
+
+/**
+ * Group location points into segments by their `segment` index.
+ * Routes recorded before segments existed have no index and form a single segment.
+ */
+export function splitIntoSegments(routeData = []) {
+  const segments = [];
+  let current = null;
+  let currentIndex = null;
+
+  routeData.forEach(entry => {
+    if (!entry || entry.type !== 'location' || !entry.coords) return;
+
+    const index = typeof entry.segment === 'number' ? entry.segment : 0;
+    if (!current || index !== currentIndex) {
+      current = [];
+      currentIndex = index;
+      segments.push(current);
+    }
+    current.push(entry);
+  });
+
+  return segments;
+}
+
+export function getSegmentCount(routeData = []) {
+  return splitIntoSegments(routeData).length;
+}
+
+// Highest segment index used so far (0 for legacy routes)
+export function getLastSegmentIndex(routeData = []) {
+  return routeData.reduce((max, entry) => {
+    if (entry && entry.type === 'location' && typeof entry.segment === 'number') {
+      return Math.max(max, entry.segment);
+    }
+    return max;
+  }, 0);
+}
@@ -0,0 +1,145 @@
+// simplify.js - Douglas–Peucker track simplification for display, upload and guides
+// The full-resolution track is always kept locally; only copies are simplified.
+import { haversineDistance } from './calculations.js';
+import { splitIntoSegments } from './segments.js';
+
+export const SIMPLIFY_TOLERANCES = [0, 2, 5, 10, 20];
+export const DEFAULT_SIMPLIFY_TOLERANCE = 5;
+
+export function getSimplifyTolerance() {
+  const stored = parseFloat(localStorage.getItem('simplifyTolerance'));
+  return SIMPLIFY_TOLERANCES.includes(stored) ? stored : DEFAULT_SIMPLIFY_TOLERANCE;
+}
+
+export function setSimplifyTolerance(meters) {
+  const value = parseFloat(meters);
+  if (!SIMPLIFY_TOLERANCES.includes(value)) return false;
+
+  localStorage.setItem('simplifyTolerance', String(value));
+  return true;
+}
+
+// Perpendicular distance (m) from p to the line a-b, on a local flat projection
+function perpendicularDistance(p, a, b) {
+  const metersPerDegLat = 111320;
+  const metersPerDegLng = 111320 * Math.cos(a.lat * Math.PI / 180);
+
+  const bx = (b.lng - a.lng) * metersPerDegLng;
+  const by = (b.lat - a.lat) * metersPerDegLat;
+  const px = (p.lng - a.lng) * metersPerDegLng;
+  const py = (p.lat - a.lat) * metersPerDegLat;
+  const lengthSq = bx * bx + by * by;
+
+  if (lengthSq === 0) {
+    return Math.sqrt(px * px + py * py);
+  }
+
+  const t = Math.max(0, Math.min(1, (px * bx + py * by) / lengthSq));
+  const dx = px - t * bx;
+  const dy = py - t * by;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Douglas–Peucker on entries with `coords`. Returns the kept entries (first and
+ * last always kept). Iterative, so long recordings can't overflow the stack.
+ */
+export function douglasPeucker(points, toleranceMeters) {
+  if (points.length <= 2 || !toleranceMeters) return [...points];
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = perpendicularDistance(points[i].coords, points[first].coords, points[last].coords);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxIndex !== -1 && maxDistance > toleranceMeters) {
+      keep[maxIndex] = true;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((point, index) => keep[index]);
+}
+
+/**
+ * Filled-in (synthetic) stretches are simplified separately from recorded
+ * ones so the points where they meet survive and can be styled apart.
+ */
+function simplifySegment(segment, toleranceMeters) {
+  const runs = [];
+  let run = [segment[0]];
+
+  for (let i = 1; i < segment.length; i++) {
+    if (!!segment[i].synthetic !== !!segment[i - 1].synthetic) {
+      runs.push(run);
+      run = [segment[i - 1]];
+    }
+    run.push(segment[i]);
+  }
+  runs.push(run);
+
+  // Neighbouring runs share their boundary point
+  return runs.reduce((kept, current, index) => {
+    const simplified = douglasPeucker(current, toleranceMeters);
+    return kept.concat(index === 0 ? simplified : simplified.slice(1));
+  }, []);
+}
+
+function segmentsLength(segments) {
+  return segments.reduce((total, segment) => {
+    for (let i = 1; i < segment.length; i++) {
+      total += haversineDistance(segment[i - 1].coords, segment[i].coords);
+    }
+    return total;
+  }, 0);
+}
+
+/**
+ * Simplify the location points of a route, segment by segment.
+ * Photos, notes, barriers and stops are passed through unchanged.
+ * Returns { routeData, report }.
+ */
+export function simplifyRouteData(routeData = [], toleranceMeters = getSimplifyTolerance()) {
+  const segments = splitIntoSegments(routeData);
+  const simplifiedSegments = segments.map(segment => simplifySegment(segment, toleranceMeters));
+  const kept = new Set(simplifiedSegments.flat());
+
+  const originalPoints = segments.reduce((total, segment) => total + segment.length, 0);
+  const originalDistance = segmentsLength(segments);
+  const simplifiedDistance = segmentsLength(simplifiedSegments);
+  const distanceError = (originalDistance - simplifiedDistance) * 1000;
+
+  return {
+    routeData: routeData.filter(entry => !entry || entry.type !== 'location' || !entry.coords || kept.has(entry)),
+    report: {
+      tolerance: toleranceMeters,
+      originalPoints,
+      keptPoints: kept.size,
+      removedPoints: originalPoints - kept.size,
+      distanceError: Math.round(distanceError * 10) / 10,
+      distanceErrorPercent: originalDistance > 0
+        ? Math.round((distanceError / (originalDistance * 1000)) * 10000) / 100
+        : 0
+    }
+  };
+}
+
+// "326 of 1530 points removed (±5 m), distance −12.3 m (0.4%)"
+export function formatSimplificationReport(report) {
+  return `${report.removedPoints} of ${report.originalPoints} points removed (±${report.tolerance} m), ` +
+    `distance −${report.distanceError} m (${report.distanceErrorPercent}%)`;
+}
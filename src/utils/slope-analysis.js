@@ -0,0 +1,140 @@
+// slope-analysis.js - Grade along the recorded track, in the survey form's slope categories
+import { haversineDistance } from './calculations.js';
+import { splitIntoSegments } from './segments.js';
+
+// Values match the trailSlopes radio options in the accessibility form exactly
+export const SLOPE_CATEGORIES = {
+  mild: {
+    maxGrade: 5,
+    label: 'Mild',
+    value: 'No slopes to mild slopes (up to 5%)'
+  },
+  moderate: {
+    maxGrade: 10,
+    label: 'Moderate',
+    value: 'Moderate slopes - assistance recommended (5%-10%)'
+  },
+  steep: {
+    maxGrade: Infinity,
+    label: 'Steep',
+    value: 'Steep slopes - not accessible (over 10%)'
+  }
+};
+
+export function classifyGrade(gradePercent) {
+  const grade = Math.abs(gradePercent);
+  if (grade <= SLOPE_CATEGORIES.mild.maxGrade) return 'mild';
+  if (grade <= SLOPE_CATEGORIES.moderate.maxGrade) return 'moderate';
+  return 'steep';
+}
+
+// Moving average over altitudes to take the edge off GPS altitude noise
+function smoothAltitudes(points, radius) {
+  return points.map((point, index) => {
+    const window = points.slice(Math.max(0, index - radius), index + radius + 1);
+    return window.reduce((sum, p) => sum + p.altitude, 0) / window.length;
+  });
+}
+
+/**
+ * Analyze slopes along a route.
+ * Grades are measured over windows of roughly `windowMeters` of horizontal distance;
+ * consecutive windows in the same category are merged into stretches. A short
+ * tail at the end of a segment joins the last window, and segments shorter than
+ * half a window are left out, since a few meters of run can't outweigh altitude noise.
+ * Stretches never span a segment break (pause or GPS gap).
+ */
+export function analyzeSlopes(routeData = [], { windowMeters = 20, smoothingRadius = 2, minStretchMeters = 10 } = {}) {
+  const totals = { mild: 0, moderate: 0, steep: 0 };
+  const stretches = [];
+  let maxGrade = 0;
+  let distanceOffset = 0;
+
+  splitIntoSegments(routeData).forEach(segmentPoints => {
+    const points = segmentPoints.filter(p => typeof p.altitude === 'number' && !isNaN(p.altitude));
+    if (points.length < 2) return;
+
+    const altitudes = smoothAltitudes(points, smoothingRadius);
+
+    // Cumulative horizontal distance (m) along this segment
+    const cumulative = [0];
+    for (let i = 1; i < points.length; i++) {
+      cumulative.push(cumulative[i - 1] + haversineDistance(points[i - 1].coords, points[i].coords) * 1000);
+    }
+
+    const last = points.length - 1;
+    const minRun = windowMeters / 2;
+    let startIndex = 0;
+    let current = null;
+
+    for (let i = 1; i <= last; i++) {
+      const run = cumulative[i] - cumulative[startIndex];
+      if (run < windowMeters && i < last) continue;
+      if (i < last && cumulative[last] - cumulative[i] < minRun) continue;
+      if (run < minRun) continue;
+
+      const rise = altitudes[i] - altitudes[startIndex];
+      const grade = (rise / run) * 100;
+      const category = classifyGrade(grade);
+
+      totals[category] += run;
+      maxGrade = Math.max(maxGrade, Math.abs(grade));
+
+      if (current && current.category === category) {
+        current.length += run;
+        current.rise += rise;
+        current.maxGrade = Math.max(current.maxGrade, Math.abs(grade));
+        current.end = points[i].coords;
+      } else {
+        current = {
+          category,
+          length: run,
+          rise,
+          maxGrade: Math.abs(grade),
+          startDistance: distanceOffset + cumulative[startIndex],
+          start: points[startIndex].coords,
+          end: points[i].coords
+        };
+        stretches.push(current);
+      }
+
+      startIndex = i;
+    }
+
+    distanceOffset += cumulative[cumulative.length - 1];
+  });
+
+  const finished = stretches.map(stretch => ({
+    ...stretch,
+    length: Math.round(stretch.length),
+    averageGrade: Math.round((Math.abs(stretch.rise) / stretch.length) * 1000) / 10,
+    maxGrade: Math.round(stretch.maxGrade * 10) / 10,
+    startDistance: Math.round(stretch.startDistance),
+    direction: stretch.rise >= 0 ? 'up' : 'down'
+  }));
+
+  // Short blips are usually altitude noise, not real slopes
+  const significant = finished.filter(stretch => stretch.length >= minStretchMeters);
+  const steepStretches = significant.filter(stretch => stretch.category === 'steep');
+  const moderateStretches = significant.filter(stretch => stretch.category === 'moderate');
+
+  let suggestedCategory = null;
+  if (finished.length > 0) {
+    suggestedCategory = steepStretches.length > 0 ? 'steep' : moderateStretches.length > 0 ? 'moderate' : 'mild';
+  }
+
+  return {
+    hasElevation: finished.length > 0,
+    totals: {
+      mild: Math.round(totals.mild),
+      moderate: Math.round(totals.moderate),
+      steep: Math.round(totals.steep)
+    },
+    maxGrade: Math.round(maxGrade * 10) / 10,
+    stretches: finished,
+    steepStretches,
+    moderateStretches,
+    suggestedCategory,
+    suggestedValue: suggestedCategory ? SLOPE_CATEGORIES[suggestedCategory].value : null
+  };
+}
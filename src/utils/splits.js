@@ -0,0 +1,133 @@
+// splits.js - Per-kilometre (or per-mile) splits of a recorded route
+import { haversineDistance, formatDuration } from './calculations.js';
+import { splitIntoSegments } from './segments.js';
+
+export const SPLIT_UNITS = {
+  km: { label: 'km', speedLabel: 'km/h', kilometres: 1 },
+  mi: { label: 'mi', speedLabel: 'mph', kilometres: 1.609344 }
+};
+
+export const DEFAULT_SPLIT_UNIT = 'km';
+
+export function getSplitUnit() {
+  const stored = localStorage.getItem('splitUnit');
+  return SPLIT_UNITS[stored] ? stored : DEFAULT_SPLIT_UNIT;
+}
+
+export function setSplitUnit(unit) {
+  if (!SPLIT_UNITS[unit]) return false;
+
+  localStorage.setItem('splitUnit', unit);
+  return true;
+}
+
+const altitudeOf = point => (typeof point.altitude === 'number' && !isNaN(point.altitude) ? point.altitude : null);
+
+function interpolate(from, to, fraction) {
+  if (from === null || to === null) return from === null ? to : from;
+  return from + (to - from) * fraction;
+}
+
+/**
+ * Cut the track into splits of one unit each; the last one is usually partial.
+ * Boundaries are interpolated between points, time only runs inside segments
+ * (pauses and GPS gaps don't count) and auto-pause stops are subtracted from
+ * the split they happened in, as the timer does.
+ *
+ * Returns { unit, splits: [{ number, distance (unit), movingTime (ms),
+ * stopTime (ms), avgSpeed (unit/h), elevationChange (m or null), partial }] }
+ */
+export function calculateSplits(routeData = [], unit = getSplitUnit()) {
+  const unitKey = SPLIT_UNITS[unit] ? unit : DEFAULT_SPLIT_UNIT;
+  const splitKm = SPLIT_UNITS[unitKey].kilometres;
+  const spans = [];
+
+  let current = null;
+  const openSplit = (timestamp, altitude) => {
+    current = { distanceKm: 0, time: 0, startTime: timestamp, endTime: timestamp, startAltitude: altitude, endAltitude: altitude };
+  };
+
+  splitIntoSegments(routeData).forEach(segment => {
+    for (let i = 1; i < segment.length; i++) {
+      const a = segment[i - 1];
+      const b = segment[i];
+      const stepKm = haversineDistance(a.coords, b.coords);
+      const stepTime = Math.max(0, b.timestamp - a.timestamp);
+      let consumed = 0; // fraction of this step already counted
+
+      if (!current) openSplit(a.timestamp, altitudeOf(a));
+
+      // Close every split boundary that falls inside this step
+      while (stepKm > 0 && current.distanceKm + stepKm * (1 - consumed) >= splitKm) {
+        const fraction = consumed + (splitKm - current.distanceKm) / stepKm;
+        const timestamp = a.timestamp + stepTime * fraction;
+        const altitude = interpolate(altitudeOf(a), altitudeOf(b), fraction);
+
+        current.distanceKm = splitKm;
+        current.time += stepTime * (fraction - consumed);
+        current.endTime = timestamp;
+        current.endAltitude = altitude;
+        spans.push(current);
+
+        openSplit(timestamp, altitude);
+        consumed = fraction;
+      }
+
+      current.distanceKm += stepKm * (1 - consumed);
+      current.time += stepTime * (1 - consumed);
+      current.endTime = b.timestamp;
+      current.endAltitude = altitudeOf(b) !== null ? altitudeOf(b) : current.endAltitude;
+      if (current.startAltitude === null) current.startAltitude = altitudeOf(a);
+    }
+  });
+
+  // Ignore a float-sized remainder left after an exact boundary
+  if (current && current.distanceKm > 0.001) {
+    spans.push({ ...current, partial: true });
+  }
+
+  // Each stop counts against the split that was running when it began
+  const stops = routeData.filter(entry => entry && entry.type === 'stop');
+  const stopTimes = spans.map(() => 0);
+  stops.forEach(stop => {
+    let index = spans.findIndex(span => stop.timestamp < span.endTime);
+    if (index === -1) index = spans.length - 1;
+    if (index >= 0) stopTimes[index] += stop.duration || 0;
+  });
+
+  return {
+    unit: unitKey,
+    splits: spans.map((span, index) => {
+      const distance = span.distanceKm / splitKm;
+      const movingTime = Math.max(0, span.time - stopTimes[index]);
+      const hours = movingTime / 3600000;
+
+      return {
+        number: index + 1,
+        distance: Math.round(distance * 100) / 100,
+        movingTime: Math.round(movingTime),
+        stopTime: stopTimes[index],
+        avgSpeed: hours > 0 ? Math.round(distance / hours * 10) / 10 : 0,
+        elevationChange: span.startAltitude !== null && span.endAltitude !== null
+          ? Math.round(span.endAltitude - span.startAltitude)
+          : null,
+        partial: !!span.partial
+      };
+    })
+  };
+}
+
+// Table-ready text for one split: { label, time, speed, elevation, stops }
+export function formatSplit(split, unit = DEFAULT_SPLIT_UNIT) {
+  const units = SPLIT_UNITS[unit] || SPLIT_UNITS[DEFAULT_SPLIT_UNIT];
+
+  return {
+    label: split.partial ? `${split.number} (${split.distance} ${units.label})` : `${split.number}`,
+    time: formatDuration(split.movingTime),
+    speed: `${split.avgSpeed} ${units.speedLabel}`,
+    elevation: split.elevationChange === null
+      ? '–'
+      : `${split.elevationChange > 0 ? '+' : ''}${split.elevationChange} m`,
+    stops: split.stopTime > 0 ? formatDuration(split.stopTime) : '–'
+  };
+}
@@ -0,0 +1,173 @@
+// sync-plan.js - Decide what two-way sync has to do for local sessions and cloud routes
+// A linked session carries cloudRouteId, cloudRevision (the cloud route's
+// revision it last matched) and syncedAt; modifiedAt moves on every local edit.
+// Cloud routes count `revision` up on every track write and keep the
+// trackFingerprint of the full-resolution track that was written.
+
+// Revision of a freshly uploaded cloud route
+export const INITIAL_REVISION = 1;
+
+export const SYNC_ACTIONS = {
+  push: 'push',                 // local edits -> cloud
+  pull: 'pull',                 // cloud edits -> local
+  download: 'download',         // cloud route not on this device yet
+  deleteLocal: 'delete-local',  // deleted in the cloud, unchanged here
+  deleteCloud: 'delete-cloud',  // deleted here (tombstone), still in the cloud
+  baseline: 'baseline',         // linked before sync existed: adopt the cloud revision
+  conflict: 'conflict'          // both sides changed, or edited here but deleted in the cloud
+};
+
+export function getCloudRevision(cloudRoute) {
+  return Number(cloudRoute && cloudRoute.revision) || 0;
+}
+
+export function hasLocalChanges(session) {
+  return !!session.syncedAt && (session.modifiedAt || 0) > session.syncedAt;
+}
+
+export function hasCloudChanges(session, cloudRoute) {
+  return getCloudRevision(cloudRoute) > (session.cloudRevision || 0);
+}
+
+/**
+ * Short key of a full-resolution track: every entry's type, time and segment,
+ * plus location coordinates. Photos hash the same before and after upload.
+ */
+export function getTrackFingerprint(routeData = []) {
+  let hash = 2166136261;
+  let count = 0;
+
+  routeData.forEach(entry => {
+    if (!entry) return;
+    const coords = entry.type === 'location' && entry.coords
+      ? `${Number(entry.coords.lat).toFixed(6)},${Number(entry.coords.lng).toFixed(6)}`
+      : '';
+    const key = `${entry.type}|${toMillis(entry.timestamp)}|${entry.segment ?? ''}|${coords};`;
+
+    for (let i = 0; i < key.length; i++) {
+      hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+    }
+    count++;
+  });
+
+  return `${count}-${(hash >>> 0).toString(36)}`;
+}
+
+// Does the cloud route's track differ from the session's? Routes written
+// before fingerprints existed can't tell, so they count as changed.
+export function hasTrackChanges(session, cloudRoute) {
+  return !cloudRoute.trackFingerprint || cloudRoute.trackFingerprint !== getTrackFingerprint(session.data);
+}
+
+// Copy of the session recorded as matching the cloud route at `revision`
+export function markSynced(session, cloudRouteId, revision, now = Date.now()) {
+  return { ...session, cloudRouteId, cloudRevision: revision, syncedAt: now };
+}
+
+// Copy of the session with no cloud link (kept only on this device)
+export function unlinkSession(session) {
+  const { cloudRouteId, cloudRevision, syncedAt, ...rest } = session;
+  return rest;
+}
+
+// Firestore Timestamp, Date, ISO string or millis -> millis (null when unknown)
+export function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const millis = new Date(value).getTime();
+  return isNaN(millis) ? null : millis;
+}
+
+// Time of the first recorded location point (millis), or null
+function getTrackStart(points) {
+  const first = (points || []).find(point => point && point.type === 'location' && point.timestamp);
+  return first ? toMillis(first.timestamp) : null;
+}
+
+/**
+ * Pair sessions uploaded before sessions kept their cloudRouteId with the
+ * cloud route made from them: same name and same track start time. Each
+ * cloud route is paired at most once. Returns [{ session, cloudRoute }].
+ */
+export function matchLegacySessions(sessions = [], cloudRoutes = []) {
+  const linked = new Set(sessions.map(session => session.cloudRouteId).filter(Boolean));
+  const candidates = cloudRoutes.filter(route => !linked.has(route.id));
+  const matches = [];
+
+  sessions.filter(session => !session.cloudRouteId).forEach(session => {
+    const start = getTrackStart(session.data);
+    if (start === null) return;
+
+    const index = candidates.findIndex(route =>
+      (route.name || 'Unnamed Route') === (session.name || 'Unnamed Route') &&
+      getTrackStart(route.points) === start);
+    if (index === -1) return;
+
+    matches.push({ session, cloudRoute: candidates[index] });
+    candidates.splice(index, 1);
+  });
+
+  return matches;
+}
+
+/**
+ * Actions that bring `sessions` and `cloudRoutes` (the signed-in user's
+ * routes) together. `tombstones` are [{ cloudRouteId, deletedAt }] for
+ * linked sessions deleted on this device.
+ * Sessions that were never uploaded are left alone.
+ *
+ * Returns { actions: [{ action, session?, cloudRoute?, tombstone?, reason? }],
+ * staleTombstones: [cloudRouteId] (already gone from the cloud) }
+ */
+export function planSync(sessions = [], cloudRoutes = [], tombstones = []) {
+  const cloudById = new Map(cloudRoutes.map(route => [route.id, route]));
+  const deletedHere = new Set(tombstones.map(tombstone => tombstone.cloudRouteId));
+  const linked = new Set();
+  const actions = [];
+
+  sessions.filter(session => session.cloudRouteId).forEach(session => {
+    linked.add(session.cloudRouteId);
+    const cloudRoute = cloudById.get(session.cloudRouteId);
+
+    if (!cloudRoute) {
+      if (hasLocalChanges(session)) {
+        actions.push({ action: SYNC_ACTIONS.conflict, session, cloudRoute: null, reason: 'deleted-in-cloud' });
+      } else {
+        actions.push({ action: SYNC_ACTIONS.deleteLocal, session });
+      }
+      return;
+    }
+
+    if (!session.syncedAt) {
+      actions.push({ action: SYNC_ACTIONS.baseline, session, cloudRoute });
+      return;
+    }
+
+    const localChanged = hasLocalChanges(session);
+    const cloudChanged = hasCloudChanges(session, cloudRoute);
+
+    if (localChanged && cloudChanged) {
+      actions.push({ action: SYNC_ACTIONS.conflict, session, cloudRoute, reason: 'both-changed' });
+    } else if (localChanged) {
+      actions.push({ action: SYNC_ACTIONS.push, session, cloudRoute });
+    } else if (cloudChanged) {
+      actions.push({ action: SYNC_ACTIONS.pull, session, cloudRoute });
+    }
+  });
+
+  tombstones.forEach(tombstone => {
+    if (cloudById.has(tombstone.cloudRouteId)) {
+      actions.push({ action: SYNC_ACTIONS.deleteCloud, tombstone, cloudRoute: cloudById.get(tombstone.cloudRouteId) });
+    }
+  });
+
+  cloudRoutes
+    .filter(route => !linked.has(route.id) && !deletedHere.has(route.id))
+    .forEach(cloudRoute => actions.push({ action: SYNC_ACTIONS.download, cloudRoute }));
+
+  const staleTombstones = tombstones
+    .map(tombstone => tombstone.cloudRouteId)
+    .filter(id => !cloudById.has(id));
+
+  return { actions, staleTombstones };
+}